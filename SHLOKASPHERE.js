@@ -4,860 +4,8413 @@
  * ===================================================================================
  * This file contains the complete, self-contained React application.
  * It is structured internally into logical sections for clarity and maintainability.
+ * The only other sources are the translation bundles in `locales/`, which are loaded on demand.
  *
  * --- File Structure ---
- * 1.  **Firebase Service Setup**: Initializes and exports Firebase auth and Firestore.
+ * 1.  **Storage & Auth Backends**: A `MessageStore`/`AuthService` interface with Firebase and local implementations.
  * 2.  **API Service Setup**: Functions for calling external AI analysis APIs.
- * 3.  **Theme Management**: A React Context for persistent light/dark mode.
- * 4.  **Custom Hooks**: `useAuth` and `useMessages` encapsulate all state and side-effect logic.
- * 5.  **UI Components**: Reusable components like `MessageItem`, `Avatar`, `AnalyticsDashboard`, etc.
- * 6.  **Main App Component**: The top-level component that assembles the entire application.
+ * 3.  **Content Moderation**: Configurable rule sets and text normalization for user input and AI output.
+ * 4.  **Theme Management**: A React Context for persistent light/dark mode.
+ * 5.  **Custom Hooks**: `useAuth`, `useConversations` and `useMessages` encapsulate all state and side-effect logic.
+ * 6.  **UI Components**: Reusable components like `MessageItem`, `Avatar`, `ConversationSidebar`, `AnalyticsDashboard`, etc.
+ * 7.  **Main App Component**: The top-level component that assembles the entire application.
  *
  */
-import React, { useState, useEffect, useRef, useCallback, useReducer, memo, createContext, useContext } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo, useReducer, memo, createContext, useContext } from 'react';
 import { Toaster, toast } from 'react-hot-toast';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkBreaks from 'remark-breaks';
+import rehypeSanitize from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+import 'highlight.js/styles/github-dark.css';
 import { initializeApp } from 'firebase/app';
-import { getFirestore, collection, addDoc, serverTimestamp, updateDoc, query, orderBy, limit, getDocs, where, startAfter, doc } from 'firebase/firestore';
-import { getAuth, GoogleAuthProvider, signInWithPopup, signOut, onAuthStateChanged } from 'firebase/auth';
+import { getFirestore, collection, collectionGroup, addDoc, serverTimestamp, increment, deleteField, arrayUnion, arrayRemove, getDoc, setDoc, updateDoc, deleteDoc, writeBatch, query, orderBy, limit, getDocs, where, startAfter, doc, onSnapshot } from 'firebase/firestore';
+import {
+  getAuth, GoogleAuthProvider, GithubAuthProvider, EmailAuthProvider, signInWithPopup, signInWithRedirect, getRedirectResult,
+  signInAnonymously, sendSignInLinkToEmail, isSignInWithEmailLink, signInWithCredential, linkWithPopup, linkWithRedirect,
+  linkWithCredential, unlink, signOut, onAuthStateChanged,
+} from 'firebase/auth';
+import { Tiktoken } from 'js-tiktoken/lite';
 
-// --- Firebase Service Setup ---
-const firebaseConfig = {
-  apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
-  authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
-  projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
-  storageBucket: process.env.REACT_APP_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: process.env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
-  appId: process.env.REACT_APP_FIREBASE_APP_ID
-};
-
-const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
-const auth = getAuth(app);
-const provider = new GoogleAuthProvider();
+// --- Storage & Auth Backends ---
 
-async function signInWithGoogle() {
-  try {
-    await signInWithPopup(auth, provider);
-  } catch (error) {
-    console.error("Google sign-in error:", error);
-    toast.error(`Sign-in failed: ${error.message}`);
-  }
+/**
+ * Selects where conversations and messages live:
+ * - 'firebase': Firestore + Firebase Auth (the default when a Firebase config is present).
+ * - 'local': an in-browser store persisted to localStorage, with a local single-user sign-in.
+ * - 'memory': like 'local', but nothing survives a reload. Useful for demos and tests.
+ * Without either setting the app still runs on 'local', but says so on every page, since a deployment
+ * whose Firebase key went missing would otherwise keep its users' data in their browsers unnoticed.
+ */
+const BACKEND = process.env.REACT_APP_BACKEND || (process.env.REACT_APP_FIREBASE_API_KEY ? 'firebase' : 'local');
+const IS_BACKEND_FALLBACK = !process.env.REACT_APP_BACKEND && !process.env.REACT_APP_FIREBASE_API_KEY;
+if (IS_BACKEND_FALLBACK) {
+  console.warn("REACT_APP_FIREBASE_API_KEY is not set: data is kept in this browser. Set REACT_APP_BACKEND=local if that is intended.");
 }
 
-async function signOutUser() {
-  await signOut(auth);
-}
+/**
+ * @typedef {object} MessageStore
+ * @property {(uid: string, callback: (conversations: object[]) => void, onError?: (error: Error) => void) => () => void} subscribeToConversations
+ * @property {(uid: string) => Promise<object[]>} listConversations
+ *   The user's conversations once, most recently updated first.
+ * @property {(uid: string, callback: (conversations: object[]) => void, onError?: (error: Error) => void) => () => void} subscribeToSharedConversations
+ *   Conversations other users have let `uid` into, each carrying its owner as `ownerUid`.
+ * @property {(uid: string, conversationId: string) => Promise<string>} shareConversation
+ *   Resolves with the code that lets others join, creating one if the conversation is not shared yet.
+ * @property {(uid: string, conversationId: string) => Promise<void>} stopSharing
+ *   Drops the code and everyone who joined with it.
+ * @property {(ownerUid: string, conversationId: string, shareCode: string, uid: string) => Promise<void>} joinConversation
+ *   Adds `uid` to the conversation's `memberUids`. Rejects unless `shareCode` is the conversation's current one.
+ * @property {(ownerUid: string, conversationId: string, uid: string) => Promise<void>} leaveConversation
+ * @property {(uid: string, conversationId: string) => Promise<object | null>} getConversation
+ * @property {(uid: string, title: string, conversationId?: string) => Promise<{ id: string }>} createConversation
+ *   Pass `conversationId` to recreate a conversation under a known id, e.g. when restoring an export.
+ * @property {(uid: string, conversationId: string, title: string) => Promise<void>} renameConversation
+ * @property {(uid: string, conversationId: string, changes: object) => Promise<void>} updateConversation
+ *   Merges settings such as `persona` into the conversation without moving it up the sidebar.
+ * @property {(uid: string, conversationId: string) => Promise<void>} deleteConversation
+ * @property {(uid: string, conversationId: string, options: { pageSize: number, cursor?: any }) => Promise<{ messages: object[], cursor: any, hasMore: boolean }>} listMessages
+ *   Returns one page of messages, oldest first. Pass the returned `cursor` to get the page before it.
+ * @property {(uid: string, conversationId: string, messageId: string, options: { pageSize: number }) => Promise<{ messages: object[], cursor: any, hasMore: boolean, newerCursor: any, hasNewer: boolean } | null>} listMessagesAround
+ *   Returns `messageId` with a page of older and a page of newer messages, oldest first, or null if the
+ *   message does not exist. The `cursor` continues with `listMessages`, the `newerCursor` with `listNewerMessages`.
+ * @property {(uid: string, conversationId: string, options: { pageSize: number, cursor: any }) => Promise<{ messages: object[], cursor: any, hasMore: boolean }>} listNewerMessages
+ *   Returns the page of messages after `cursor`, oldest first. Pass the returned `cursor` to get the page after it.
+ * @property {(uid: string, options?: { conversationId?: string }) => Promise<object[]>} listAllMessages
+ *   Each message carries the `conversationId` it belongs to.
+ * @property {(uid: string, conversationId: string, message: object, messageId?: string) => Promise<{ id: string }>} addMessage
+ *   Stamps the message with the store's clock. Writes with a fixed `messageId` are idempotent.
+ * @property {(uid: string, conversationId: string, messageId: string, changes: object) => Promise<void>} updateMessage
+ * @property {(uid: string, conversationId: string, messageId: string, field: string, key: string, value: any) => Promise<void>} setMessageEntry
+ *   Sets one entry of a map field such as `feedback` or `reactions`, or removes it when `value` is null,
+ *   leaving the other entries as they are in the store rather than as the caller last saw them.
+ * @property {(uid: string, conversationId: string, messages: object[]) => Promise<void>} importMessages
+ *   Writes complete messages, keeping their ids and timestamps. Unlike `addMessage`, nothing is re-stamped.
+ * @property {(uid: string, conversationId: string, since: Date, handlers: { onAdded: Function, onModified: Function, onRemoved?: Function }, onError?: Function) => () => void} subscribeToMessages
+ *   Reports messages stamped at or after `since`, plus later changes to them and their removal.
+ * @property {(event: object) => Promise<void>} addModerationEvent
+ * @property {(options: { status: string, pageSize: number }) => Promise<object[]>} listModerationEvents
+ *   Returns the newest moderation events with the given status, newest first.
+ * @property {(eventId: string, changes: object) => Promise<void>} updateModerationEvent
+ * @property {(entry: object) => Promise<void>} addAuditEntry
+ *   Appends to the log of moderation actions, stamped with the store's clock.
+ * @property {(options: { pageSize: number }) => Promise<object[]>} listAuditEntries
+ *   Returns the newest audit log entries, newest first.
+ * @property {(uid: string, callback: (profile: object | null) => void, onError?: (error: Error) => void) => () => void} subscribeToUserProfile
+ *   Profiles are `{ uid, email, displayName, messageCount, lastSeenAt }`, written by the user they describe.
+ * @property {(uid: string, changes: object) => Promise<void>} saveUserProfile
+ *   Merges `changes` into the profile, creating it if needed.
+ * @property {(uid: string) => Promise<void>} countUserMessage
+ *   Adds one to the profile's `messageCount`.
+ * @property {(uid: string, callback: (account: object | null) => void, onError?: (error: Error) => void) => () => void} subscribeToAccount
+ *   Accounts are `{ uid, role, suspended, usageLimits }`: what the user may do. Null until a moderator first
+ *   changes one. Users can read their own account but never write it.
+ * @property {(uid: string, changes: object) => Promise<void>} saveAccount
+ *   Merges `changes` into the account, creating it if needed. Only moderators and admins may call it.
+ * @property {(options: { pageSize: number, cursor?: any }) => Promise<{ profiles: object[], cursor: any, hasMore: boolean }>} listUserProfiles
+ *   Returns one page of profiles, busiest first, each merged with its account. Pass the returned `cursor`
+ *   to get the next page.
+ * @property {(uid: string, conversationId: string, callback: (sessions: object[]) => void, onError?: (error: Error) => void) => () => void} subscribeToPresence
+ *   Sessions are `{ id, uid, displayName, email, online, typing, lastSeenAt }`, one per open tab, stale ones included.
+ * @property {(uid: string, conversationId: string, sessionId: string, presence: object) => Promise<void>} savePresence
+ *   Replaces the session's presence and stamps its `lastSeenAt` with the store's clock.
+ * @property {(uid: string, conversationId: string, day: string, delta: object, options?: { userWide?: boolean }) => Promise<void>} incrementStats
+ *   Adds a (possibly nested) map of numbers to the daily counters of the user and of the conversation. With
+ *   `userWide: false` only the conversation's are changed, as for members of a conversation someone shared.
+ * @property {(uid: string, conversationId: string | null, day: string, totals: object) => Promise<void>} replaceStats
+ *   Overwrites one day of counters; `conversationId` null targets the user-wide counters.
+ * @property {(uid: string, options: { conversationId?: string, fromDay: string, toDay: string }) => Promise<object[]>} listStats
+ *   Returns the daily counter documents in the inclusive day range, oldest first.
+ */
 
-function subscribeToAuth(callback) {
-  return onAuthStateChanged(auth, callback);
-}
+/**
+ * @typedef {object} AuthService
+ * @property {(callback: (user: object | null) => void) => () => void} subscribe
+ *   Users are plain objects: `{ uid, email, displayName, isAnonymous, providers }`, where `providers` lists the
+ *   linked sign-in methods. The callback runs again when providers are linked or unlinked.
+ * @property {string[]} methods - The sign-in methods this backend offers, as keys of `AUTH_METHOD_LABELS`.
+ * @property {(method: string, options?: { email?: string }) => Promise<{ pending?: 'redirect' | 'emailLink' }>} signIn
+ *   Resolves with `pending` when the sign-in finishes later: after a redirect, or once the emailed link is opened.
+ * @property {(method: string, options?: { email?: string }) => Promise<{ pending?: 'redirect' | 'emailLink' }>} link
+ *   Adds a sign-in method to the signed-in account. The uid stays the same, so a guest who links one keeps
+ *   their history. When a guest's sign-in already belongs to another account, `link` (or `completeSignIn`,
+ *   after a redirect or email link) rejects with an error carrying that sign-in as `credential` and the
+ *   guest as `guest`.
+ * @property {(credential: object) => Promise<object>} switchAccount
+ *   Signs in with the `credential` of such an error and resolves with the user it belongs to.
+ * @property {(method: string) => Promise<void>} unlink
+ * @property {(options: { askForEmail: () => string | null }) => Promise<void>} completeSignIn
+ *   Finishes a redirect or email-link sign-in when the page loads. `askForEmail` is used when the link was
+ *   opened on another device than the one it was requested on.
+ * @property {() => Promise<string | null>} getIdToken
+ *   A token that proves to the API layer who is signing its requests, or null when there is none to send.
+ * @property {() => Promise<void>} signOut
+ */
 
-async function sendMessageToFirestore(messageObj) {
-  return await addDoc(collection(db, "messages"), messageObj);
-}
+// Firestore layout. Conversations are private to their owner and each keeps its messages in a subcollection:
+// users/{uid}/conversations/{conversationId}/messages/{messageId}
+// The users/{uid} document itself is the user's profile, which the user writes on every sign-in and message.
+// What the user may do lives apart, in accounts/{uid}, so it can never be self-written. The security rules
+// must read roles from there, along these lines:
+//   function role() { return get(/databases/$(database)/documents/accounts/$(request.auth.uid)).data.role; }
+//   match /accounts/{uid} {
+//     allow read: if request.auth.uid == uid || role() in ['moderator', 'admin'];
+//     allow write: if role() == 'admin'
+//       || (role() == 'moderator' && (resource == null || resource.data.role == 'member')
+//           && request.resource.data.diff(resource == null ? {} : resource.data).affectedKeys().hasOnly(['suspended', 'suspendedAt', 'suspendedBy']));
+//   }
+//   match /users/{uid} { allow read: if request.auth.uid == uid || role() in ['moderator', 'admin']; ... }
+// Message writes must also be refused while accounts/{uid}.suspended is true. The first admin is appointed
+// by writing their accounts document from the Firebase console or the Admin SDK.
+// A conversation is shared by giving it a `shareCode`; whoever opens the invitation link joins by adding their
+// own uid to `memberUids`, which the rules must admit only with the code, along these lines:
+//   match /users/{uid}/conversations/{conversationId} {
+//     function isMember() { return request.auth.uid in resource.data.get('memberUids', []); }
+//     function changed() { return request.resource.data.diff(resource.data).affectedKeys(); }
+//     function members() { return request.resource.data.get('memberUids', []).toSet(); }
+//     allow update: if request.auth.uid == uid
+//       || (changed().hasOnly(['memberUids', 'joinCode']) && resource.data.get('shareCode', null) != null
+//           && request.resource.data.joinCode == resource.data.shareCode
+//           && members().difference(resource.data.get('memberUids', []).toSet()) == [request.auth.uid].toSet()
+//           && members().hasAll(resource.data.get('memberUids', [])))
+//       || (isMember() && changed().hasOnly(['updatedAt']))
+//       || (isMember() && changed().hasOnly(['memberUids']) && members() == resource.data.memberUids.toSet().difference([request.auth.uid].toSet()));
+//     match /{subcollection}/{id} {
+//       allow read, write: if request.auth.uid == uid
+//         || request.auth.uid in get(/databases/$(database)/documents/users/$(uid)/conversations/$(conversationId)).data.get('memberUids', []);
+//     }
+//   }
+//   match /{path=**}/conversations/{conversationId} { allow read: if request.auth.uid in resource.data.get('memberUids', []); }
+// Messages and daily counters of a shared conversation stay under its owner, whoever writes them; each message
+// names its writer in `authorUid`. Presence sits next to the messages, in .../presence/{sessionId}, and a TTL
+// policy on `expiresAt` clears out old sessions.
+function createFirestoreMessageStore(db) {
+  const profileDoc = (uid) => doc(db, "users", uid);
+  const accountDoc = (uid) => doc(db, "accounts", uid);
+  const conversationsCollection = (uid) => collection(db, "users", uid, "conversations");
+  const conversationDoc = (uid, conversationId) => doc(db, "users", uid, "conversations", conversationId);
+  const messagesCollection = (uid, conversationId) => collection(db, "users", uid, "conversations", conversationId, "messages");
+  const messageDoc = (uid, conversationId, messageId) => doc(db, "users", uid, "conversations", conversationId, "messages", messageId);
+  const presenceCollection = (uid, conversationId) => collection(db, "users", uid, "conversations", conversationId, "presence");
+  // Daily counters live next to the data they summarize, so analytics never has to scan messages.
+  const statsCollection = (uid, conversationId) => (conversationId
+    ? collection(db, "users", uid, "conversations", conversationId, "dailyStats")
+    : collection(db, "users", uid, "dailyStats"));
 
-// --- API Service Setup ---
+  const toIncrements = (delta) => Object.fromEntries(Object.entries(delta).map(
+    ([key, value]) => [key, typeof value === 'number' ? increment(value) : toIncrements(value)]
+  ));
 
-// Simple session cache to avoid re-analyzing the same text, improving performance and reducing API costs.
-const apiCache = {
-  get: (key) => {
-    try {
-      const item = sessionStorage.getItem(key);
-      return item ? JSON.parse(item) : null;
-    } catch (error) {
-      return null;
-    }
-  },
-  set: (key, value) => {
-    try {
-      sessionStorage.setItem(key, JSON.stringify(value));
-    } catch (error) {
-      // Cache is non-critical, so we can ignore storage errors (e.g., quota exceeded)
-    }
-  }
-};
+  // Estimate pending server timestamps so freshly written documents sort and render immediately.
+  const toMessage = (snapshot) => {
+    const data = snapshot.data({ serverTimestamps: 'estimate' });
+    return { id: snapshot.id, ...data, timestamp: data.timestamp?.toDate() };
+  };
 
-const analyzeSentiment = async (text) => {
-  const cacheKey = `sentiment:${text}`;
-  const cached = apiCache.get(cacheKey);
-  if (cached) return cached;
-  try {
-    const response = await fetch(`/api/google-sentiment`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ text }),
-    });
-    if (!response.ok) throw new Error("Sentiment API error");
-    const data = await response.json();
-    apiCache.set(cacheKey, data);
-    return data;
-  } catch (err) {
-    console.error("Sentiment API call failed:", err);
-    return null;
-  }
-};
+  // For the moderation documents, whose Timestamp fields all follow the `*At` naming.
+  const toRecord = (snapshot) => Object.fromEntries([
+    ['id', snapshot.id],
+    ...Object.entries(snapshot.data({ serverTimestamps: 'estimate' })).map(([key, value]) => [key, isDateField(key) && value?.toDate ? value.toDate() : value]),
+  ]);
 
-const analyzeEntities = async (text) => {
-  const cacheKey = `entities:${text}`;
-  const cached = apiCache.get(cacheKey);
-  if (cached) return cached;
-  try {
-    const response = await fetch(`/api/google-entities`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ text }),
-    });
-    if (!response.ok) throw new Error("Entity API error");
-    const data = await response.json();
-    const entities = data.entities || [];
-    apiCache.set(cacheKey, entities);
-    return entities;
-  } catch (err) {
-    console.error("Entity API call failed:", err);
-    return [];
-  }
-};
+  const touchConversation = (uid, conversationId) => {
+    // Bumping updatedAt keeps the most recently active conversation at the top of the sidebar.
+    updateDoc(conversationDoc(uid, conversationId), { updatedAt: serverTimestamp() })
+      .catch(error => console.error("Failed to update conversation timestamp:", error));
+  };
 
-const translateText = async (text, target) => {
-  const cacheKey = `translate:${target}:${text}`;
-  const cached = apiCache.get(cacheKey);
-  if (cached) return cached;
-  try {
-    const response = await fetch(`/api/google-translate`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ text, target }),
-    });
-    if (!response.ok) throw new Error("Translation API error");
-    const data = await response.json();
-    const translation = data.translation || "";
-    apiCache.set(cacheKey, translation);
-    return translation;
-  } catch (err) {
-    console.error("Translation API call failed:", err);
-    return "";
-  }
-};
+  const toConversation = (conversationSnap) => {
+    const data = conversationSnap.data({ serverTimestamps: 'estimate' });
+    return { id: conversationSnap.id, ...data, createdAt: data.createdAt?.toDate(), updatedAt: data.updatedAt?.toDate() };
+  };
 
-const getAIResponse = async (message, history, language) => {
-  try {
-    const response = await fetch(`/api/generate-response`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ message, history, language }),
-    });
-    if (!response.ok) throw new Error("AI response API error");
-    const data = await response.json();
-    return data.text;
-  } catch (err) {
-    console.error("AI API call failed:", err);
-    return "I'm sorry, I'm having trouble connecting right now.";
-  }
-};
+  return {
+    subscribeToConversations(uid, callback, onError) {
+      const q = query(conversationsCollection(uid), orderBy("updatedAt", "desc"));
+      return onSnapshot(q, (snapshot) => {
+        callback(snapshot.docs.map(toConversation));
+      }, onError);
+    },
 
-/**
- * A centralized utility to perform all AI analyses on a message and update it in Firestore.
- * @param {import('firebase/firestore').DocumentReference} docRef - The Firestore document reference for the message.
- * @param {string} text - The text of the message to analyze.
- * @param {string} targetLang - The language code to translate the text into.
- * @returns {Promise<boolean>} - A promise that resolves to true on success and false on failure.
- */
-async function analyzeAndSaveMessageFeatures(docRef, text, targetLang) {
-  try {
-    const [sentiment, entities, translation] = await Promise.all([
-      analyzeSentiment(text),
-      analyzeEntities(text),
-      translateText(text, targetLang)
-    ]);
-    await updateDoc(docRef, { ...(sentiment && { sentiment }), ...(entities && { entities }), ...(translation && { translation }) });
-    return true;
-  } catch (e) {
-    console.error("Failed to update message with analysis:", e);
-    return false;
-  }
-}
+    async listConversations(uid) {
+      const snapshot = await getDocs(query(conversationsCollection(uid), orderBy("updatedAt", "desc")));
+      return snapshot.docs.map(toConversation);
+    },
 
-// --- Language (i18n) Management ---
-const translations = {
-  en: {
-    // App
-    appName: "SHLOKASPHERE",
-    loadingApp: "Loading Application...",
-    loggedInAs: "Logged in as:",
-    signOut: "Sign out",
-    welcomeTitle: "Welcome to the AI-Powered Chat Experience",
-    welcomeSubtitle: "Sign in to begin your conversation.",
-    signInWithGoogle: "Sign in with Google",
-    // Chat
-    loadMore: "Load More",
-    loadingMore: "Loading...",
-    loadingMessages: "Loading messages...",
-    messagePlaceholder: "Type your message...",
-    send: "Send",
-    // Analytics
-    analyticsDashboard: "Analytics Dashboard",
-    totalMessages: "Total Messages:",
-    uniqueUsers: "Unique Users:",
-    // Message Item
-    translationLabel: "Translation:",
-  },
-  hi: {
-    // App
-    appName: "श्लोकस्फेयर",
-    loadingApp: "एप्लिकेशन लोड हो रहा है...",
-    loggedInAs: "के रूप में लॉग इन:",
-    signOut: "साइन आउट",
-    welcomeTitle: "एआई-संचालित चैट अनुभव में आपका स्वागत है",
-    welcomeSubtitle: "अपनी बातचीत शुरू करने के लिए साइन इन करें।",
-    signInWithGoogle: "Google से साइन इन करें",
-    // Chat
-    loadMore: "और लोड करें",
-    loadingMore: "लोड हो रहा है...",
-    loadingMessages: "संदेश लोड हो रहे हैं...",
-    messagePlaceholder: "अपना संदेश लिखें...",
-    send: "भेजें",
-    // Analytics
-    analyticsDashboard: "विश्लेषिकी डैशबोर्ड",
-    totalMessages: "कुल संदेश:",
-    uniqueUsers: "अद्वितीय उपयोगकर्ता:",
-    // Message Item
-    translationLabel: "अनुवाद:",
-  }
-};
+    subscribeToSharedConversations(uid, callback, onError) {
+      const q = query(collectionGroup(db, "conversations"), where("memberUids", "array-contains", uid));
+      return onSnapshot(q, (snapshot) => {
+        callback(snapshot.docs.map(conversationSnap => ({ ...toConversation(conversationSnap), ownerUid: conversationSnap.ref.parent.parent.id })));
+      }, onError);
+    },
 
-const LanguageContext = createContext();
+    async shareConversation(uid, conversationId) {
+      const snapshot = await getDoc(conversationDoc(uid, conversationId));
+      if (!snapshot.exists()) throw new Error("Conversation not found");
+      const shareCode = snapshot.data().shareCode || generateShareCode();
+      await updateDoc(conversationDoc(uid, conversationId), { shareCode });
+      return shareCode;
+    },
 
-const useTranslation = () => {
-  const { language } = useContext(LanguageContext);
-  return (key) => translations[language][key] || key;
-};
+    async stopSharing(uid, conversationId) {
+      await updateDoc(conversationDoc(uid, conversationId), { shareCode: null, memberUids: [] });
+    },
 
-// --- Theme Management ---
-const ThemeContext = createContext();
+    async joinConversation(ownerUid, conversationId, shareCode, uid) {
+      // The code cannot be checked here, since only members may read the conversation; the rules check `joinCode`.
+      await updateDoc(conversationDoc(ownerUid, conversationId), { memberUids: arrayUnion(uid), joinCode: shareCode });
+    },
 
-function ThemeProvider({ children }) {
-  const [theme, setTheme] = useState(() => {
-    try {
-      const savedTheme = localStorage.getItem('theme');
-      if (savedTheme === 'light' || savedTheme === 'dark') {
-        return savedTheme;
+    async leaveConversation(ownerUid, conversationId, uid) {
+      await updateDoc(conversationDoc(ownerUid, conversationId), { memberUids: arrayRemove(uid) });
+    },
+
+    async getConversation(uid, conversationId) {
+      const snapshot = await getDoc(conversationDoc(uid, conversationId));
+      if (!snapshot.exists()) return null;
+      const data = snapshot.data();
+      return { id: snapshot.id, ...data, createdAt: data.createdAt?.toDate(), updatedAt: data.updatedAt?.toDate() };
+    },
+
+    async createConversation(uid, title, conversationId) {
+      const conversation = { title, createdAt: serverTimestamp(), updatedAt: serverTimestamp() };
+      if (conversationId) {
+        await setDoc(conversationDoc(uid, conversationId), conversation);
+        return { id: conversationId };
       }
-    } catch (error) {
-      console.warn("localStorage is not available. Using default theme.");
-    }
-    return 'light';
-  });
+      const docRef = await addDoc(conversationsCollection(uid), conversation);
+      return { id: docRef.id };
+    },
 
-  useEffect(() => {
-    const root = window.document.documentElement;
-    root.lang = document.documentElement.lang; // Sync with language
-    if (theme === 'dark') {
-      root.classList.add('dark');
-    } else {
-      root.classList.remove('dark');
-    }
-    try {
-      localStorage.setItem('theme', theme);
-    } catch (error) {
-      console.warn("localStorage is not available. Theme will not be persisted.");
-    }
-  }, [theme]);
+    async renameConversation(uid, conversationId, title) {
+      await updateDoc(conversationDoc(uid, conversationId), { title, updatedAt: serverTimestamp() });
+    },
 
-  const toggleTheme = () => {
-    setTheme(prevTheme => (prevTheme === 'light' ? 'dark' : 'light'));
-  };
+    async updateConversation(uid, conversationId, changes) {
+      await updateDoc(conversationDoc(uid, conversationId), changes);
+    },
 
-  return (
-    <ThemeContext.Provider value={{ theme, toggleTheme }}>
-      {children}
-    </ThemeContext.Provider>
-  );
+    async deleteConversation(uid, conversationId) {
+      // Firestore does not cascade deletes, so the subcollections are removed in batches (max 500 writes each) first.
+      for (const subcollection of [messagesCollection(uid, conversationId), statsCollection(uid, conversationId), presenceCollection(uid, conversationId)]) {
+        const snapshot = await getDocs(subcollection);
+        for (let i = 0; i < snapshot.docs.length; i += 500) {
+          const batch = writeBatch(db);
+          snapshot.docs.slice(i, i + 500).forEach(childSnap => batch.delete(childSnap.ref));
+          await batch.commit();
+        }
+      }
+      await deleteDoc(conversationDoc(uid, conversationId));
+    },
+
+    async listMessages(uid, conversationId, { pageSize, cursor }) {
+      const constraints = [orderBy("timestamp", "desc"), ...(cursor ? [startAfter(cursor)] : []), limit(pageSize)];
+      const snapshot = await getDocs(query(messagesCollection(uid, conversationId), ...constraints));
+      return {
+        messages: snapshot.docs.map(toMessage).reverse(),
+        cursor: snapshot.docs[snapshot.docs.length - 1] || cursor,
+        hasMore: snapshot.docs.length === pageSize,
+      };
+    },
+
+    async listMessagesAround(uid, conversationId, messageId, { pageSize }) {
+      const target = await getDoc(messageDoc(uid, conversationId, messageId));
+      if (!target.exists()) return null;
+      const [newer, older] = await Promise.all([
+        getDocs(query(messagesCollection(uid, conversationId), orderBy("timestamp", "asc"), startAfter(target), limit(pageSize))),
+        getDocs(query(messagesCollection(uid, conversationId), orderBy("timestamp", "desc"), startAfter(target), limit(pageSize))),
+      ]);
+      return {
+        messages: [...[...older.docs].reverse(), target, ...newer.docs].map(toMessage),
+        cursor: older.docs[older.docs.length - 1] || target,
+        hasMore: older.docs.length === pageSize,
+        newerCursor: newer.docs[newer.docs.length - 1] || target,
+        hasNewer: newer.docs.length === pageSize,
+      };
+    },
+
+    async listNewerMessages(uid, conversationId, { pageSize, cursor }) {
+      const snapshot = await getDocs(query(messagesCollection(uid, conversationId), orderBy("timestamp", "asc"), startAfter(cursor), limit(pageSize)));
+      return {
+        messages: snapshot.docs.map(toMessage),
+        cursor: snapshot.docs[snapshot.docs.length - 1] || cursor,
+        hasMore: snapshot.docs.length === pageSize,
+      };
+    },
+
+    async listAllMessages(uid, { conversationId } = {}) {
+      const source = conversationId
+        ? messagesCollection(uid, conversationId)
+        : query(collectionGroup(db, "messages"), where("uid", "==", uid));
+      const snapshot = await getDocs(source);
+      return snapshot.docs.map(snapshot => ({ ...toMessage(snapshot), conversationId: snapshot.ref.parent.parent.id }));
+    },
+
+    async addMessage(uid, conversationId, message, messageId) {
+      const messageForDb = { ...message, timestamp: serverTimestamp() };
+      let id = messageId;
+      if (messageId) {
+        await setDoc(messageDoc(uid, conversationId, messageId), messageForDb);
+      } else {
+        id = (await addDoc(messagesCollection(uid, conversationId), messageForDb)).id;
+      }
+      touchConversation(uid, conversationId);
+      return { id };
+    },
+
+    async updateMessage(uid, conversationId, messageId, changes) {
+      await updateDoc(messageDoc(uid, conversationId, messageId), changes);
+    },
+
+    async setMessageEntry(uid, conversationId, messageId, field, key, value) {
+      await updateDoc(messageDoc(uid, conversationId, messageId), { [`${field}.${key}`]: value === null ? deleteField() : value });
+    },
+
+    async importMessages(uid, conversationId, messages) {
+      for (let i = 0; i < messages.length; i += 500) {
+        const batch = writeBatch(db);
+        messages.slice(i, i + 500).forEach(({ id, ...message }) => batch.set(messageDoc(uid, conversationId, id), message));
+        await batch.commit();
+      }
+      touchConversation(uid, conversationId);
+    },
+
+    subscribeToMessages(uid, conversationId, since, { onAdded, onModified, onRemoved }, onError) {
+      const q = query(messagesCollection(uid, conversationId), where("timestamp", ">=", since));
+      return onSnapshot(q, (snapshot) => {
+        snapshot.docChanges().forEach(change => {
+          if (change.type === "added") onAdded(toMessage(change.doc));
+          if (change.type === "modified") onModified(toMessage(change.doc));
+          if (change.type === "removed") onRemoved?.(toMessage(change.doc));
+        });
+      }, onError);
+    },
+
+    async addModerationEvent(event) {
+      await addDoc(collection(db, "moderationEvents"), { ...event, createdAt: serverTimestamp() });
+    },
+
+    async listModerationEvents({ status, pageSize }) {
+      const q = query(collection(db, "moderationEvents"), where("status", "==", status), orderBy("createdAt", "desc"), limit(pageSize));
+      const snapshot = await getDocs(q);
+      return snapshot.docs.map(toRecord);
+    },
+
+    async updateModerationEvent(eventId, changes) {
+      await updateDoc(doc(db, "moderationEvents", eventId), changes);
+    },
+
+    async addAuditEntry(entry) {
+      await addDoc(collection(db, "moderationAuditLog"), { ...entry, createdAt: serverTimestamp() });
+    },
+
+    async listAuditEntries({ pageSize }) {
+      const snapshot = await getDocs(query(collection(db, "moderationAuditLog"), orderBy("createdAt", "desc"), limit(pageSize)));
+      return snapshot.docs.map(toRecord);
+    },
+
+    subscribeToUserProfile(uid, callback, onError) {
+      return onSnapshot(profileDoc(uid), (snapshot) => {
+        callback(snapshot.exists() ? { ...toRecord(snapshot), uid } : null);
+      }, onError);
+    },
+
+    async saveUserProfile(uid, changes) {
+      await setDoc(profileDoc(uid), changes, { merge: true });
+    },
+
+    async countUserMessage(uid) {
+      await setDoc(profileDoc(uid), { messageCount: increment(1), lastMessageAt: serverTimestamp() }, { merge: true });
+    },
+
+    subscribeToAccount(uid, callback, onError) {
+      return onSnapshot(accountDoc(uid), (snapshot) => {
+        callback(snapshot.exists() ? { ...toRecord(snapshot), uid } : null);
+      }, onError);
+    },
+
+    async saveAccount(uid, changes) {
+      await setDoc(accountDoc(uid), changes, { merge: true });
+    },
+
+    async listUserProfiles({ pageSize, cursor }) {
+      const constraints = [orderBy("messageCount", "desc"), ...(cursor ? [startAfter(cursor)] : []), limit(pageSize)];
+      const snapshot = await getDocs(query(collection(db, "users"), ...constraints));
+      const accounts = await Promise.all(snapshot.docs.map(profileSnap => getDoc(accountDoc(profileSnap.id))));
+      return {
+        profiles: snapshot.docs.map((profileSnap, index) => ({
+          ...NEW_ACCOUNT,
+          ...toRecord(profileSnap),
+          ...(accounts[index].exists() && toRecord(accounts[index])),
+          uid: profileSnap.id,
+        })),
+        cursor: snapshot.docs[snapshot.docs.length - 1] || cursor,
+        hasMore: snapshot.docs.length === pageSize,
+      };
+    },
+
+    subscribeToPresence(uid, conversationId, callback, onError) {
+      return onSnapshot(presenceCollection(uid, conversationId), (snapshot) => {
+        callback(snapshot.docs.map(toRecord));
+      }, onError);
+    },
+
+    async savePresence(uid, conversationId, sessionId, presence) {
+      await setDoc(doc(presenceCollection(uid, conversationId), sessionId), {
+        ...presence,
+        lastSeenAt: serverTimestamp(),
+        expiresAt: new Date(Date.now() + PRESENCE_RECENT_MS),
+      });
+    },
+
+    async incrementStats(uid, conversationId, day, delta, { userWide = true } = {}) {
+      // setDoc with merge applies nested increments and creates the day's document on first use.
+      const update = { day, ...toIncrements(delta) };
+      const batch = writeBatch(db);
+      if (userWide) batch.set(doc(statsCollection(uid, null), day), update, { merge: true });
+      batch.set(doc(statsCollection(uid, conversationId), day), update, { merge: true });
+      await batch.commit();
+    },
+
+    async replaceStats(uid, conversationId, day, totals) {
+      await setDoc(doc(statsCollection(uid, conversationId), day), { day, ...totals });
+    },
+
+    async listStats(uid, { conversationId, fromDay, toDay }) {
+      const q = query(statsCollection(uid, conversationId), where("day", ">=", fromDay), where("day", "<=", toDay), orderBy("day"));
+      const snapshot = await getDocs(q);
+      return snapshot.docs.map(statsSnap => statsSnap.data());
+    },
+  };
 }
 
-function LanguageProvider({ children }) {
-  const [language, setLanguage] = useState(() => {
-    try {
-      const savedLang = localStorage.getItem('language');
-      if (savedLang === 'en' || savedLang === 'hi') {
-        return savedLang;
+const LOCAL_STORE_KEY = 'shlokasphere-store';
+// Fields holding dates, revived from their ISO form when the local store is read back.
+const isDateField = (key) => key === 'timestamp' || /At$/.test(key);
+const generateLocalId = () => `local_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+// Anyone holding the code can join the conversation, so it comes from the secure random source.
+const generateShareCode = () => Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * A MessageStore that lives in the page, optionally persisted to localStorage, so the whole chat
+ * works with no external services. Change notifications are delivered asynchronously, like Firestore's.
+ * @param {{ persist: boolean }} options
+ * @returns {MessageStore}
+ */
+function createLocalMessageStore({ persist }) {
+  const load = () => {
+    if (persist) {
+      try {
+        const raw = localStorage.getItem(LOCAL_STORE_KEY);
+        if (raw) return JSON.parse(raw, (key, value) => (typeof value === 'string' && isDateField(key) ? new Date(value) : value));
+      } catch (error) {
+        console.warn("Could not read the local message store. Starting empty.");
       }
-    } catch (error) {
-      console.warn("localStorage is not available. Using default language.");
     }
-    return 'en'; // Default language
-  });
+    return { conversations: [], messages: [], moderationEvents: [], stats: [], profiles: [], accounts: [], auditLog: [] };
+  };
 
-  useEffect(() => {
-    document.documentElement.lang = language;
+  const data = { stats: [], profiles: [], accounts: [], auditLog: [], ...load() };
+  // Presence only means something while the page is open, so it is kept out of `data` and never persisted.
+  const presence = new Map();
+  const listeners = new Set();
+  let lastStamp = 0;
+
+  // A strictly increasing clock keeps messages written within the same millisecond in order.
+  const stamp = () => {
+    lastStamp = Math.max(Date.now(), lastStamp + 1);
+    return new Date(lastStamp);
+  };
+
+  const save = () => {
+    if (!persist) return;
     try {
-      localStorage.setItem('language', language);
+      localStorage.setItem(LOCAL_STORE_KEY, JSON.stringify(data));
     } catch (error) {
-      console.warn("localStorage is not available. Language will not be persisted.");
+      console.warn("localStorage is not available or full. Local messages will not be persisted.");
     }
-  }, [language]);
+  };
 
-  const value = { language, setLanguage };
+  const notify = (event) => {
+    setTimeout(() => listeners.forEach(listener => listener(event)), 0);
+  };
 
-  return (
-    <LanguageContext.Provider value={value}>
-      {children}
-    </LanguageContext.Provider>
-  );
-}
+  const emit = (event) => {
+    save();
+    notify(event);
+  };
 
-// --- Hooks ---
+  const listen = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
 
-function useAuth() {
-  const [user, setUser] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const conversationsFor = (uid) => data.conversations
+    .filter(c => c.uid === uid)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .map(conversation => ({ ...conversation }));
 
-  useEffect(() => {
-    const unsubscribe = subscribeToAuth((currentUser) => {
-      setUser(currentUser);
-      setLoading(false);
+  const sharedConversationsFor = (uid) => data.conversations
+    .filter(c => c.memberUids?.includes(uid))
+    .map(conversation => ({ ...conversation, ownerUid: conversation.uid }));
+
+  const recordsFor = (uid, conversationId) => data.messages
+    .filter(r => r.ownerUid === uid && (!conversationId || r.conversationId === conversationId));
+
+  // Newest first, with the id as a tie-breaker so pagination is stable.
+  const compareDesc = (a, b) => (b.message.timestamp - a.message.timestamp) || (b.message.id < a.message.id ? -1 : 1);
+  const isBefore = (record, cursor) => record.message.timestamp < cursor.timestamp
+    || (record.message.timestamp.getTime() === cursor.timestamp.getTime() && record.message.id < cursor.id);
+
+  const addCounters = (target, delta) => {
+    Object.entries(delta).forEach(([key, value]) => {
+      if (typeof value === 'number') {
+        target[key] = (target[key] || 0) + value;
+      } else {
+        target[key] = addCounters(target[key] || {}, value);
+      }
     });
-    return () => unsubscribe();
-  }, []);
+    return target;
+  };
 
-  return { user, loading };
-}
+  const statsRecord = (uid, conversationId, day) => {
+    let record = data.stats.find(r => r.ownerUid === uid && r.conversationId === conversationId && r.counters.day === day);
+    if (!record) {
+      record = { ownerUid: uid, conversationId, counters: { day } };
+      data.stats.push(record);
+    }
+    return record;
+  };
 
-function useMessageAnalysis() {
-  const [analyzingIds, setAnalyzingIds] = useState(new Set());
+  const touchConversation = (uid, conversationId) => {
+    const conversation = data.conversations.find(c => c.uid === uid && c.id === conversationId);
+    if (conversation) conversation.updatedAt = stamp();
+    emit({ type: 'conversations', uid });
+  };
 
-  const { language } = useContext(LanguageContext);
-  const langRef = useRef(language);
+  const presenceKey = (uid, conversationId) => `${uid}/${conversationId}`;
+  const presenceFor = (uid, conversationId) => [...(presence.get(presenceKey(uid, conversationId))?.values() || [])]
+    .map(session => ({ ...session }));
 
-  useEffect(() => {
-    langRef.current = language;
-  }, [language]);
+  const profileFor = (uid) => data.profiles.find(p => p.uid === uid);
+  const newestFirst = (a, b) => b.createdAt - a.createdAt;
 
-  const performMessageAnalysis = useCallback(async (messageId, text) => {
-    if (!messageId || !text) return;
-    if (messageId.startsWith('temp_')) {
-      toast.error("Please wait for the message to be saved before analyzing.");
-      return;
+  const updateProfile = (uid, changes) => {
+    const profile = profileFor(uid);
+    if (profile) {
+      Object.assign(profile, changes);
+    } else {
+      data.profiles.push({ uid, ...changes });
     }
+    emit({ type: 'profile', uid });
+  };
 
-    setAnalyzingIds(prev => new Set(prev).add(messageId)); // Use functional update
-    toast.loading('Analyzing message...', { id: `analyzing-${messageId}` });
+  // The local backends have a single user, who administers their own store.
+  const accountFor = (uid) => ({ ...NEW_ACCOUNT, role: 'admin', ...data.accounts.find(a => a.uid === uid), uid });
 
-    try {
-      const messageRef = doc(db, "messages", messageId);
-      const success = await analyzeAndSaveMessageFeatures(messageRef, text, langRef.current);
-      if (success) {
-        toast.success('Analysis complete!', { id: `analyzing-${messageId}` });
-      } else {
-        toast.error('Analysis failed.', { id: `analyzing-${messageId}` });
-      }
-    } catch (error) {
-      console.error("Failed to re-analyze message:", error);
-      toast.error('Analysis failed.', { id: `analyzing-${messageId}` });
-    } finally {
-      setAnalyzingIds(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(messageId);
-        return newSet;
+  return {
+    subscribeToConversations(uid, callback) {
+      setTimeout(() => callback(conversationsFor(uid)), 0);
+      return listen(event => {
+        if (event.type === 'conversations' && event.uid === uid) callback(conversationsFor(uid));
       });
-    }
-  }, []); // The function is now stable and doesn't depend on language state
+    },
 
-  return { performMessageAnalysis, analyzingIds };
-}
+    async listConversations(uid) {
+      return conversationsFor(uid);
+    },
 
-const generateId = () => `temp_${Math.random().toString(36).substr(2, 9)}`;
+    subscribeToSharedConversations(uid, callback) {
+      setTimeout(() => callback(sharedConversationsFor(uid)), 0);
+      // Any owner's change may concern this user, so every conversation event is reported.
+      return listen(event => {
+        if (event.type === 'conversations') callback(sharedConversationsFor(uid));
+      });
+    },
 
-function moderateContent(text) {
-  const bannedWords = ['badword1', 'badword2'];
-  return bannedWords.some(word => text.includes(word));
-}
+    async shareConversation(uid, conversationId) {
+      const conversation = data.conversations.find(c => c.uid === uid && c.id === conversationId);
+      if (!conversation) throw new Error("Conversation not found");
+      if (!conversation.shareCode) {
+        conversation.shareCode = generateShareCode();
+        emit({ type: 'conversations', uid });
+      }
+      return conversation.shareCode;
+    },
 
-const actionTypes = {
-  SET_LOADING: 'SET_LOADING',
-  SET_LOADING_MORE: 'SET_LOADING_MORE',
-  SET_TYPING: 'SET_TYPING',
-  INITIAL_LOAD: 'INITIAL_LOAD',
-  LOAD_MORE: 'LOAD_MORE',
-  ADD_OPTIMISTIC: 'ADD_OPTIMISTIC',
-  REMOVE_OPTIMISTIC: 'REMOVE_OPTIMISTIC',
-  REALTIME_ADDED: 'REALTIME_ADDED',
-  REALTIME_MODIFIED: 'REALTIME_MODIFIED',
-};
+    async stopSharing(uid, conversationId) {
+      const conversation = data.conversations.find(c => c.uid === uid && c.id === conversationId);
+      if (!conversation) throw new Error("Conversation not found");
+      Object.assign(conversation, { shareCode: null, memberUids: [] });
+      emit({ type: 'conversations', uid });
+    },
 
-const messagesInitialState = {
-  messages: [],
-  isTyping: false,
-  lastDoc: null,
-  hasMore: true,
-  isLoading: true,
-  isLoadingMore: false,
-};
+    async joinConversation(ownerUid, conversationId, shareCode, uid) {
+      const conversation = data.conversations.find(c => c.uid === ownerUid && c.id === conversationId);
+      if (!conversation?.shareCode || conversation.shareCode !== shareCode) throw new Error("Invalid invitation");
+      conversation.memberUids = [...new Set([...(conversation.memberUids || []), uid])];
+      emit({ type: 'conversations', uid: ownerUid });
+    },
 
-function messagesReducer(state, action) {
-  switch (action.type) {
-    case actionTypes.SET_LOADING:
-      return { ...state, isLoading: action.payload };
-    case actionTypes.SET_LOADING_MORE:
-      return { ...state, isLoadingMore: action.payload };
-    case actionTypes.SET_TYPING:
-      return { ...state, isTyping: action.payload };
-    case actionTypes.INITIAL_LOAD:
-      return {
-        ...state,
-        messages: action.payload.messages,
-        lastDoc: action.payload.lastDoc,
-        hasMore: action.payload.hasMore,
-        isLoading: false,
+    async leaveConversation(ownerUid, conversationId, uid) {
+      const conversation = data.conversations.find(c => c.uid === ownerUid && c.id === conversationId);
+      if (!conversation) throw new Error("Conversation not found");
+      conversation.memberUids = (conversation.memberUids || []).filter(memberUid => memberUid !== uid);
+      emit({ type: 'conversations', uid: ownerUid });
+    },
+
+    async getConversation(uid, conversationId) {
+      const conversation = data.conversations.find(c => c.uid === uid && c.id === conversationId);
+      return conversation ? { ...conversation } : null;
+    },
+
+    async createConversation(uid, title, conversationId) {
+      const now = stamp();
+      const conversation = { id: conversationId || generateLocalId(), uid, title, createdAt: now, updatedAt: now };
+      data.conversations.push(conversation);
+      emit({ type: 'conversations', uid });
+      return { id: conversation.id };
+    },
+
+    async renameConversation(uid, conversationId, title) {
+      const conversation = data.conversations.find(c => c.uid === uid && c.id === conversationId);
+      if (!conversation) throw new Error("Conversation not found");
+      Object.assign(conversation, { title, updatedAt: stamp() });
+      emit({ type: 'conversations', uid });
+    },
+
+    async updateConversation(uid, conversationId, changes) {
+      const conversation = data.conversations.find(c => c.uid === uid && c.id === conversationId);
+      if (!conversation) throw new Error("Conversation not found");
+      Object.assign(conversation, changes);
+      emit({ type: 'conversations', uid });
+    },
+
+    async deleteConversation(uid, conversationId) {
+      recordsFor(uid, conversationId).forEach(record => emit({ type: 'message', change: 'removed', uid, conversationId, message: { ...record.message } }));
+      data.messages = data.messages.filter(r => !(r.ownerUid === uid && r.conversationId === conversationId));
+      data.stats = data.stats.filter(r => !(r.ownerUid === uid && r.conversationId === conversationId));
+      data.conversations = data.conversations.filter(c => !(c.uid === uid && c.id === conversationId));
+      presence.delete(presenceKey(uid, conversationId));
+      emit({ type: 'conversations', uid });
+    },
+
+    async listMessages(uid, conversationId, { pageSize, cursor }) {
+      const sorted = recordsFor(uid, conversationId)
+        .sort(compareDesc)
+        .filter(record => !cursor || isBefore(record, cursor));
+      const page = sorted.slice(0, pageSize);
+      const last = page[page.length - 1];
+      return {
+        messages: page.map(r => ({ ...r.message })).reverse(),
+        cursor: last ? { timestamp: last.message.timestamp, id: last.message.id } : cursor,
+        hasMore: sorted.length > pageSize,
       };
-    case actionTypes.LOAD_MORE:
+    },
+
+    async listMessagesAround(uid, conversationId, messageId, { pageSize }) {
+      const sorted = recordsFor(uid, conversationId).sort(compareDesc);
+      const index = sorted.findIndex(r => r.message.id === messageId);
+      if (index === -1) return null;
+      const start = Math.max(0, index - pageSize);
+      const page = sorted.slice(start, index + 1 + pageSize);
+      const [first, last] = [page[0], page[page.length - 1]];
       return {
-        ...state,
-        messages: [...action.payload.messages, ...state.messages],
-        lastDoc: action.payload.lastDoc,
-        hasMore: action.payload.hasMore,
-        isLoadingMore: false,
+        messages: page.map(r => ({ ...r.message })).reverse(),
+        cursor: { timestamp: last.message.timestamp, id: last.message.id },
+        hasMore: sorted.length > start + page.length,
+        newerCursor: { timestamp: first.message.timestamp, id: first.message.id },
+        hasNewer: start > 0,
       };
-    case actionTypes.ADD_OPTIMISTIC:
-      return { ...state, messages: [...state.messages, action.payload] };
-    case actionTypes.REMOVE_OPTIMISTIC:
-      return { ...state, messages: state.messages.filter(m => m.id !== action.payload.nonce) };
-    case actionTypes.REALTIME_ADDED: {
-      const message = action.payload;
-      const optimisticIndex = message.nonce ? state.messages.findIndex(m => m.id === message.nonce) : -1;
-      if (optimisticIndex > -1) {
-        const newMessages = [...state.messages];
-        newMessages[optimisticIndex] = message;
-        return { ...state, messages: newMessages };
-      }
-      if (state.messages.some(m => m.id === message.id)) {
-        return state;
-      }
-      return { ...state, messages: [...state.messages, message] };
-    }
-    case actionTypes.REALTIME_MODIFIED: {
-      const message = action.payload;
+    },
+
+    async listNewerMessages(uid, conversationId, { pageSize, cursor }) {
+      const newer = recordsFor(uid, conversationId)
+        .sort(compareDesc)
+        .reverse()
+        .filter(record => !isBefore(record, cursor) && record.message.id !== cursor.id);
+      const page = newer.slice(0, pageSize);
+      const last = page[page.length - 1];
       return {
-        ...state,
-        messages: state.messages.map(m => m.id === message.id ? { ...m, ...message } : m)
+        messages: page.map(r => ({ ...r.message })),
+        cursor: last ? { timestamp: last.message.timestamp, id: last.message.id } : cursor,
+        hasMore: newer.length > pageSize,
       };
-    }
-    default:
-      throw new Error(`Unhandled action type: ${action.type}`);
-  }
-}
+    },
 
-function useMessages(user) {
-  const [state, dispatch] = useReducer(messagesReducer, messagesInitialState);
-  const { messages, lastDoc, hasMore, isLoadingMore } = state;
-  const { language } = useContext(LanguageContext);
+    async listAllMessages(uid, { conversationId } = {}) {
+      return recordsFor(uid, conversationId).map(r => ({ ...r.message, conversationId: r.conversationId }));
+    },
 
-  const sessionStartRef = useRef(new Date());
-  const messagesRef = useRef(messages);
-  const aiResponseCount = useRef(0);
+    async addMessage(uid, conversationId, message, messageId) {
+      const id = messageId || generateLocalId();
+      const record = { ownerUid: uid, conversationId, message: { ...message, id, timestamp: stamp() } };
+      const existingIndex = data.messages.findIndex(r => r.ownerUid === uid && r.conversationId === conversationId && r.message.id === id);
+      if (existingIndex > -1) {
+        data.messages[existingIndex] = record;
+        emit({ type: 'message', change: 'modified', uid, conversationId, message: { ...record.message } });
+      } else {
+        data.messages.push(record);
+        emit({ type: 'message', change: 'added', uid, conversationId, message: { ...record.message } });
+      }
+      touchConversation(uid, conversationId);
+      return { id };
+    },
 
-  useEffect(() => {
-    messagesRef.current = messages;
-  }, [messages]);
-  
-  useEffect(() => {
-    if (!user) return;
+    async updateMessage(uid, conversationId, messageId, changes) {
+      const record = data.messages.find(r => r.ownerUid === uid && r.conversationId === conversationId && r.message.id === messageId);
+      if (!record) throw new Error("Message not found");
+      record.message = { ...record.message, ...changes };
+      emit({ type: 'message', change: 'modified', uid, conversationId, message: { ...record.message } });
+    },
 
-    let isMounted = true;
+    async setMessageEntry(uid, conversationId, messageId, field, key, value) {
+      const record = data.messages.find(r => r.ownerUid === uid && r.conversationId === conversationId && r.message.id === messageId);
+      if (!record) throw new Error("Message not found");
+      const entries = { ...record.message[field] };
+      if (value === null) {
+        delete entries[key];
+      } else {
+        entries[key] = value;
+      }
+      record.message = { ...record.message, [field]: entries };
+      emit({ type: 'message', change: 'modified', uid, conversationId, message: { ...record.message } });
+    },
 
-    const loadInitialMessages = async () => {
-      dispatch({ type: actionTypes.SET_LOADING, payload: true });
-      try {
-        const q = query(collection(db, "messages"), orderBy("timestamp", "desc"), limit(20));
-        const snapshot = await getDocs(q);
-        if (!isMounted) return; // Prevent state update if component unmounted
-        const initialMessages = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), timestamp: doc.data().timestamp?.toDate() })).reverse();
-        dispatch({
-          type: actionTypes.INITIAL_LOAD,
-          payload: {
-            messages: initialMessages,
-            lastDoc: snapshot.docs[snapshot.docs.length - 1],
-            hasMore: snapshot.docs.length === 20,
-          }
-        });
-      } catch (error) {
-        console.error("Error loading initial messages:", error);
-        toast.error("Could not load chat history.");
-      } finally {
-        // Ensure we don't try to update state on an unmounted component.
-        if (isMounted) { 
-          dispatch({ type: actionTypes.SET_LOADING, payload: false });
-        }
+    async importMessages(uid, conversationId, messages) {
+      messages.forEach(message => data.messages.push({ ownerUid: uid, conversationId, message: { ...message } }));
+      touchConversation(uid, conversationId);
+    },
+
+    subscribeToMessages(uid, conversationId, since, { onAdded, onModified, onRemoved }) {
+      return listen(event => {
+        if (event.type !== 'message' || event.uid !== uid || event.conversationId !== conversationId) return;
+        if (event.message.timestamp < since) return;
+        if (event.change === 'added') onAdded(event.message);
+        if (event.change === 'modified') onModified(event.message);
+        if (event.change === 'removed') onRemoved?.(event.message);
+      });
+    },
+
+    async addModerationEvent(event) {
+      data.moderationEvents.push({ id: generateLocalId(), ...event, createdAt: new Date() });
+      save();
+    },
+
+    async listModerationEvents({ status, pageSize }) {
+      return data.moderationEvents
+        .filter(e => e.status === status)
+        .sort(newestFirst)
+        .slice(0, pageSize)
+        .map(e => ({ ...e }));
+    },
+
+    async updateModerationEvent(eventId, changes) {
+      const event = data.moderationEvents.find(e => e.id === eventId);
+      if (!event) throw new Error("Moderation event not found");
+      Object.assign(event, changes);
+      save();
+    },
+
+    async addAuditEntry(entry) {
+      data.auditLog.push({ id: generateLocalId(), ...entry, createdAt: stamp() });
+      save();
+    },
+
+    async listAuditEntries({ pageSize }) {
+      return [...data.auditLog].sort(newestFirst).slice(0, pageSize).map(e => ({ ...e }));
+    },
+
+    subscribeToUserProfile(uid, callback) {
+      const report = () => {
+        const profile = profileFor(uid);
+        callback(profile ? { ...profile } : null);
+      };
+      setTimeout(report, 0);
+      return listen(event => {
+        if (event.type === 'profile' && event.uid === uid) report();
+      });
+    },
+
+    async saveUserProfile(uid, changes) {
+      updateProfile(uid, changes);
+    },
+
+    async countUserMessage(uid) {
+      updateProfile(uid, { messageCount: (profileFor(uid)?.messageCount || 0) + 1, lastMessageAt: new Date() });
+    },
+
+    subscribeToAccount(uid, callback) {
+      const report = () => callback(accountFor(uid));
+      setTimeout(report, 0);
+      return listen(event => {
+        if (event.type === 'account' && event.uid === uid) report();
+      });
+    },
+
+    async saveAccount(uid, changes) {
+      const account = data.accounts.find(a => a.uid === uid);
+      if (account) {
+        Object.assign(account, changes);
+      } else {
+        data.accounts.push({ uid, ...changes });
       }
-    };
+      emit({ type: 'account', uid });
+    },
 
-    loadInitialMessages();
+    async listUserProfiles({ pageSize, cursor }) {
+      const start = cursor || 0;
+      const busiest = [...data.profiles].sort((a, b) => (b.messageCount || 0) - (a.messageCount || 0));
+      const page = busiest.slice(start, start + pageSize);
+      return {
+        profiles: page.map(p => ({ ...p, ...accountFor(p.uid) })),
+        cursor: start + page.length,
+        hasMore: start + pageSize < busiest.length,
+      };
+    },
 
-    const qRealtime = query(collection(db, "messages"), where("timestamp", ">=", sessionStartRef.current));
-    const unsubscribe = onSnapshot(qRealtime, (snapshot) => {
-      snapshot.docChanges().forEach(change => {
-        const changedDoc = { id: change.doc.id, ...change.doc.data(), timestamp: change.doc.data().timestamp?.toDate() };
-        if (change.type === "added") {
-          dispatch({ type: actionTypes.REALTIME_ADDED, payload: changedDoc });
-        }
-        if (change.type === "modified") {
-          dispatch({ type: actionTypes.REALTIME_MODIFIED, payload: changedDoc });
-        }
+    subscribeToPresence(uid, conversationId, callback) {
+      setTimeout(() => callback(presenceFor(uid, conversationId)), 0);
+      return listen(event => {
+        if (event.type === 'presence' && event.uid === uid && event.conversationId === conversationId) callback(presenceFor(uid, conversationId));
       });
-    });
+    },
 
-    return () => {
-      isMounted = false;
-      unsubscribe();
-    };
-  }, [user]);
+    async savePresence(uid, conversationId, sessionId, session) {
+      const key = presenceKey(uid, conversationId);
+      if (!presence.has(key)) presence.set(key, new Map());
+      presence.get(key).set(sessionId, { id: sessionId, ...session, lastSeenAt: stamp() });
+      notify({ type: 'presence', uid, conversationId });
+    },
 
-  const loadMore = useCallback(async () => {
-    if (!hasMore || isLoadingMore) return;
-    dispatch({ type: actionTypes.SET_LOADING_MORE, payload: true });
+    async incrementStats(uid, conversationId, day, delta, { userWide = true } = {}) {
+      if (userWide) addCounters(statsRecord(uid, null, day).counters, delta);
+      addCounters(statsRecord(uid, conversationId, day).counters, delta);
+      save();
+    },
+
+    async replaceStats(uid, conversationId, day, totals) {
+      statsRecord(uid, conversationId, day).counters = { ...JSON.parse(JSON.stringify(totals)), day };
+      save();
+    },
+
+    async listStats(uid, { conversationId, fromDay, toDay }) {
+      return data.stats
+        .filter(r => r.ownerUid === uid && r.conversationId === (conversationId || null) && r.counters.day >= fromDay && r.counters.day <= toDay)
+        .map(r => JSON.parse(JSON.stringify(r.counters)))
+        .sort((a, b) => (a.day < b.day ? -1 : 1));
+    },
+  };
+}
+
+// The Firebase provider id behind each linkable sign-in method. Email links belong to the password provider.
+const AUTH_PROVIDER_IDS = { google: 'google.com', github: 'github.com', emailLink: 'password' };
+const EMAIL_FOR_SIGN_IN_KEY = 'shlokasphere-email-for-sign-in';
+// Popups are blocked by some browsers and by most in-app webviews; the redirect flow is used instead.
+const POPUP_UNAVAILABLE_ERRORS = ['auth/popup-blocked', 'auth/operation-not-supported-in-this-environment'];
+
+function createFirebaseAuthService(auth) {
+  const providers = { google: () => new GoogleAuthProvider(), github: () => new GithubAuthProvider() };
+  // Firebase does not report linking or unlinking as an auth state change, so subscribers are re-run by hand.
+  const reporters = new Set();
+  const reportChange = () => reporters.forEach(report => report());
+
+  const toUser = (firebaseUser) => firebaseUser && {
+    uid: firebaseUser.uid,
+    email: firebaseUser.email,
+    displayName: firebaseUser.displayName,
+    isAnonymous: firebaseUser.isAnonymous,
+    providers: firebaseUser.providerData
+      .map(info => Object.keys(AUTH_PROVIDER_IDS).find(method => AUTH_PROVIDER_IDS[method] === info.providerId))
+      .filter(Boolean),
+  };
+
+  const withPopupFallback = async (popup, redirect) => {
     try {
-      const q = query(collection(db, "messages"), orderBy("timestamp", "desc"), startAfter(lastDoc), limit(20));
-      const snapshot = await getDocs(q);
-      const olderMessages = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), timestamp: doc.data().timestamp?.toDate() })).reverse();
-      dispatch({
-        type: actionTypes.LOAD_MORE,
-        payload: {
-          messages: olderMessages,
-          lastDoc: snapshot.docs[snapshot.docs.length - 1],
-          hasMore: snapshot.docs.length === 20,
-        }
-      });
+      await popup();
+      return {};
     } catch (error) {
-      console.error("Error loading more messages:", error);
-      toast.error("Could not load older messages.");
+      if (!POPUP_UNAVAILABLE_ERRORS.includes(error.code)) throw error;
+      await redirect();
+      return { pending: 'redirect' };
     }
-  }, [lastDoc, hasMore, isLoadingMore]);
+  };
 
-  const sendMessage = useCallback(async (messageText) => {
-    if (moderateContent(messageText)) {
-      toast.error('Inappropriate content detected.');
-      return;
+  // The email is remembered so the link can be completed without asking again; `link` marks a request
+  // to add the address to the account that was signed in when it was sent.
+  const sendEmailLink = async (email, { link }) => {
+    await sendSignInLinkToEmail(auth, email, { url: `${window.location.origin}${window.location.pathname}`, handleCodeInApp: true });
+    try {
+      localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, JSON.stringify({ email, link }));
+    } catch (error) {
+      // The email is asked for again when the link is opened.
     }
+    return { pending: 'emailLink' };
+  };
 
-    const nonce = generateId();
-    const optimisticMessage = { id: nonce, nonce, user: user.email, text: messageText, sender: 'user', timestamp: new Date(), tokens: messageText.split(/\s+/).length, sentiment: null, entities: [], translation: null };
-    dispatch({ type: actionTypes.ADD_OPTIMISTIC, payload: optimisticMessage });
-    
-    aiResponseCount.current++;
-    dispatch({ type: actionTypes.SET_TYPING, payload: true });
+  // A guest's sign-in that belongs to another account: the error is given what is needed to switch to it.
+  const withAccountInUse = async (action, credentialOf) => {
+    const guest = auth.currentUser?.isAnonymous ? toUser(auth.currentUser) : null;
+    try {
+      return await action();
+    } catch (error) {
+      if (guest && ACCOUNT_IN_USE_ERRORS.includes(error.code)) {
+        error.credential = credentialOf(error);
+        error.guest = guest;
+      }
+      throw error;
+    }
+  };
+  const oauthCredentialFromError = (error) => GoogleAuthProvider.credentialFromError(error) || GithubAuthProvider.credentialFromError(error);
 
-    let docRef;
+  const takeEmailRequest = () => {
     try {
-      const messageForDb = { nonce, user: user.email, text: messageText, sender: 'user', timestamp: serverTimestamp(), tokens: messageText.split(/\s+/).length };
-      docRef = await sendMessageToFirestore(messageForDb);
+      const saved = localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY);
+      localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+      return saved ? JSON.parse(saved) : null;
     } catch (error) {
-      console.error("Error sending message:", error);
-      toast.error("Could not send message.");
-      dispatch({ type: actionTypes.REMOVE_OPTIMISTIC, payload: { nonce } });
-      aiResponseCount.current--;
-      if (aiResponseCount.current === 0) {
-        dispatch({ type: actionTypes.SET_TYPING, payload: false });
+      return null;
+    }
+  };
+
+  return {
+    methods: ['google', 'github', 'emailLink', 'guest'],
+
+    subscribe(callback) {
+      const report = () => callback(toUser(auth.currentUser));
+      reporters.add(report);
+      const unsubscribe = onAuthStateChanged(auth, report);
+      return () => {
+        reporters.delete(report);
+        unsubscribe();
+      };
+    },
+
+    async signIn(method, { email } = {}) {
+      if (method === 'guest') {
+        await signInAnonymously(auth);
+        return {};
       }
-      return;
+      if (method === 'emailLink') return sendEmailLink(email, { link: false });
+      return withPopupFallback(
+        () => signInWithPopup(auth, providers[method]()),
+        () => signInWithRedirect(auth, providers[method]())
+      );
+    },
+
+    async link(method, { email } = {}) {
+      if (method === 'emailLink') return sendEmailLink(email, { link: true });
+      const result = await withAccountInUse(() => withPopupFallback(
+        () => linkWithPopup(auth.currentUser, providers[method]()),
+        () => linkWithRedirect(auth.currentUser, providers[method]())
+      ), oauthCredentialFromError);
+      reportChange();
+      return result;
+    },
+
+    async switchAccount(credential) {
+      const { user } = await signInWithCredential(auth, credential);
+      return toUser(user);
+    },
+
+    async unlink(method) {
+      await unlink(auth.currentUser, AUTH_PROVIDER_IDS[method]);
+      reportChange();
+    },
+
+    async completeSignIn({ askForEmail }) {
+      await auth.authStateReady();
+      // Rejects with the error of a redirect sign-in or link that failed.
+      if (await withAccountInUse(() => getRedirectResult(auth), oauthCredentialFromError)) reportChange();
+      if (!isSignInWithEmailLink(auth, window.location.href)) return;
+      const request = takeEmailRequest();
+      const email = request?.email || askForEmail();
+      const credential = email && EmailAuthProvider.credentialWithLink(email, window.location.href);
+      // The link can only be used once, so it is removed from the address bar whatever happens.
+      window.history.replaceState(null, '', window.location.pathname);
+      if (!credential) return;
+      if (auth.currentUser && (request?.link || auth.currentUser.isAnonymous)) {
+        await withAccountInUse(() => linkWithCredential(auth.currentUser, credential), () => credential);
+        reportChange();
+      } else {
+        await signInWithCredential(auth, credential);
+      }
+    },
+
+    getIdToken: async () => (auth.currentUser ? auth.currentUser.getIdToken() : null),
+
+    signOut: () => signOut(auth),
+  };
+}
+
+const LOCAL_USER_KEY = 'shlokasphere-local-user';
+const LOCAL_USER = { uid: 'local-user', email: 'you@localhost', displayName: 'Local user', isAnonymous: false, providers: [] };
+
+/**
+ * A single-user sign-in for the local backends. The signed-in state is remembered in localStorage.
+ * @param {{ persist: boolean }} options
+ * @returns {AuthService}
+ */
+function createLocalAuthService({ persist }) {
+  const listeners = new Set();
+  let currentUser = null;
+  if (persist) {
+    try {
+      currentUser = localStorage.getItem(LOCAL_USER_KEY) ? LOCAL_USER : null;
+    } catch (error) {
+      console.warn("localStorage is not available. Local sign-in will not be remembered.");
     }
+  }
 
-    const fetchAIResponse = async () => {
+  const setUser = (user) => {
+    currentUser = user;
+    if (persist) {
       try {
-        const currentHistory = [...messagesRef.current, optimisticMessage];
-        const responseText = await getAIResponse(messageText, currentHistory, language);
-        const aiMessage = { user: user.email, text: responseText, sender: 'ai', timestamp: serverTimestamp(), tokens: responseText.split(/\s+/).length };
-        await sendMessageToFirestore(aiMessage);
+        if (user) localStorage.setItem(LOCAL_USER_KEY, '1');
+        else localStorage.removeItem(LOCAL_USER_KEY);
       } catch (error) {
-        console.error("Error getting AI response:", error);
-        toast.error("The AI failed to respond. Please try again.");
-      } finally {
-        aiResponseCount.current--;
-        if (aiResponseCount.current === 0) {
-            dispatch({ type: actionTypes.SET_TYPING, payload: false });
-        }
+        // Not remembering the sign-in is acceptable.
       }
-    };
+    }
+    listeners.forEach(listener => listener(currentUser));
+  };
 
-    // Call the centralized analysis function and the AI response function
-    analyzeAndSaveMessageFeatures(docRef, messageText, language);
-    fetchAIResponse();
+  return {
+    methods: ['local'],
+    subscribe(callback) {
+      listeners.add(callback);
+      setTimeout(() => callback(currentUser), 0);
+      return () => listeners.delete(callback);
+    },
+    signIn: async () => {
+      setUser(LOCAL_USER);
+      return {};
+    },
+    link: async () => {
+      throw new Error("Linking sign-in methods needs the Firebase backend.");
+    },
+    unlink: async () => {
+      throw new Error("Linking sign-in methods needs the Firebase backend.");
+    },
+    switchAccount: async () => {
+      throw new Error("Switching accounts needs the Firebase backend.");
+    },
+    completeSignIn: async () => {},
+    getIdToken: async () => null,
+    signOut: async () => setUser(null),
+  };
+}
+
+let messageStore;
+let authService;
+if (BACKEND === 'firebase') {
+  const firebaseConfig = {
+    apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
+    authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
+    projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
+    storageBucket: process.env.REACT_APP_FIREBASE_STORAGE_BUCKET,
+    messagingSenderId: process.env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
+    appId: process.env.REACT_APP_FIREBASE_APP_ID
+  };
+  const app = initializeApp(firebaseConfig);
+  messageStore = createFirestoreMessageStore(getFirestore(app));
+  authService = createFirebaseAuthService(getAuth(app));
+} else {
+  const persist = BACKEND !== 'memory';
+  messageStore = createLocalMessageStore({ persist });
+  authService = createLocalAuthService({ persist });
+}
+
+// The label of each sign-in method, for buttons and the list of linked methods.
+const AUTH_METHOD_LABELS = {
+  google: 'signInWithGoogle',
+  github: 'signInWithGitHub',
+  emailLink: 'signInWithEmail',
+  guest: 'continueAsGuest',
+  local: 'continueLocally',
+};
+
+// How linked methods are listed in the profile menu; email is named through the translations.
+const AUTH_METHOD_NAMES = { google: 'Google', github: 'GitHub' };
+
+// Closing the popup is not an error worth reporting; a few other failures get a clearer explanation.
+const SILENT_AUTH_ERRORS = ['auth/popup-closed-by-user', 'auth/cancelled-popup-request', 'auth/user-cancelled'];
+const ACCOUNT_IN_USE_ERRORS = ['auth/credential-already-in-use', 'auth/email-already-in-use'];
+const AUTH_ERROR_KEYS = {
+  'auth/credential-already-in-use': 'accountInUse',
+  'auth/email-already-in-use': 'accountInUse',
+  'auth/account-exists-with-different-credential': 'accountExistsOtherMethod',
+  'auth/invalid-email': 'invalidEmail',
+  'auth/invalid-action-code': 'emailLinkExpired',
+  'auth/expired-action-code': 'emailLinkExpired',
+};
+
+function reportAuthError(error, fallbackKey) {
+  console.error("Authentication error:", error);
+  if (SILENT_AUTH_ERRORS.includes(error.code)) return;
+  toast.error(AUTH_ERROR_KEYS[error.code] ? translate(AUTH_ERROR_KEYS[error.code]) : translate(fallbackKey, { error: error.message }));
+}
+
+async function signIn(method, options) {
+  try {
+    const { pending } = await authService.signIn(method, options);
+    if (pending === 'emailLink') toast.success(translate('emailLinkSent', { email: options.email }));
+  } catch (error) {
+    reportAuthError(error, 'signInFailed');
+  }
+}
+
+/**
+ * Switches a guest to the existing account their sign-in belongs to, taking their conversations along. The
+ * account cannot read the guest's data, so everything is read first, while still signed in as the guest.
+ * Conversations without messages move too. The guest's copy is left as it was.
+ * @param {object} guest - The guest user.
+ * @param {object} credential - The sign-in that belongs to the account.
+ * @returns {Promise<number>} - How many conversations were moved.
+ */
+async function moveGuestHistory(guest, credential) {
+  const conversations = await messageStore.listConversations(guest.uid);
+  const messagesByConversation = new Map(conversations.map(conversation => [conversation.id, []]));
+  (await messageStore.listAllMessages(guest.uid)).forEach(({ conversationId, ...message }) => {
+    messagesByConversation.get(conversationId)?.push(message);
+  });
+
+  const account = await authService.switchAccount(credential);
+  // Ratings and reactions are kept per user, so the guest's own become the account's.
+  const rekey = (entries) => Object.fromEntries(Object.entries(entries).map(([uid, value]) => [uid === guest.uid ? account.uid : uid, value]));
+  // Oldest first, so the sidebar keeps the guest's order.
+  for (const conversation of [...conversations].reverse()) {
+    const { id } = await messageStore.createConversation(account.uid, conversation.title);
+    if (conversation.persona) await messageStore.updateConversation(account.uid, id, { persona: conversation.persona });
+    const messages = messagesByConversation.get(conversation.id).map(message => ({
+      ...message,
+      uid: account.uid,
+      // A guest has no email, so their messages were attributed to nobody. Messages other people wrote, in a
+      // conversation the guest shared, stay theirs.
+      ...(messageAuthorUid(message) === guest.uid && { authorUid: account.uid, user: account.email }),
+      ...(message.feedback && { feedback: rekey(message.feedback) }),
+      ...(message.reactions && { reactions: rekey(message.reactions) }),
+    }));
+    if (messages.length === 0) continue;
+    await messageStore.importMessages(account.uid, id, messages);
+    await countWrittenMessages(account.uid, id, messages);
+  }
+  return conversations.length;
+}
+
+// A guest whose sign-in already belongs to an account is offered to switch to it with their history;
+// without this, switching would leave the history behind in the guest session.
+async function reportLinkError(error) {
+  if (!error.credential || !error.guest) {
+    reportAuthError(error, 'linkFailed');
+    return;
+  }
+  if (!window.confirm(translate('confirmMoveGuestHistory'))) {
+    toast.error(translate('accountInUse'));
+    return;
+  }
+  try {
+    const moved = await moveGuestHistory(error.guest, error.credential);
+    toast.success(translate('guestHistoryMoved', { count: moved }));
+  } catch (moveError) {
+    console.error("Failed to move the guest history:", moveError);
+    toast.error(translate('guestHistoryMoveFailed'));
+  }
+}
+
+// Adds a sign-in method to the signed-in account; for a guest this turns the session into a full account.
+async function linkSignInMethod(method, options) {
+  try {
+    const { pending } = await authService.link(method, options);
+    if (pending === 'emailLink') toast.success(translate('emailLinkSent', { email: options.email }));
+    else if (!pending) toast.success(translate('methodLinked'));
+  } catch (error) {
+    await reportLinkError(error);
+  }
+}
+
+async function unlinkSignInMethod(method) {
+  try {
+    await authService.unlink(method);
+    toast.success(translate('methodUnlinked'));
+  } catch (error) {
+    reportAuthError(error, 'unlinkFailed');
+  }
+}
+
+async function completePendingSignIn() {
+  try {
+    await authService.completeSignIn({ askForEmail: () => window.prompt(translate('confirmEmailForLink')) });
+  } catch (error) {
+    if (error.guest) await reportLinkError(error);
+    else reportAuthError(error, 'signInFailed');
+  }
+}
+
+async function signOutUser() {
+  await authService.signOut();
+  // Cached analyses repeat what the user wrote, so whoever signs in next on this browser starts afresh.
+  await resultCache.clear().catch(error => console.error("Failed to clear the result cache:", error));
+  clearSearchIndex();
+}
+
+function subscribeToAuth(callback) {
+  return authService.subscribe(callback);
+}
+
+/**
+ * Stores a blocked or flagged moderation decision in the moderation queue, where a moderator settles it
+ * with `reviewModerationEvent`.
+ * @param {object} event - The uid, conversation, source ('user' | 'ai'), text and moderation verdict. In a
+ * shared conversation `ownerUid` names whose conversation it is; `uid` is always the writer.
+ */
+async function recordModerationEvent({ uid, ownerUid = uid, user, conversationId, messageId = null, source, text, verdict }) {
+  try {
+    await messageStore.addModerationEvent({
+      uid,
+      ownerUid,
+      user,
+      conversationId,
+      messageId,
+      source,
+      text,
+      severity: verdict.severity,
+      reasons: verdict.matches.map(({ ruleId, reason, severity }) => ({ ruleId, reason, severity })),
+      status: 'pending',
+    });
+  } catch (error) {
+    console.error("Failed to record moderation event:", error);
+  }
+}
+
+// --- Roles & Moderation Actions ---
+
+// What each role may do, from least to most trusted. These checks only shape the UI; the backend's
+// security rules must enforce the same permissions.
+const ROLE_PERMISSIONS = {
+  member: [],
+  moderator: ['moderate', 'suspend'],
+  admin: ['moderate', 'suspend', 'assignRoles', 'setLimits'],
+};
+const USER_ROLES = Object.keys(ROLE_PERMISSIONS);
+const ROLE_LABELS = { member: 'roleMember', moderator: 'roleModerator', admin: 'roleAdmin' };
+
+// What a user may do until a moderator changes their account.
+const NEW_ACCOUNT = { role: 'member', suspended: false, usageLimits: null };
+
+const MODERATION_QUEUE_SIZE = 100;
+const AUDIT_LOG_SIZE = 200;
+const USER_PAGE_SIZE = 50;
+
+/**
+ * Whether an account grants a permission. Suspended accounts lose every permission.
+ * @param {object | null} account - The user's account.
+ * @param {'moderate' | 'suspend' | 'assignRoles' | 'setLimits'} permission
+ * @returns {boolean}
+ */
+const hasPermission = (account, permission) => Boolean(
+  account && !account.suspended && ROLE_PERMISSIONS[account.role]?.includes(permission)
+);
+
+/**
+ * Why an account may not write right now, as a translation key, or null when it may. An account that has
+ * not loaded yet could still turn out to be suspended, so it may not write either, and neither may one
+ * that failed to load.
+ * @param {object | null} account
+ * @returns {'accountLoading' | 'accountUnavailable' | 'accountSuspended' | null}
+ */
+const writeBlockedReason = (account) => {
+  if (!account) return 'accountLoading';
+  if (account.unavailable) return 'accountUnavailable';
+  return account.suspended ? 'accountSuspended' : null;
+};
+
+/**
+ * The profile changes to save when a user signs in. Roles are never among them: those live in the
+ * account, which only moderators write.
+ * @param {object} user - The signed-in user.
+ * @param {object | null} profile - The stored profile, if any.
+ * @returns {object}
+ */
+function profileChangesOnSignIn(user, profile) {
+  return {
+    email: user.email || null,
+    displayName: user.displayName || null,
+    lastSeenAt: new Date(),
+    // Counted from zero, so new users are listed by the busiest-first query.
+    ...(!profile && { messageCount: 0 }),
+  };
+}
+
+async function recordUserMessage(uid) {
+  try {
+    await messageStore.countUserMessage(uid);
+  } catch (error) {
+    // Like the analytics counters, the count is informational.
+    console.error("Failed to count the user's message:", error);
+  }
+}
+
+// Every moderation action is logged. A failed write is reported but does not undo the action itself.
+async function recordAuditEntry(actor, action, details) {
+  try {
+    await messageStore.addAuditEntry({ actorUid: actor.uid, actor: actor.email, action, ...details });
+  } catch (error) {
+    console.error("Failed to record audit entry:", error);
+  }
+}
+
+/**
+ * Settles a queued moderation event. Approving clears the flag on the stored message; removing soft-deletes
+ * it. Blocked text never reached the conversation, so deciding on it only closes the event.
+ * @param {object} actor - The signed-in moderator.
+ * @param {object} event - The moderation event.
+ * @param {'approve' | 'remove'} decision
+ */
+async function reviewModerationEvent(actor, event, decision) {
+  if (event.messageId) {
+    const changes = decision === 'approve'
+      ? { moderation: null }
+      : { deleted: true, deletedAt: new Date(), removedByModerator: true };
+    // Events recorded before conversations could be shared have no `ownerUid`; the writer was the owner.
+    await messageStore.updateMessage(event.ownerUid || event.uid, event.conversationId, event.messageId, changes);
+  }
+  await messageStore.updateModerationEvent(event.id, {
+    status: decision === 'approve' ? 'approved' : 'removed',
+    reviewedBy: actor.email,
+    reviewedAt: new Date(),
+  });
+  await recordAuditEntry(actor, decision === 'approve' ? 'approveMessage' : 'removeMessage', {
+    targetUid: event.uid,
+    target: event.user,
+    eventId: event.id,
+    conversationId: event.conversationId,
+    messageId: event.messageId,
+  });
+}
+
+async function setUserSuspended(actor, profile, suspended) {
+  await messageStore.saveAccount(profile.uid, {
+    suspended,
+    suspendedAt: suspended ? new Date() : null,
+    suspendedBy: suspended ? actor.email : null,
+  });
+  await recordAuditEntry(actor, suspended ? 'suspendUser' : 'reinstateUser', { targetUid: profile.uid, target: profile.email });
+}
+
+async function setUserRole(actor, profile, role) {
+  await messageStore.saveAccount(profile.uid, { role });
+  await recordAuditEntry(actor, 'changeRole', { targetUid: profile.uid, target: profile.email, role, previousRole: profile.role });
+}
+
+/**
+ * Replaces a user's usage limit overrides. Every limit is written, null meaning the deployment default, so
+ * a merging backend cannot keep an override that was cleared.
+ * @param {object} actor - The signed-in admin.
+ * @param {object} profile - The user's profile, merged with their account.
+ * @param {object} usageLimits - A value (or null) for each of `USAGE_LIMIT_NAMES`.
+ */
+async function setUserUsageLimits(actor, profile, usageLimits) {
+  await messageStore.saveAccount(profile.uid, { usageLimits });
+  await recordAuditEntry(actor, 'changeLimits', { targetUid: profile.uid, target: profile.email, usageLimits });
+}
+
+// --- Offline Outbox ---
+
+// Unsent user messages are kept in IndexedDB so they survive failures, offline periods and reloads.
+const OUTBOX_DB_NAME = 'shlokasphere-outbox';
+const OUTBOX_STORE = 'messages';
+const OUTBOX_MAX_ATTEMPTS = 5;
+const OUTBOX_SEND_TIMEOUT_MS = 15000;
+
+// Exponential backoff with jitter: ~2s, 4s, 8s... capped at one minute.
+const outboxBackoffDelay = (attempts) => Math.min(2000 * 2 ** (attempts - 1), 60000) + Math.random() * 1000;
+
+// Queued messages are written under an id derived from their nonce, so a retry overwrites rather than duplicates.
+const messageIdForNonce = (nonce) => nonce.replace(/^temp_/, 'msg_');
+
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  promise.then(
+    value => { clearTimeout(timer); resolve(value); },
+    error => { clearTimeout(timer); reject(error); }
+  );
+});
+
+let outboxDbPromise = null;
+
+function openOutboxDb() {
+  if (!outboxDbPromise) {
+    outboxDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'nonce' });
+        store.createIndex('byConversation', ['uid', 'conversationId']);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return outboxDbPromise;
+}
+
+// Settles with the transaction: a write is only done once it has been committed.
+async function outboxRequest(mode, makeRequest) {
+  const db = await openOutboxDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_STORE, mode);
+    const request = makeRequest(transaction.objectStore(OUTBOX_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error || request.error);
+    transaction.onabort = () => reject(transaction.error || new Error("The outbox transaction was aborted"));
+  });
+}
+
+// Without IndexedDB (e.g. some private browsing modes) the outbox still works, but only for the current page.
+const memoryOutbox = new Map();
+
+const outbox = {
+  get: async (nonce) => {
+    try {
+      return await outboxRequest('readonly', store => store.get(nonce));
+    } catch (error) {
+      return memoryOutbox.get(nonce);
+    }
+  },
+  put: async (entry) => {
+    try {
+      await outboxRequest('readwrite', store => store.put(entry));
+    } catch (error) {
+      memoryOutbox.set(entry.nonce, entry);
+    }
+  },
+  remove: async (nonce) => {
+    memoryOutbox.delete(nonce);
+    try {
+      await outboxRequest('readwrite', store => store.delete(nonce));
+    } catch (error) {
+      // Nothing persisted to remove.
+    }
+  },
+  listForConversation: async (uid, conversationId) => {
+    try {
+      const entries = await outboxRequest('readonly', store => store.index('byConversation').getAll([uid, conversationId]));
+      return entries.sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+      return [...memoryOutbox.values()].filter(entry => entry.uid === uid && entry.conversationId === conversationId);
+    }
+  },
+  listForUser: async (uid) => {
+    try {
+      // Arrays sort after strings, so `[uid, []]` bounds every conversation of the user.
+      const entries = await outboxRequest('readonly', store => store.index('byConversation').getAll(IDBKeyRange.bound([uid], [uid, []])));
+      return entries.sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+      return [...memoryOutbox.values()].filter(entry => entry.uid === uid);
+    }
+  },
+};
+
+// --- Result Cache ---
+
+// Analysis results are kept in IndexedDB across sessions so the same text is not sent for analysis twice.
+// Entries are keyed by a SHA-256 hash of the request, expire per namespace, and the least recently used
+// ones are evicted beyond a fixed size. Bumping the schema version discards everything cached before, e.g.
+// when an API starts returning differently shaped results. Signing out clears the cache.
+const RESULT_CACHE_DB_NAME = 'shlokasphere-cache';
+const RESULT_CACHE_STORE = 'results';
+const RESULT_CACHE_SCHEMA_VERSION = 2;
+const RESULT_CACHE_MAX_ENTRIES = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RESULT_CACHE_TTLS = {
+  sentiment: 7 * DAY_MS,
+  entities: 7 * DAY_MS,
+  translation: 30 * DAY_MS,
+};
+
+let resultCacheDbPromise = null;
+
+function openResultCacheDb() {
+  if (!resultCacheDbPromise) {
+    resultCacheDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = indexedDB.open(RESULT_CACHE_DB_NAME, RESULT_CACHE_SCHEMA_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (db.objectStoreNames.contains(RESULT_CACHE_STORE)) db.deleteObjectStore(RESULT_CACHE_STORE);
+        db.createObjectStore(RESULT_CACHE_STORE, { keyPath: 'key' }).createIndex('byLastUsed', 'lastUsedAt');
+      };
+      let isBlocked = false;
+      request.onsuccess = () => {
+        const db = request.result;
+        if (isBlocked) {
+          db.close();
+          return;
+        }
+        // Another tab is upgrading the schema: step aside, and reopen on next use.
+        db.onversionchange = () => {
+          db.close();
+          resultCacheDbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      // A tab still on the old schema holds the database open. Rather than wait for it, callers fall back
+      // to the network (and the memory cache) until it goes away.
+      request.onblocked = () => {
+        isBlocked = true;
+        resultCacheDbPromise = null;
+        reject(new Error("The result cache is held open by another tab"));
+      };
+    });
+  }
+  return resultCacheDbPromise;
+}
+
+async function resultCacheRequest(mode, makeRequest) {
+  const db = await openResultCacheDb();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(RESULT_CACHE_STORE, mode).objectStore(RESULT_CACHE_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Deletes the least recently used entries beyond the size limit.
+async function evictResultCache() {
+  const db = await openResultCacheDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(RESULT_CACHE_STORE, 'readwrite');
+    const store = transaction.objectStore(RESULT_CACHE_STORE);
+    const countRequest = store.count();
+    countRequest.onsuccess = () => {
+      let excess = countRequest.result - RESULT_CACHE_MAX_ENTRIES;
+      if (excess <= 0) return;
+      store.index('byLastUsed').openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || excess <= 0) return;
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Without IndexedDB the cache lives in memory for the current page. A Map keeps insertion order, so
+// re-inserting on every use makes its first key the least recently used one.
+const memoryResultCache = new Map();
+
+const rememberInMemory = (entry) => {
+  memoryResultCache.delete(entry.key);
+  memoryResultCache.set(entry.key, entry);
+  while (memoryResultCache.size > RESULT_CACHE_MAX_ENTRIES) {
+    memoryResultCache.delete(memoryResultCache.keys().next().value);
+  }
+};
+
+/**
+ * Hashes a request into a cache key.
+ * @param {string} namespace
+ * @param {*} input - Anything JSON-serializable that identifies the request.
+ * @returns {Promise<string | null>} - Null where Web Crypto is unavailable (outside secure contexts); nothing is cached then.
+ */
+async function resultCacheKey(namespace, input) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(input)));
+  return `${namespace}:${Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Hit and miss counts per namespace, for this page load.
+let resultCacheCounts = {};
+const resultCacheListeners = new Set();
+
+const countResultCacheLookup = (namespace, isHit) => {
+  const counts = resultCacheCounts[namespace] || { hits: 0, misses: 0 };
+  resultCacheCounts = { ...resultCacheCounts, [namespace]: { ...counts, [isHit ? 'hits' : 'misses']: counts[isHit ? 'hits' : 'misses'] + 1 } };
+  resultCacheListeners.forEach(listener => listener());
+};
+
+const resultCache = {
+  /** @returns {Promise<*>} - The cached value, or undefined when there is none or it has expired. */
+  get: async (namespace, input) => {
+    const key = await resultCacheKey(namespace, input);
+    if (!key) return undefined;
+    let entry;
+    try {
+      entry = await resultCacheRequest('readonly', store => store.get(key));
+    } catch (error) {
+      entry = memoryResultCache.get(key);
+    }
+    const isFresh = !!entry && entry.expiresAt > Date.now();
+    countResultCacheLookup(namespace, isFresh);
+    if (!isFresh) return undefined;
+    const touched = { ...entry, lastUsedAt: Date.now() };
+    resultCacheRequest('readwrite', store => store.put(touched)).catch(() => rememberInMemory(touched));
+    return entry.value;
+  },
+  set: async (namespace, input, value) => {
+    const key = await resultCacheKey(namespace, input);
+    if (!key) return;
+    const now = Date.now();
+    const entry = { key, namespace, value, createdAt: now, lastUsedAt: now, expiresAt: now + (RESULT_CACHE_TTLS[namespace] || DAY_MS) };
+    try {
+      await resultCacheRequest('readwrite', store => store.put(entry));
+      await evictResultCache();
+    } catch (error) {
+      // E.g. the storage quota is exhausted: keep the result for this page at least.
+      if (typeof indexedDB !== 'undefined') console.warn("Could not persist a cached result:", error);
+      rememberInMemory(entry);
+    }
+  },
+  clear: async () => {
+    memoryResultCache.clear();
+    resultCacheCounts = {};
+    try {
+      await resultCacheRequest('readwrite', store => store.clear());
+    } catch (error) {
+      if (typeof indexedDB !== 'undefined') throw error;
+    } finally {
+      resultCacheListeners.forEach(listener => listener());
+    }
+  },
+  /** @returns {Promise<{ entries: number, hits: number, misses: number, byNamespace: object }>} */
+  getStats: async () => {
+    let entries;
+    try {
+      entries = await resultCacheRequest('readonly', store => store.count());
+    } catch (error) {
+      entries = memoryResultCache.size;
+    }
+    const totals = Object.values(resultCacheCounts);
+    return {
+      entries,
+      hits: totals.reduce((sum, counts) => sum + counts.hits, 0),
+      misses: totals.reduce((sum, counts) => sum + counts.misses, 0),
+      byNamespace: resultCacheCounts,
+    };
+  },
+  subscribe: (listener) => {
+    resultCacheListeners.add(listener);
+    return () => resultCacheListeners.delete(listener);
+  },
+};
+
+/**
+ * Returns the cached result for a request, or computes and caches it. Failures are not cached.
+ * @param {'sentiment' | 'entities' | 'translation'} namespace
+ * @param {*} input - Identifies the request, e.g. the text.
+ * @param {() => Promise<*>} compute
+ * @returns {Promise<*>}
+ */
+async function cachedResult(namespace, input, compute) {
+  const cached = await resultCache.get(namespace, input);
+  if (cached !== undefined) return cached;
+  const value = await compute();
+  resultCache.set(namespace, input, value);
+  return value;
+}
+
+// --- API Service Setup ---
+
+const API_TIMEOUT_MS = 15000;
+// Generation takes longer than analysis; for streamed replies this only bounds the wait for the first byte.
+const AI_RESPONSE_TIMEOUT_MS = 60000;
+const API_MAX_RETRIES = 3;
+// A server asking to be left alone for longer than this gets a failure now rather than a frozen UI.
+const API_MAX_RETRY_AFTER_MS = 30000;
+
+/**
+ * A failed `/api/*` call. `kind` is one of 'timeout', 'network', 'rateLimited' (HTTP 429), 'server' (5xx),
+ * 'client' (any other 4xx) or 'invalidResponse', so the UI can tell the user what actually went wrong.
+ * Calls refused by a usage quota before being sent are 'rateLimited' too, and name the `quota`.
+ */
+class ApiError extends Error {
+  constructor(message, { kind, status = null, retryAfterMs = null, quota = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.quota = quota;
+  }
+
+  get isRetryable() {
+    return ['timeout', 'network', 'rateLimited', 'server'].includes(this.kind);
+  }
+}
+
+// Full jitter: a random wait below an exponentially growing cap, so clients that failed together do not retry together.
+const apiBackoffDelay = (attempt) => Math.random() * Math.min(500 * 2 ** attempt, 10000);
+
+const parseRetryAfter = (header) => {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const abortError = () => new DOMException('The request was aborted.', 'AbortError');
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const readJson = async (response) => {
+  try {
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new ApiError("The server response was not valid JSON.", { kind: 'invalidResponse', status: response.status });
+  }
+};
+
+// One attempt. The timeout and the caller's signal cover the request and `read`; a response body read after
+// that (a stream) has to follow the signal itself, since callers may reuse one signal for many requests.
+async function attemptApiRequest(path, body, { timeoutMs, signal, headers, read }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    const response = await fetch(path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      const kind = response.status === 429 ? 'rateLimited' : response.status >= 500 ? 'server' : 'client';
+      const retryAfterMs = parseRetryAfter(response.headers.get("Retry-After"));
+      throw new ApiError(`${path} responded with HTTP ${response.status}.`, { kind, status: response.status, retryAfterMs });
+    }
+    return await read(response);
+  } catch (error) {
+    if (timedOut) throw new ApiError(`${path} did not respond within ${timeoutMs}ms.`, { kind: 'timeout' });
+    if (signal?.aborted) throw abortError();
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(`${path} could not be reached: ${error.message}`, { kind: 'network' });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+async function sendApiRequest(path, body, { timeoutMs = API_TIMEOUT_MS, retries = API_MAX_RETRIES, signal, headers, read = readJson }) {
+  // The API layer identifies the user by their ID token to apply their usage limits.
+  const idToken = await authService.getIdToken();
+  const requestHeaders = idToken ? { ...headers, "Authorization": `Bearer ${idToken}` } : headers;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await attemptApiRequest(path, body, { timeoutMs, signal, headers: requestHeaders, read });
+    } catch (error) {
+      const canRetry = error instanceof ApiError && error.isRetryable && attempt < retries && !(error.retryAfterMs > API_MAX_RETRY_AFTER_MS);
+      if (!canRetry) throw error;
+      await sleep(error.retryAfterMs ?? apiBackoffDelay(attempt), signal);
+    }
+  }
+}
+
+const inFlightRequests = new Map();
+
+/**
+ * POSTs JSON to an `/api/*` endpoint. Every attempt has a timeout; timeouts, network errors, 429 and 5xx
+ * responses are retried with exponential backoff (or after the server's `Retry-After`).
+ * @param {string} path - The endpoint.
+ * @param {object} body - Sent as JSON.
+ * @param {{ timeoutMs?: number, retries?: number, signal?: AbortSignal, headers?: object, dedupe?: boolean, read?: (response: Response) => Promise<*> }} [options]
+ * `read` consumes a successful response (JSON by default). With `dedupe`, an identical request already in
+ * flight is shared instead of sent again; requests with a `signal` are never shared, since aborting one
+ * would abort them all.
+ * @returns {Promise<*>} - Whatever `read` returns. Rejects with an `ApiError`, or an `AbortError` when `signal` aborts.
+ */
+function apiPost(path, body, { dedupe = false, ...options } = {}) {
+  if (!dedupe || options.signal) return sendApiRequest(path, body, options);
+  const key = `${path}:${JSON.stringify(body)}`;
+  if (!inFlightRequests.has(key)) {
+    inFlightRequests.set(key, sendApiRequest(path, body, options).finally(() => inFlightRequests.delete(key)));
+  }
+  return inFlightRequests.get(key);
+}
+
+/**
+ * A message for the user about a failed call: specific when the kind of failure is known, otherwise the
+ * translated `fallbackKey`.
+ * @param {Error} error
+ * @param {string} fallbackKey - Translation key describing what failed, e.g. 'aiFailed'.
+ * @returns {string}
+ */
+function describeApiError(error, fallbackKey) {
+  if (error instanceof ApiError && error.quota) {
+    return translate(QUOTA_EXCEEDED_KEYS[error.quota], { time: formatCountdown(error.retryAfterMs) });
+  }
+  const keysByKind = { timeout: 'apiTimeout', network: 'apiNetwork', rateLimited: 'apiRateLimited', server: 'apiServerError' };
+  const key = error instanceof ApiError && keysByKind[error.kind];
+  return translate(key || fallbackKey);
+}
+
+const analyzeSentiment = (text) => cachedResult('sentiment', text, () => (
+  apiPost(`/api/google-sentiment`, { text }, { dedupe: true })
+));
+
+const analyzeEntities = (text) => cachedResult('entities', text, async () => {
+  const data = await apiPost(`/api/google-entities`, { text }, { dedupe: true });
+  return data.entities || [];
+});
+
+// The language each script is most often used for, to guess a message's language when the translation
+// service does not report it. Devanagari is shared by Hindi, Marathi and Sanskrit, so this is only a guess.
+const SCRIPT_LANGUAGES = [
+  [/[\u0900-\u097F]/g, 'hi'],
+  [/[\u0980-\u09FF]/g, 'bn'],
+  [/[\u0B80-\u0BFF]/g, 'ta'],
+  [/[\u0600-\u06FF]/g, 'ur'],
+  [/[A-Za-z]/g, 'en'],
+];
+
+/**
+ * Guesses the language of a text from the script most of its letters are written in.
+ * @param {string} text
+ * @returns {string | null} A language code, or null if the text has no letters of a known script.
+ */
+function detectScriptLanguage(text) {
+  let best = null;
+  let bestCount = 0;
+  SCRIPT_LANGUAGES.forEach(([pattern, code]) => {
+    const count = text.match(pattern)?.length || 0;
+    if (count > bestCount) {
+      best = code;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Translates a text and reports the language it was written in, as detected by the service or, failing
+ * that, guessed from its script.
+ * @returns {Promise<{ text: string, sourceLanguage: string | null }>}
+ */
+const requestTranslation = (text, target) => cachedResult('translation', { text, target }, async () => {
+  const data = await apiPost(`/api/google-translate`, { text, target }, { dedupe: true });
+  return { text: data.translation || "", sourceLanguage: data.detectedSourceLanguage || detectScriptLanguage(text) };
+});
+
+const translateText = async (text, target) => (await requestTranslation(text, target)).text;
+
+/**
+ * Requests a complete AI reply.
+ * @param {{ signal?: AbortSignal, persona?: string | null }} [options] - `persona` is the conversation's
+ * description of how the AI should behave, set with `/persona`.
+ * @returns {Promise<string>} - The reply. Rejects with an `ApiError` (including for an empty reply), so a
+ * failure can never be saved as if it were an answer.
+ */
+const getAIResponse = async (message, history, language, { signal, persona } = {}) => {
+  const data = await apiPost(`/api/generate-response`, { message, history, language, ...(persona && { persona }) }, { timeoutMs: AI_RESPONSE_TIMEOUT_MS, signal });
+  if (typeof data.text !== 'string' || !data.text.trim()) {
+    throw new ApiError("The AI service returned an empty reply.", { kind: 'invalidResponse' });
+  }
+  return data.text;
+};
+
+// Streaming can be switched off per deployment; servers without streaming support are handled at runtime.
+const AI_STREAMING_ENABLED = process.env.REACT_APP_AI_STREAMING !== 'false';
+// The longest a streamed reply may go without a chunk before it counts as stalled.
+const AI_STREAM_IDLE_TIMEOUT_MS = 30000;
+
+const streamFailure = (detail) => new ApiError(
+  `The AI service failed mid-stream: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`,
+  { kind: 'server' }
+);
+
+/**
+ * Extracts the text carried by one SSE `data:` payload. Servers may send raw text or JSON
+ * shaped like `{ token }`, `{ delta }` or `{ text }`.
+ * @param {string} data - The payload of a single server-sent event.
+ * @returns {string} - The text fragment to append.
+ * @throws {ApiError} When the payload is an `{ error }` report.
+ */
+function parseStreamPayload(data) {
+  let parsed;
+  try {
+    parsed = JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+  if (typeof parsed === 'string') return parsed;
+  if (parsed?.error) throw streamFailure(parsed.error);
+  return parsed?.token ?? parsed?.delta ?? parsed?.text ?? '';
+}
+
+/**
+ * Requests an AI reply and reports it progressively. Supports SSE (`text/event-stream`) and plain
+ * chunked bodies; if the server answers with JSON it does not support streaming, and the whole reply
+ * is delivered at once, exactly like `getAIResponse`.
+ * @param {string} message - The user's message.
+ * @param {Array<object>} history - The conversation history sent as context.
+ * @param {string} language - The current UI language.
+ * @param {{ signal?: AbortSignal, onToken?: (fullText: string) => void, persona?: string | null }} [options]
+ * @returns {Promise<string>} - The complete reply. Rejects with an `AbortError` when stopped, and with an
+ * `ApiError` when the request fails, the server reports an error, the stream stalls for longer than
+ * `AI_STREAM_IDLE_TIMEOUT_MS` or an event stream ends without its `[DONE]` marker.
+ */
+const streamAIResponse = async (message, history, language, { signal, onToken, persona } = {}) => {
+  const response = await apiPost(`/api/generate-response`, { message, history, language, stream: true, ...(persona && { persona }) }, {
+    timeoutMs: AI_RESPONSE_TIMEOUT_MS,
+    signal,
+    headers: { "Accept": "text/event-stream, application/json" },
+    read: async (received) => received,
+  });
+
+  const contentType = response.headers.get("Content-Type") || "";
+  if (contentType.includes("application/json") || !response.body) {
+    const data = await readJson(response);
+    if (typeof data.text !== 'string') throw new ApiError("The AI service returned no reply.", { kind: 'invalidResponse' });
+    onToken?.(data.text);
+    return data.text;
+  }
+
+  const isEventStream = contentType.includes("text/event-stream");
+  const reader = response.body.getReader();
+  // Stopping cancels the body, which ends the reads below; the abort is reported after them.
+  const onAbort = () => reader.cancel().catch(() => {});
+  if (signal?.aborted) onAbort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const decoder = new TextDecoder();
+  let fullText = "";
+  let buffer = "";
+  let done = false;
+
+  const readChunk = () => new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new ApiError(`The AI reply stream stalled for ${AI_STREAM_IDLE_TIMEOUT_MS}ms.`, { kind: 'timeout' })),
+      AI_STREAM_IDLE_TIMEOUT_MS
+    );
+    reader.read().then(resolve, reject).finally(() => clearTimeout(timer));
+  });
+
+  // Appends one server-sent event to the reply; returns whether it was the closing `[DONE]`.
+  const handleEvent = (event) => {
+    const lines = event.split(/\r?\n/);
+    const type = lines.find(line => line.startsWith("event:"))?.slice(6).trim();
+    const data = lines
+      .filter(line => line.startsWith("data:"))
+      .map(line => line.slice(5).replace(/^ /, ""))
+      .join("\n");
+    if (type === "error") throw streamFailure(data || "unknown error");
+    if (data === "[DONE]") return true;
+    if (data) fullText += parseStreamPayload(data);
+    return false;
+  };
+
+  try {
+    while (!done) {
+      const chunk = await readChunk();
+      if (signal?.aborted) throw abortError();
+      if (chunk.done) break;
+      const decoded = decoder.decode(chunk.value, { stream: true });
+      if (!isEventStream) {
+        fullText += decoded;
+        onToken?.(fullText);
+        continue;
+      }
+      buffer += decoded;
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      for (const event of events) {
+        done = handleEvent(event);
+        if (done) break;
+      }
+      onToken?.(fullText);
+    }
+    if (!done) {
+      // The body has ended: flush the decoder, and the last event in case it lacks its closing blank line.
+      const rest = decoder.decode();
+      if (isEventStream) {
+        buffer += rest;
+        if (buffer.trim()) done = handleEvent(buffer);
+      } else {
+        fullText += rest;
+      }
+      onToken?.(fullText);
+    }
+    // Plain bodies end when the reply does; an event stream that stops before `[DONE]` was cut off.
+    if (isEventStream && !done) throw new ApiError("The AI reply stream ended before it was complete.", { kind: 'network' });
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    if (signal?.aborted) throw abortError();
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(`The AI reply stream broke off: ${error.message}`, { kind: 'network' });
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+  if (done) reader.cancel().catch(() => {});
+  return fullText;
+};
+
+/**
+ * A centralized utility to perform all AI analyses on a message and update it in the message store.
+ * @param {{ uid: string, ownerUid?: string, conversationId: string, messageId: string, timestamp?: Date, previous?: object }} messageRef - Who
+ * analyzes it (`uid`), where it is stored (under `ownerUid`, by default the same user), when it was sent and, for a
+ * re-analysis, the stored message whose counted results are replaced.
+ * @param {string} text - The text of the message to analyze.
+ * @param {string} targetLang - The language code to translate the text into.
+ * @param {object} usageLimits - The user's limits; each analysis uses one unit of the 'analyses' quota.
+ * @returns {Promise<void>} - Rejects with the first failure (usually an `ApiError`); results of the analyses
+ * that did succeed are saved regardless.
+ */
+async function analyzeAndSaveMessageFeatures(messageRef, text, targetLang, usageLimits) {
+  consumeQuota(messageRef.uid, 'analyses', usageLimits);
+  const [sentiment, entities, translation] = await Promise.allSettled([
+    analyzeSentiment(text),
+    analyzeEntities(text),
+    translateText(text, targetLang)
+  ]).then(results => results.map(result => (result.status === 'fulfilled' ? result.value : { failure: result.reason })));
+  const failure = [sentiment, entities, translation].find(result => result?.failure)?.failure;
+  const results = {
+    ...(sentiment && !sentiment.failure && { sentiment }),
+    ...(entities && !entities.failure && { entities }),
+    ...(translation && !translation.failure && { translation }),
+  };
+  // Marks the message as done even when an analysis legitimately found nothing (e.g. no entities).
+  if (!failure) results.analyzedAt = new Date();
+  if (Object.keys(results).length > 0) {
+    const ownerUid = messageRef.ownerUid || messageRef.uid;
+    await messageStore.updateMessage(ownerUid, messageRef.conversationId, messageRef.messageId, results);
+    // Results of analyses that failed this time stay as they were, and so do their counters.
+    const previous = messageRef.previous || {};
+    const counted = analysisStatsDelta({ sentiment: previous.sentiment, entities: previous.entities, ...results });
+    recordStats(ownerUid, messageRef.conversationId, messageRef.timestamp || new Date(), counterChanges(analysisStatsDelta(previous), counted), { userWide: ownerUid === messageRef.uid });
+  }
+  if (failure) {
+    applyServerCooldown(messageRef.uid, 'analyses', failure);
+    throw failure;
+  }
+}
+
+// --- Usage Limits ---
+
+// Every quota counts uses in a sliding window. The API layer enforces the same limits per user and answers
+// HTTP 429 with `Retry-After` once one is used up; the client checks first so it can show what is left.
+const USAGE_QUOTAS = {
+  messages: { limitName: 'messagesPerMinute', windowMs: 60 * 1000 },
+  aiReplies: { limitName: 'aiRepliesPerDay', windowMs: 24 * 60 * 60 * 1000 },
+  analyses: { limitName: 'analysesPerDay', windowMs: 24 * 60 * 60 * 1000 },
+};
+const USAGE_LIMIT_NAMES = Object.values(USAGE_QUOTAS).map(quota => quota.limitName);
+const QUOTA_EXCEEDED_KEYS = { messages: 'messageQuotaExceeded', aiReplies: 'aiReplyQuotaExceeded', analyses: 'analysisQuotaExceeded' };
+
+const isValidLimit = (value) => Number.isInteger(value) && value > 0;
+
+// Keeps the positive whole-number limits of `overrides`; anything else falls back to the defaults.
+const validUsageLimits = (overrides) => Object.fromEntries(
+  USAGE_LIMIT_NAMES.filter(name => isValidLimit(overrides?.[name])).map(name => [name, overrides[name]])
+);
+
+/**
+ * The deployment's limits can be changed at build time with JSON such as `{ "messagesPerMinute": 5 }`.
+ * @returns {object}
+ */
+function loadConfiguredUsageLimits() {
+  const raw = process.env.REACT_APP_USAGE_LIMITS;
+  if (!raw) return {};
+  try {
+    return validUsageLimits(JSON.parse(raw));
+  } catch (error) {
+    console.error("Invalid REACT_APP_USAGE_LIMITS, ignoring:", error);
+    return {};
+  }
+}
+
+const DEFAULT_USAGE_LIMITS = {
+  messagesPerMinute: 10,
+  aiRepliesPerDay: 200,
+  analysesPerDay: 300,
+  ...loadConfiguredUsageLimits(),
+};
+
+/**
+ * The limits that apply to a user: the defaults, with the overrides an admin set on their account.
+ * @param {object | null} account
+ * @returns {{ messagesPerMinute: number, aiRepliesPerDay: number, analysesPerDay: number }}
+ */
+const resolveUsageLimits = (account) => ({ ...DEFAULT_USAGE_LIMITS, ...validUsageLimits(account?.usageLimits) });
+
+// Uses are remembered per user in localStorage, so reloading the page does not reset them.
+const usageKey = (uid) => `usage:${uid}`;
+const usageListeners = new Set();
+
+function readUsage(uid) {
+  try {
+    return JSON.parse(localStorage.getItem(usageKey(uid))) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function writeUsage(uid, usage) {
+  try {
+    localStorage.setItem(usageKey(uid), JSON.stringify(usage));
+  } catch (error) {
+    // The API layer still enforces the limits; only the remaining counts shown may be off.
+  }
+  usageListeners.forEach(listener => listener(uid));
+}
+
+const subscribeToUsage = (listener) => {
+  usageListeners.add(listener);
+  return () => usageListeners.delete(listener);
+};
+
+/**
+ * Where a user stands on one quota.
+ * @param {string} uid
+ * @param {'messages' | 'aiReplies' | 'analyses'} quota
+ * @param {object} limits - From `resolveUsageLimits`.
+ * @returns {{ limit: number, remaining: number, retryAfterMs: number }} - `retryAfterMs` is 0 while uses
+ * remain, otherwise the time until the next one is available.
+ */
+function getQuotaStatus(uid, quota, limits) {
+  const { limitName, windowMs } = USAGE_QUOTAS[quota];
+  const limit = limits[limitName];
+  const now = Date.now();
+  const usage = readUsage(uid);
+  const uses = (usage[quota] || []).filter(time => time > now - windowMs);
+  const cooldownMs = Math.max(0, (usage.cooldownUntil?.[quota] || 0) - now);
+  if (cooldownMs > 0) return { limit, remaining: 0, retryAfterMs: cooldownMs };
+  if (uses.length < limit) return { limit, remaining: limit - uses.length, retryAfterMs: 0 };
+  // A use becomes available again when the oldest one still counting leaves the window.
+  return { limit, remaining: 0, retryAfterMs: uses[uses.length - limit] + windowMs - now };
+}
+
+/**
+ * Records one use of a quota.
+ * @throws {ApiError} - A 'rateLimited' error naming the quota when none is left; nothing is recorded then.
+ */
+function consumeQuota(uid, quota, limits) {
+  const status = getQuotaStatus(uid, quota, limits);
+  if (status.retryAfterMs > 0) {
+    throw new ApiError(`The ${quota} quota is used up.`, { kind: 'rateLimited', retryAfterMs: status.retryAfterMs, quota });
+  }
+  const usage = readUsage(uid);
+  const now = Date.now();
+  usage[quota] = [...(usage[quota] || []).filter(time => time > now - USAGE_QUOTAS[quota].windowMs), now];
+  writeUsage(uid, usage);
+}
+
+// Failures on the service's side, which should not cost the user a use: the call may never have reached it,
+// or produced nothing usable.
+const isServiceFailure = (error) => error instanceof ApiError && ['timeout', 'network', 'server', 'invalidResponse'].includes(error.kind);
+
+// Gives back the latest use of a quota, e.g. for an AI reply that never arrived.
+function refundQuota(uid, quota) {
+  const usage = readUsage(uid);
+  if (!usage[quota]?.length) return;
+  usage[quota] = usage[quota].slice(0, -1);
+  writeUsage(uid, usage);
+}
+
+// When the API layer refuses a call for longer than `apiPost` retries, the client waits out the same cooldown.
+function applyServerCooldown(uid, quota, error) {
+  if (!(error instanceof ApiError) || error.kind !== 'rateLimited' || error.quota || !error.retryAfterMs) return;
+  const usage = readUsage(uid);
+  usage.cooldownUntil = { ...usage.cooldownUntil, [quota]: Date.now() + error.retryAfterMs };
+  writeUsage(uid, usage);
+}
+
+// A wait as a clock-style countdown, e.g. "0:45" or "3:05:00".
+function formatCountdown(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+// --- Presence ---
+
+// Each open tab is one presence session, rewritten on a heartbeat while its user is active. A tab that closes
+// without saying so (a crash, a lost connection) counts as gone once PRESENCE_TTL_MS passes without one.
+const PRESENCE_HEARTBEAT_MS = 25 * 1000;
+const PRESENCE_TTL_MS = 60 * 1000;
+// With no input for this long, or with the tab hidden, the session goes offline until the user is back.
+const PRESENCE_IDLE_MS = 5 * 60 * 1000;
+// People who left within this window are still listed, with when they were last seen.
+const PRESENCE_RECENT_MS = 24 * 60 * 60 * 1000;
+// Typing is written at most once per throttle interval, and counts as stopped once a write is this old.
+const TYPING_THROTTLE_MS = 3 * 1000;
+const TYPING_TTL_MS = 6 * 1000;
+const PRESENCE_SESSION_ID = `session_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+
+/**
+ * Folds presence sessions into one entry per person, leaving out the signed-in user.
+ * @param {object[]} sessions - From `subscribeToPresence`.
+ * @param {string} selfUid
+ * @param {number} now
+ * @returns {{ uid: string, name: string | null, isOnline: boolean, isTyping: boolean, lastSeenAt: Date }[]} -
+ * Online people first, then the most recently seen.
+ */
+function summarizePresence(sessions, selfUid, now) {
+  const people = new Map();
+  sessions.forEach(session => {
+    if (session.uid === selfUid || !(session.lastSeenAt instanceof Date)) return;
+    const age = now - session.lastSeenAt.getTime();
+    if (age > PRESENCE_RECENT_MS) return;
+    const isOnline = Boolean(session.online) && age < PRESENCE_TTL_MS;
+    const person = people.get(session.uid);
+    people.set(session.uid, {
+      uid: session.uid,
+      name: person?.name || session.displayName || session.email || null,
+      isOnline: isOnline || Boolean(person?.isOnline),
+      isTyping: (isOnline && Boolean(session.typing) && age < TYPING_TTL_MS) || Boolean(person?.isTyping),
+      lastSeenAt: person && person.lastSeenAt > session.lastSeenAt ? person.lastSeenAt : session.lastSeenAt,
+    });
+  });
+  return [...people.values()].sort((a, b) => (b.isOnline - a.isOnline) || (b.lastSeenAt - a.lastSeenAt));
+}
+
+// --- Token Budgeting ---
+
+// The encoding of the model behind `/api/generate-response`. Its ranks are large, so they are fetched on
+// first use; until they arrive, counts are estimated.
+const TOKENIZER_ENCODING = process.env.REACT_APP_TOKENIZER_ENCODING || 'o200k_base';
+const tokenizerRanks = {
+  o200k_base: () => import('js-tiktoken/ranks/o200k_base'),
+  cl100k_base: () => import('js-tiktoken/ranks/cl100k_base'),
+};
+
+// How much history may be sent as AI context, leaving the rest of the model's window for the reply.
+const AI_CONTEXT_TOKEN_BUDGET = Number(process.env.REACT_APP_AI_CONTEXT_TOKENS) || 4000;
+// The most the summary of turns that no longer fit may take out of that budget.
+const AI_HISTORY_SUMMARY_TOKENS = 400;
+// Chat formats wrap every message in a few tokens of role markers.
+const MESSAGE_TOKEN_OVERHEAD = 4;
+
+let tokenizer = null;
+let tokenizerLoad = null;
+const tokenCountCache = new Map();
+
+/**
+ * Fetches the tokenizer once. Failures are logged and leave counting on estimates.
+ * @returns {Promise<Tiktoken | null>}
+ */
+function loadTokenizer() {
+  if (!tokenizerLoad) {
+    const loadRanks = tokenizerRanks[TOKENIZER_ENCODING] || tokenizerRanks.o200k_base;
+    tokenizerLoad = loadRanks()
+      .then(module => {
+        tokenizer = new Tiktoken(module.default);
+        // Cached counts so far are estimates.
+        tokenCountCache.clear();
+        return tokenizer;
+      })
+      .catch(error => {
+        console.error("Failed to load the tokenizer, token counts are estimated:", error);
+        return null;
+      });
+  }
+  return tokenizerLoad;
+}
+
+// Roughly four characters per token for Latin words and numbers; BPE vocabularies split Devanagari and
+// most other scripts into about a token per character.
+function estimateTokens(text) {
+  const words = text.match(/[\p{Script=Latin}\p{N}]+/gu) || [];
+  const rest = text.replace(/[\p{Script=Latin}\p{N}\s]/gu, '');
+  return words.reduce((sum, word) => sum + Math.ceil(word.length / 4), 0) + Array.from(rest).length;
+}
+
+/**
+ * Counts the tokens the model sees for a text.
+ * @param {string} text
+ * @returns {number}
+ */
+function countTokens(text) {
+  if (!text) return 0;
+  if (tokenCountCache.has(text)) return tokenCountCache.get(text);
+  if (!tokenizer) loadTokenizer();
+  // Special-token markers typed into a message are counted as ordinary text.
+  const count = tokenizer ? tokenizer.encode(text, [], []).length : estimateTokens(text);
+  if (tokenCountCache.size >= 1000) tokenCountCache.clear();
+  tokenCountCache.set(text, count);
+  return count;
+}
+
+const messageTokenCost = (message) => countTokens(message.text) + MESSAGE_TOKEN_OVERHEAD;
+
+// The only fields the model is sent; analysis results, moderation notes, alternatives and edit history stay out.
+const toPromptMessage = (message) => ({ sender: message.sender, text: message.text });
+
+// Index of the oldest message that still fits when keeping the newest ones; the last message always fits.
+function fitNewest(messages, budget) {
+  let start = messages.length;
+  let tokens = 0;
+  while (start > 0) {
+    const cost = messageTokenCost(messages[start - 1]);
+    if (start < messages.length && tokens + cost > budget) break;
+    tokens += cost;
+    start--;
+  }
+  return { start, tokens };
+}
+
+// An extractive digest of the dropped messages: the opening line of as many of the most recent ones as fit.
+function summarizeOmitted(messages, budget) {
+  const header = `Summary of ${messages.length} earlier message(s) left out of this history:`;
+  const lines = [];
+  let tokens = countTokens(header) + MESSAGE_TOKEN_OVERHEAD;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const opening = messages[i].text.trim().split('\n')[0].slice(0, 200);
+    const line = `- ${messages[i].sender === 'ai' ? 'AI' : 'User'}: ${opening}`;
+    const cost = countTokens(line) + 1;
+    if (tokens + cost > budget) break;
+    lines.unshift(line);
+    tokens += cost;
+  }
+  return lines.length > 0 ? { sender: 'system', text: [header, ...lines].join('\n') } : null;
+}
+
+/**
+ * Fits the conversation into the token budget for AI context. The newest messages are kept whole (the
+ * last one, the prompt itself, always is); older ones that do not fit are replaced by one summary message
+ * with `sender: 'system'`, or dropped when `summarize` is off.
+ * @param {object[]} messages - The history, oldest first, already filtered with `isInPromptHistory`.
+ * @param {{ budget?: number, summarize?: boolean }} [options]
+ * @returns {{ history: Array<{ sender: string, text: string }>, tokens: number, omitted: number }} - `omitted`
+ * is how many messages were not sent in full.
+ */
+function buildPromptHistory(messages, { budget = AI_CONTEXT_TOKEN_BUDGET, summarize = true } = {}) {
+  let { start, tokens } = fitNewest(messages, budget);
+  let summary = null;
+  if (start > 0 && summarize) {
+    const summaryBudget = Math.min(AI_HISTORY_SUMMARY_TOKENS, Math.floor(budget / 4));
+    ({ start, tokens } = fitNewest(messages, budget - summaryBudget));
+    summary = summarizeOmitted(messages.slice(0, start), summaryBudget);
+  }
+  const history = messages.slice(start).map(toPromptMessage);
+  if (summary) {
+    history.unshift(summary);
+    tokens += messageTokenCost(summary);
+  }
+  return { history, tokens, omitted: start };
+}
+
+// --- Analytics Counters ---
+
+// Analytics read pre-aggregated daily counters instead of scanning messages. Days and hours are
+// bucketed in the writer's local time zone.
+const dayKey = (date) => {
+  const d = date instanceof Date ? date : new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const entityKey = (entity) => `${entity.type || 'OTHER'}:${entity.name}`;
+
+/**
+ * Counter increments for one persisted message.
+ * @param {object} message - The message as stored (sender, user, tokens).
+ * @param {Date} date - When the message was sent.
+ * @returns {object}
+ */
+function messageStatsDelta(message, date) {
+  const isAI = message.sender === 'ai';
+  return {
+    messages: 1,
+    [isAI ? 'aiMessages' : 'userMessages']: 1,
+    byHour: { [date.getHours()]: 1 },
+    [isAI ? 'aiTokensByUser' : 'tokensByUser']: { [message.user || 'unknown']: message.tokens || 0 },
+  };
+}
+
+/**
+ * Counter increments for the analysis results saved on a message.
+ * @param {{ sentiment?: { score: number }, entities?: Array<{ name: string, type: string }> }} analysis
+ * @returns {object}
+ */
+function analysisStatsDelta({ sentiment, entities }) {
+  const delta = {};
+  if (sentiment && typeof sentiment.score === 'number') {
+    delta.sentimentSum = sentiment.score;
+    delta.sentimentCount = 1;
+  }
+  if (entities && entities.length > 0) {
+    delta.entities = entities.reduce((counts, entity) => {
+      const key = entityKey(entity);
+      counts[key] = (counts[key] || 0) + 1;
+      return counts;
+    }, {});
+  }
+  return delta;
+}
+
+// Reasons a user can give with a rating, by rating, with the key of their label.
+const FEEDBACK_REASONS = {
+  up: { accurate: 'reasonAccurate', helpful: 'reasonHelpful', clear: 'reasonClear' },
+  down: { inaccurate: 'reasonInaccurate', unhelpful: 'reasonUnhelpful', unclear: 'reasonUnclear', offensive: 'reasonOffensive' },
+};
+
+/**
+ * Counter totals for the ratings on an AI reply, one per user who rated it. They are counted under the day
+ * the reply was written, so satisfaction can be compared before and after a prompt change.
+ * @param {{ feedback?: Object<string, { rating: 'up' | 'down', reason?: string | null }> }} message
+ * @returns {object}
+ */
+function feedbackStatsDelta({ feedback }) {
+  const delta = {};
+  Object.values(feedback || {}).forEach(({ rating, reason }) => {
+    const key = rating === 'up' ? 'ratingsUp' : 'ratingsDown';
+    delta[key] = (delta[key] || 0) + 1;
+    if (reason) {
+      delta.feedbackReasons = delta.feedbackReasons || {};
+      delta.feedbackReasons[reason] = (delta.feedbackReasons[reason] || 0) + 1;
+    }
+  });
+  return delta;
+}
+
+/**
+ * The increments that turn the counters `before` into `after`, e.g. when a rating is changed.
+ * Counters that stay the same are left out.
+ * @param {object} before
+ * @param {object} after
+ * @returns {object}
+ */
+function counterChanges(before, after) {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+    const from = before[key];
+    const to = after[key];
+    if (typeof (to ?? from) === 'number') {
+      const difference = (to || 0) - (from || 0);
+      if (difference !== 0) changes[key] = difference;
+    } else {
+      const nested = counterChanges(from || {}, to || {});
+      if (Object.keys(nested).length > 0) changes[key] = nested;
+    }
+  });
+  return changes;
+}
+
+/**
+ * @param {string} uid - Whose counters they are: the owner of the conversation.
+ * @param {{ userWide?: boolean }} [options] - Passed on to `incrementStats`. Only the owner may write their
+ * user-wide counters; what members of a shared conversation add reaches them when the owner rebuilds them.
+ */
+async function recordStats(uid, conversationId, date, delta, options) {
+  if (Object.keys(delta).length === 0) return;
+  try {
+    await messageStore.incrementStats(uid, conversationId, dayKey(date), delta, options);
+  } catch (error) {
+    // Counters are non-critical; a missed increment only skews the dashboard slightly.
+    console.error("Failed to update analytics counters:", error);
+  }
+}
+
+const daysBetween = (fromDay, toDay) => {
+  const keys = [];
+  const cursor = new Date(`${fromDay}T00:00:00`);
+  while (dayKey(cursor) <= toDay && keys.length < 366) {
+    keys.push(dayKey(cursor));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return keys;
+};
+
+const addNumbers = (target, source) => {
+  Object.entries(source).forEach(([key, value]) => {
+    if (key === 'day') return;
+    if (typeof value === 'number') {
+      target[key] = (target[key] || 0) + value;
+    } else if (value && typeof value === 'object') {
+      target[key] = addNumbers(target[key] || {}, value);
+    }
+  });
+  return target;
+};
+
+/**
+ * Folds daily counter documents into the figures the dashboard displays.
+ * @param {object[]} days - Daily counters, oldest first.
+ * @param {string} fromDay - First day of the range; days without activity are reported as zero.
+ * @param {string} toDay - Last day of the range.
+ * @returns {object}
+ */
+function summarizeStats(days, fromDay, toDay) {
+  const totals = days.reduce((sum, day) => addNumbers(sum, day), {});
+  const entitiesByType = {};
+  Object.entries(totals.entities || {}).forEach(([key, count]) => {
+    const separator = key.indexOf(':');
+    const type = key.slice(0, separator);
+    (entitiesByType[type] = entitiesByType[type] || []).push({ name: key.slice(separator + 1), count });
+  });
+  Object.values(entitiesByType).forEach(list => list.sort((a, b) => b.count - a.count).splice(5));
+  const users = [...new Set([...Object.keys(totals.tokensByUser || {}), ...Object.keys(totals.aiTokensByUser || {})])];
+  // The share of ratings that were positive, or null without ratings.
+  const satisfaction = (counters) => {
+    const ratings = (counters.ratingsUp || 0) + (counters.ratingsDown || 0);
+    return ratings ? (counters.ratingsUp || 0) / ratings : null;
+  };
+
+  return {
+    messages: totals.messages || 0,
+    userMessages: totals.userMessages || 0,
+    aiMessages: totals.aiMessages || 0,
+    averageSentiment: totals.sentimentCount ? totals.sentimentSum / totals.sentimentCount : null,
+    ratingsUp: totals.ratingsUp || 0,
+    ratingsDown: totals.ratingsDown || 0,
+    satisfaction: satisfaction(totals),
+    feedbackReasons: Object.entries(totals.feedbackReasons || {})
+      .map(([reason, count]) => ({ reason, count }))
+      .sort((a, b) => b.count - a.count),
+    perDay: daysBetween(fromDay, toDay).map(key => {
+      const day = days.find(d => d.day === key) || {};
+      return {
+        day: key,
+        messages: day.messages || 0,
+        averageSentiment: day.sentimentCount ? day.sentimentSum / day.sentimentCount : null,
+        ratingsUp: day.ratingsUp || 0,
+        ratingsDown: day.ratingsDown || 0,
+        satisfaction: satisfaction(day),
+      };
+    }),
+    perHour: Array.from({ length: 24 }, (_, hour) => ({ hour, messages: totals.byHour?.[hour] || 0 })),
+    entitiesByType,
+    tokensByUser: users
+      .map(user => ({ user, tokens: totals.tokensByUser?.[user] || 0, aiTokens: totals.aiTokensByUser?.[user] || 0 }))
+      .sort((a, b) => (b.tokens + b.aiTokens) - (a.tokens + a.aiTokens)),
+  };
+}
+
+/**
+ * Everything a stored message contributes to the counters. Deleted messages contribute nothing.
+ * @param {object} message - The message as stored.
+ * @returns {object}
+ */
+function storedMessageStats(message) {
+  if (message.deleted || !message.timestamp) return {};
+  return addNumbers(addNumbers(messageStatsDelta(message, message.timestamp), analysisStatsDelta(message)), feedbackStatsDelta(message));
+}
+
+/**
+ * Counts messages written in bulk, such as an import, with one update per day.
+ * @param {string} uid
+ * @param {string} conversationId
+ * @param {object[]} messages - The messages as stored.
+ */
+async function countWrittenMessages(uid, conversationId, messages) {
+  const byDay = {};
+  messages.filter(message => message.timestamp).forEach(message => {
+    const day = dayKey(message.timestamp);
+    byDay[day] = addNumbers(byDay[day] || {}, storedMessageStats(message));
+  });
+  await Promise.all(Object.entries(byDay).map(([day, delta]) =>
+    messageStore.incrementStats(uid, conversationId, day, delta).catch(error => console.error("Failed to update analytics counters:", error))
+  ));
+}
+
+/**
+ * Recomputes counters from stored messages, for history written before counters existed. This is the one
+ * place that scans messages, and it only runs on request.
+ * @param {string} uid - The user whose counters are rebuilt.
+ * @param {string | null} conversationId - The conversation to rebuild, or null for the user-wide counters.
+ */
+async function rebuildStats(uid, conversationId) {
+  const storedMessages = await messageStore.listAllMessages(uid, conversationId ? { conversationId } : {});
+  const byDay = {};
+  storedMessages.filter(message => message.timestamp && !message.deleted).forEach(message => {
+    const day = dayKey(message.timestamp);
+    byDay[day] = addNumbers(byDay[day] || {}, storedMessageStats(message));
+  });
+  await Promise.all(Object.entries(byDay).map(([day, totals]) => messageStore.replaceStats(uid, conversationId, day, totals)));
+}
+
+// --- Content Moderation ---
+
+// Severities in increasing order of strictness. 'review' content is persisted but flagged for a moderator.
+const MODERATION_SEVERITIES = ['allow', 'warn', 'review', 'block'];
+
+// Invisible characters commonly used to split words and slip past filters.
+const ZERO_WIDTH_CHARS = /[\u00AD\u034F\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g;
+
+// Cyrillic and Greek letters that render like Latin ones.
+const HOMOGLYPHS = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x',
+  'і': 'i', 'ї': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'ӏ': 'l', 'ɡ': 'g', 'ο': 'o', 'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i',
+  'κ': 'k', 'ν': 'v', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x',
+};
+
+const LEETSPEAK = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't' };
+
+/**
+ * Normalizes text so that trivially obfuscated variants compare equal. Devanagari matras and viramas are
+ * preserved; only Latin diacritics and the nukta are folded away.
+ * @param {string} text - The raw text.
+ * @returns {{ clean: string, words: string, compact: string }} - `clean` keeps the original shape (for regex
+ * rules), `words` is a space-separated folded form and `compact` also drops separators and repeated letters.
+ */
+function normalizeForModeration(text) {
+  const clean = (text || '').normalize('NFKC').replace(ZERO_WIDTH_CHARS, '');
+  const folded = Array.from(clean.toLowerCase(), ch => HOMOGLYPHS[ch] ?? LEETSPEAK[ch] ?? ch).join('')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\u093C/g, '')
+    .normalize('NFC');
+  const words = folded.replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+  const compact = words.replace(/ /g, '').replace(/(.)\1+/gu, '$1');
+  return { clean, words, compact };
+}
+
+/**
+ * Default rule sets. Each has an id, a severity, a human-readable reason, and `terms` (matched on whole
+ * words after normalization) and/or `patterns` (regular expressions run on the cleaned text).
+ * `matchObfuscated` also matches terms hidden inside spaced-out or padded text, e.g. "b a d w o r d".
+ */
+const defaultModerationRuleSets = [
+  {
+    id: 'profanity',
+    severity: 'block',
+    reason: 'Offensive language',
+    terms: ['badword1', 'badword2'],
+    matchObfuscated: true,
+  },
+  {
+    id: 'self-harm',
+    severity: 'review',
+    reason: 'Possible self-harm content',
+    terms: ['kill myself', 'end my life', 'suicide', 'आत्महत्या', 'खुदकुशी', 'ख़ुदकुशी'],
+  },
+  {
+    id: 'personal-data',
+    severity: 'warn',
+    reason: 'Contains personal contact details',
+    patterns: ['[\\w.+-]+@[\\w-]+\\.[\\w.]+', '(?:\\+?91[\\s-]?)?[6-9]\\d{4}[\\s-]?\\d{5}\\b'],
+  },
+];
+
+/**
+ * Extra rule sets can be supplied as JSON (same shape as above, patterns as strings) at build time.
+ * @returns {Array<object>}
+ */
+function loadConfiguredModerationRuleSets() {
+  const raw = process.env.REACT_APP_MODERATION_RULES;
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error("Invalid REACT_APP_MODERATION_RULES, ignoring:", error);
+    return [];
+  }
+}
+
+/**
+ * Compiles rule sets into a moderation function.
+ * @param {Array<object>} ruleSets - The rule sets to enforce.
+ * @returns {(text: string) => { severity: string, matches: Array<{ ruleId: string, reason: string, severity: string }> }}
+ */
+function createModerator(ruleSets) {
+  // A broken rule (e.g. an invalid pattern from REACT_APP_MODERATION_RULES) is left out rather than taking
+  // the whole app down with it.
+  const compiled = ruleSets
+    .filter(rule => MODERATION_SEVERITIES.includes(rule?.severity))
+    .flatMap(rule => {
+      try {
+        return [{
+          ...rule,
+          terms: (rule.terms || []).map(term => normalizeForModeration(term)),
+          patterns: (rule.patterns || []).map(pattern => new RegExp(pattern, 'iu')),
+        }];
+      } catch (error) {
+        console.error(`Moderation rule "${rule.id}" could not be compiled, ignoring it:`, error);
+        return [];
+      }
+    });
+
+  return (text) => {
+    const normalized = normalizeForModeration(text);
+    const paddedWords = ` ${normalized.words} `;
+    const matches = compiled
+      .filter(rule =>
+        rule.terms.some(term => paddedWords.includes(` ${term.words} `) || (rule.matchObfuscated && normalized.compact.includes(term.compact))) ||
+        rule.patterns.some(pattern => pattern.test(normalized.clean))
+      )
+      .map(({ id, reason, severity }) => ({ ruleId: id, reason, severity }));
+    const severity = matches.reduce(
+      (strictest, match) => MODERATION_SEVERITIES.indexOf(match.severity) > MODERATION_SEVERITIES.indexOf(strictest) ? match.severity : strictest,
+      'allow'
+    );
+    return { severity, matches };
+  };
+}
+
+const moderateContent = createModerator([...defaultModerationRuleSets, ...loadConfiguredModerationRuleSets()]);
+
+/**
+ * Summarizes a verdict for display and for the `moderation` field stored on persisted messages.
+ * @param {{ severity: string, matches: Array<object> }} verdict
+ * @returns {{ severity: string, reasons: string[] }}
+ */
+const describeModeration = (verdict) => ({
+  severity: verdict.severity,
+  reasons: [...new Set(verdict.matches.filter(m => m.severity === verdict.severity).map(m => m.reason))],
+});
+
+// --- Conversation Export & Import ---
+
+const EXPORT_FORMAT = 'shlokasphere-conversation';
+const EXPORT_FORMAT_VERSION = 1;
+
+// Client-side state and storage location that never belong in an export.
+const TRANSIENT_MESSAGE_FIELDS = ['deliveryStatus', 'isStreaming', 'conversationId'];
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+const toExportableMessage = (message) => {
+  const exportable = {
+    ...message,
+    timestamp: message.timestamp instanceof Date ? message.timestamp.toISOString() : null,
+    // Replies written before quotes became references carry a copy of the text, which may since have been deleted.
+    ...(message.replyTo && { replyTo: quoteMessage(message.replyTo) }),
+  };
+  TRANSIENT_MESSAGE_FIELDS.forEach(field => delete exportable[field]);
+  return exportable;
+};
+
+const formatEntities = (entities) => (entities || []).map(entity => `${entity.name} (${entity.type})`).join('; ');
+
+/**
+ * Renders a readable transcript. Analysis results are included as quoted notes under each message.
+ * @param {object} conversation - The conversation's id and title.
+ * @param {object[]} messages - The messages, oldest first.
+ * @returns {string}
+ */
+function exportConversationAsMarkdown(conversation, messages) {
+  const lines = [`# ${conversation.title}`, '', `_Exported from SHLOKASPHERE on ${new Date().toLocaleString()}_`, ''];
+  messages.forEach(message => {
+    const author = message.sender === 'ai' ? 'AI' : (message.user || 'User');
+    const time = message.timestamp instanceof Date ? message.timestamp.toLocaleString() : '';
+    lines.push(`### ${author}${time ? ` — ${time}` : ''}`, '', message.text, '');
+    if (message.translation) lines.push(`> Translation: ${message.translation}`, '');
+    if (message.sentiment) lines.push(`> Sentiment: ${message.sentiment.score.toFixed(2)}`, '');
+    if (message.entities?.length) lines.push(`> Entities: ${formatEntities(message.entities)}`, '');
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Serializes the conversation with every stored field, so it can be re-imported without loss.
+ * @param {object} conversation - The conversation's id and title.
+ * @param {object[]} messages - The messages, oldest first.
+ * @returns {string}
+ */
+function exportConversationAsJSON(conversation, messages) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversation: {
+      id: conversation.id,
+      title: conversation.title,
+      createdAt: conversation.createdAt instanceof Date ? conversation.createdAt.toISOString() : null,
+    },
+    messages: messages.map(toExportableMessage),
+  }, null, 2);
+}
+
+// Quotes every cell and defuses values a spreadsheet would otherwise evaluate as a formula.
+const toCsvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * One row per message, for spreadsheets.
+ * @param {object[]} messages - The messages, oldest first.
+ * @returns {string}
+ */
+function exportConversationAsCSV(messages) {
+  const header = ['id', 'nonce', 'timestamp', 'sender', 'user', 'text', 'tokens', 'sentiment_score', 'sentiment_magnitude', 'entities', 'translation'];
+  const rows = messages.map(message => [
+    message.id,
+    message.nonce,
+    message.timestamp instanceof Date ? message.timestamp.toISOString() : '',
+    message.sender,
+    message.user,
+    message.text,
+    message.tokens,
+    message.sentiment?.score,
+    message.sentiment?.magnitude,
+    formatEntities(message.entities),
+    message.translation,
+  ]);
+  // A byte-order mark makes Excel read the file as UTF-8, which matters for Devanagari text.
+  return '\uFEFF' + [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n');
+}
+
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown;charset=utf-8', render: exportConversationAsMarkdown },
+  json: { extension: 'json', mimeType: 'application/json;charset=utf-8', render: exportConversationAsJSON },
+  csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8', render: (conversation, messages) => exportConversationAsCSV(messages) },
+};
+
+/**
+ * Loads the whole conversation from the message store and downloads it in the chosen format.
+ * @param {string} uid - The owner of the conversation.
+ * @param {object} conversation - The conversation's id and title.
+ * @param {'markdown' | 'json' | 'csv'} format
+ */
+async function exportConversation(uid, conversation, format) {
+  const { extension, mimeType, render } = EXPORT_FORMATS[format];
+  const messages = (await messageStore.listAllMessages(uid, { conversationId: conversation.id }))
+    // The JSON export is a full backup; the readable formats leave out deleted messages.
+    .filter(message => format === 'json' || !message.deleted)
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  const safeTitle = (conversation.title || 'conversation').replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '').slice(0, 60) || 'conversation';
+  downloadFile(`${safeTitle}.${extension}`, render(conversation, messages), mimeType);
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Ids from a file become document ids, so only the characters the app itself generates are accepted.
+const isValidDocumentId = (id) => typeof id === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(id);
+
+const optionalDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : null;
+};
+
+/**
+ * Rebuilds one validated export entry from the fields the app stores, so nothing else in the file is written.
+ * Moderation, ratings and reactions are not taken over: moderation is redone on import, and ratings and
+ * reactions were given by accounts the import does not speak for.
+ * @param {object} message - An entry of the export's message list.
+ * @param {Date} timestamp - Its parsed timestamp.
+ * @returns {object | null} - Null for messages that were deleted or removed by a moderator.
+ */
+function toImportedMessage(message, timestamp) {
+  if (message.deleted || message.removedByModerator) return null;
+  const restored = {
+    ...(message.id && { id: message.id }),
+    ...(message.nonce && { nonce: message.nonce }),
+    sender: message.sender,
+    user: message.user || null,
+    text: message.text,
+    timestamp,
+    tokens: countTokens(message.text),
+    sentiment: message.sentiment ? { score: message.sentiment.score, ...(typeof message.sentiment.magnitude === 'number' && { magnitude: message.sentiment.magnitude }) } : null,
+    entities: (message.entities || []).map(({ name, type }) => ({ name, type: typeof type === 'string' ? type : 'OTHER' })),
+    translation: message.translation || null,
+    translations: message.translations
+      ? Object.fromEntries(Object.entries(message.translations).map(([language, { text }]) => [language, { text }]))
+      : null,
+    analyzedAt: optionalDate(message.analyzedAt),
+    replyTo: message.replyTo ? { id: message.replyTo.id, sender: message.replyTo.sender === 'ai' ? 'ai' : 'user' } : null,
+  };
+  if (message.command === 'summarize') restored.command = 'summarize';
+  if (message.stopped === true) restored.stopped = true;
+  if (message.editHistory?.length) {
+    restored.editedAt = optionalDate(message.editedAt);
+    restored.editHistory = message.editHistory.map(({ text, editedAt }) => ({ text, editedAt: optionalDate(editedAt) }));
+  }
+  if (message.sender === 'ai' && message.alternatives?.length) {
+    restored.alternatives = message.alternatives.map(({ text, createdAt }) => ({ text, tokens: countTokens(text), createdAt: optionalDate(createdAt) }));
+    const active = message.activeAlternative;
+    restored.activeAlternative = Number.isInteger(active) && active >= 0 && active < restored.alternatives.length ? active : restored.alternatives.length - 1;
+  }
+  return restored;
+}
+
+/**
+ * Validates a JSON export and converts it back into storable messages.
+ * @param {string} text - The file contents.
+ * @returns {{ conversation: { id: string | null, title: string }, messages: object[] }}
+ * @throws {ImportError} - With a message describing the first problem found.
+ */
+function parseConversationImport(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new ImportError("The file is not valid JSON.");
+  }
+  if (!isPlainObject(parsed) || parsed.format !== EXPORT_FORMAT) {
+    throw new ImportError("This is not a SHLOKASPHERE conversation export.");
+  }
+  if (typeof parsed.version !== 'number' || parsed.version > EXPORT_FORMAT_VERSION) {
+    throw new ImportError(`Unsupported export version: ${parsed.version}.`);
+  }
+  if (!Array.isArray(parsed.messages)) {
+    throw new ImportError("The export does not contain a message list.");
+  }
+
+  if (parsed.conversation?.id !== undefined && parsed.conversation?.id !== null && !isValidDocumentId(parsed.conversation.id)) {
+    throw new ImportError("The conversation has an invalid id.");
+  }
+
+  const messages = parsed.messages.map((message, index) => {
+    const where = `Message ${index + 1}`;
+    if (!isPlainObject(message)) throw new ImportError(`${where} is not an object.`);
+    if (message.id !== undefined && !isValidDocumentId(message.id)) throw new ImportError(`${where} has an invalid id.`);
+    if (message.nonce !== undefined && message.nonce !== null && !isValidDocumentId(message.nonce)) throw new ImportError(`${where} has an invalid nonce.`);
+    if (typeof message.text !== 'string' || !message.text.trim()) throw new ImportError(`${where} has no text.`);
+    if (message.sender !== 'user' && message.sender !== 'ai') throw new ImportError(`${where} has an unknown sender.`);
+    const timestamp = new Date(message.timestamp);
+    if (!message.timestamp || isNaN(timestamp)) throw new ImportError(`${where} has an invalid timestamp.`);
+    if (message.user !== undefined && message.user !== null && typeof message.user !== 'string') throw new ImportError(`${where} has an invalid author.`);
+    if (message.sentiment && typeof message.sentiment.score !== 'number') throw new ImportError(`${where} has an invalid sentiment.`);
+    if (message.entities !== undefined && (!Array.isArray(message.entities) || !message.entities.every(e => isPlainObject(e) && typeof e.name === 'string'))) {
+      throw new ImportError(`${where} has invalid entities.`);
+    }
+    if (message.translation !== undefined && message.translation !== null && typeof message.translation !== 'string') {
+      throw new ImportError(`${where} has an invalid translation.`);
+    }
+    if (message.translations !== undefined && message.translations !== null
+      && (!isPlainObject(message.translations) || !Object.values(message.translations).every(entry => isPlainObject(entry) && typeof entry.text === 'string'))) {
+      throw new ImportError(`${where} has invalid translations.`);
+    }
+    if (message.replyTo !== undefined && message.replyTo !== null && !(isPlainObject(message.replyTo) && isValidDocumentId(message.replyTo.id))) {
+      throw new ImportError(`${where} has an invalid reply reference.`);
+    }
+    if (message.editHistory !== undefined && (!Array.isArray(message.editHistory) || !message.editHistory.every(entry => isPlainObject(entry) && typeof entry.text === 'string'))) {
+      throw new ImportError(`${where} has an invalid edit history.`);
+    }
+    if (message.alternatives !== undefined && (!Array.isArray(message.alternatives) || !message.alternatives.every(entry => isPlainObject(entry) && typeof entry.text === 'string'))) {
+      throw new ImportError(`${where} has invalid alternatives.`);
+    }
+    return toImportedMessage(message, timestamp);
+  })
+    // Deleted and removed messages are in the backup for the record, but are not brought back.
+    .filter(message => message !== null);
+
+  return {
+    conversation: {
+      id: parsed.conversation?.id || null,
+      title: (typeof parsed.conversation?.title === 'string' && parsed.conversation.title.trim()) || 'Imported conversation',
+    },
+    messages,
+  };
+}
+
+/**
+ * Restores a parsed export. If the original conversation still exists it is merged into; otherwise it is
+ * recreated under its original id. Messages already present (same id or nonce) are skipped, so an import
+ * that failed part way can simply be repeated. Content that moderation blocks is not imported, and content it
+ * flags for review is queued for a moderator as if it had just been sent.
+ * @param {object} user - The signed-in user.
+ * @param {{ conversation: object, messages: object[] }} parsed - The result of `parseConversationImport`.
+ * @returns {Promise<{ conversationId: string, imported: number, duplicates: number, blocked: number }>}
+ */
+async function importConversation(user, { conversation, messages }) {
+  const existing = conversation.id ? await messageStore.getConversation(user.uid, conversation.id) : null;
+  const conversationId = existing
+    ? existing.id
+    : (await messageStore.createConversation(user.uid, conversation.title, conversation.id || undefined)).id;
+
+  try {
+    const stored = existing ? await messageStore.listAllMessages(user.uid, { conversationId }) : [];
+    const seenIds = new Set(stored.map(m => m.id));
+    const seenNonces = new Set(stored.map(m => m.nonce).filter(Boolean));
+    const toImport = [];
+    const flagged = [];
+    let duplicates = 0;
+    let blocked = 0;
+
+    messages.forEach(message => {
+      if ((message.id && seenIds.has(message.id)) || (message.nonce && seenNonces.has(message.nonce))) {
+        duplicates++;
+        return;
+      }
+      const verdict = moderateContent(message.text);
+      if (verdict.severity === 'block') {
+        blocked++;
+        return;
+      }
+      // A reply's earlier versions can be switched back to, so they have to pass as well.
+      const alternatives = message.alternatives?.filter(alternative => moderateContent(alternative.text).severity !== 'block');
+      const id = message.id || generateLocalId();
+      seenIds.add(id);
+      if (message.nonce) seenNonces.add(message.nonce);
+      // Imported messages belong to the importing account, whoever exported them, and so does what the exporting
+      // owner wrote. What other people wrote in a shared conversation stays theirs.
+      const authorUid = message.authorUid && message.authorUid !== message.uid ? message.authorUid : user.uid;
+      const restored = { ...message, id, uid: user.uid, authorUid, moderation: verdict.severity !== 'allow' ? describeModeration(verdict) : null };
+      if (alternatives && alternatives.length !== message.alternatives.length) {
+        delete restored.alternatives;
+        delete restored.activeAlternative;
+      }
+      toImport.push(restored);
+      if (verdict.severity === 'review') flagged.push({ message: restored, verdict });
+    });
+
+    if (toImport.length > 0) {
+      await messageStore.importMessages(user.uid, conversationId, toImport);
+      flagged.forEach(({ message, verdict }) => recordModerationEvent({
+        uid: user.uid, user: user.email, conversationId, messageId: message.id, source: message.sender, text: message.text, verdict,
+      }));
+      await countWrittenMessages(user.uid, conversationId, toImport);
+    }
+
+    return { conversationId, imported: toImport.length, duplicates, blocked };
+  } catch (error) {
+    // A conversation created for the import is not left behind half filled.
+    if (!existing) {
+      await messageStore.deleteConversation(user.uid, conversationId).catch(cleanupError => console.error("Failed to remove the partly imported conversation:", cleanupError));
+    }
+    throw error;
+  }
+}
+
+// --- Message Search ---
+const SEARCH_RESULT_LIMIT = 100;
+// Reading every stored message is the expensive part of a search, so the result is shared by every search
+// opened within this time. Refreshing the search reads them again.
+const SEARCH_INDEX_MAX_AGE_MS = 5 * 60 * 1000;
+
+let searchIndex = null;
+
+/**
+ * All of a user's stored messages, for `searchMessages`; read again once the copy is older than
+ * `SEARCH_INDEX_MAX_AGE_MS` or when `refresh` is set.
+ * @param {string} uid
+ * @param {{ refresh?: boolean }} [options]
+ * @returns {Promise<object[]>}
+ */
+function loadSearchIndex(uid, { refresh = false } = {}) {
+  const isFresh = searchIndex?.uid === uid && Date.now() - searchIndex.loadedAt < SEARCH_INDEX_MAX_AGE_MS;
+  if (refresh || !isFresh) {
+    const messages = messageStore.listAllMessages(uid);
+    searchIndex = { uid, loadedAt: Date.now(), messages };
+    messages.catch(() => {
+      if (searchIndex?.messages === messages) searchIndex = null;
+    });
+  }
+  return searchIndex.messages;
+}
+
+const clearSearchIndex = () => {
+  searchIndex = null;
+};
+
+/**
+ * Folds text for matching: case, compatibility forms, Latin accents, the Devanagari nukta and invisible
+ * characters are ignored. Folding is done one character at a time so every folded character can be traced
+ * back to the original text, which is what lets results highlight the exact words that matched.
+ * @param {string} text - The text to fold.
+ * @returns {{ folded: string, starts: number[], ends: number[] }} The folded text and, per folded character,
+ *   the range of the original text it came from.
+ */
+function foldForSearch(text) {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let index = 0;
+  for (const ch of text || '') {
+    // Devanagari vowel signs are combining marks too, so only Latin diacritics and the nukta are dropped.
+    const piece = ch.normalize('NFKD').replace(ZERO_WIDTH_CHARS, '').toLowerCase().replace(/[\u0300-\u036f\u093C]/g, '');
+    for (let i = 0; i < piece.length; i++) {
+      starts.push(index);
+      ends.push(index + ch.length);
+    }
+    folded += piece;
+    index += ch.length;
+  }
+  return { folded, starts, ends };
+}
+
+/**
+ * Splits a search box query into folded terms. Double-quoted text is kept together as one phrase.
+ * @param {string} query - What the user typed.
+ * @returns {string[]}
+ */
+function parseSearchQuery(query) {
+  return Array.from((query || '').matchAll(/"([^"]+)"|(\S+)/g), match => foldForSearch(match[1] || match[2]).folded.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Finds where the terms occur in a text.
+ * @param {string} text - The original text.
+ * @param {string[]} terms - Folded terms, as returned by `parseSearchQuery`.
+ * @returns {{ start: number, end: number }[]} Sorted, non-overlapping ranges of the original text.
+ */
+function findSearchMatches(text, terms) {
+  const { folded, starts, ends } = foldForSearch(text);
+  const ranges = [];
+  terms.forEach(term => {
+    for (let at = folded.indexOf(term); at !== -1; at = folded.indexOf(term, at + term.length)) {
+      ranges.push({ start: starts[at], end: ends[at + term.length - 1] });
+    }
+  });
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.reduce((merged, range) => {
+    const previous = merged[merged.length - 1];
+    if (previous && range.start <= previous.end) {
+      previous.end = Math.max(previous.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Cuts a window of text around the first match so long messages show the relevant part.
+ * @param {string} text - The original text.
+ * @param {{ start: number, end: number }[]} ranges - Matches, as returned by `findSearchMatches`.
+ * @param {number} [radius=80] - Characters of context kept on each side of the first match.
+ * @returns {{ text: string, ranges: { start: number, end: number }[] }} The snippet and its shifted matches.
+ */
+function searchSnippet(text, ranges, radius = 80) {
+  const from = ranges.length ? Math.max(0, ranges[0].start - radius) : 0;
+  const to = Math.min(text.length, (ranges.length ? ranges[0].end : 0) + radius * 2);
+  const prefix = from > 0 ? '…' : '';
+  const suffix = to < text.length ? '…' : '';
+  return {
+    text: prefix + text.slice(from, to) + suffix,
+    ranges: ranges
+      .filter(range => range.start < to && range.end > from)
+      .map(range => ({ start: Math.max(range.start, from) - from + prefix.length, end: Math.min(range.end, to) - from + prefix.length })),
+  };
+}
+
+// A search with only an empty query and no filters would list everything, so nothing is shown instead.
+const hasSearchCriteria = (filters) => parseSearchQuery(filters.query).length > 0
+  || filters.sender !== 'all' || !!filters.fromDay || !!filters.toDay
+  || filters.minSentiment !== '' || filters.maxSentiment !== '' || !!filters.entity.trim();
+
+/**
+ * Filters stored messages. Text terms must all occur; every other filter left empty matches anything.
+ * @param {object[]} messages - Messages from `listAllMessages`.
+ * @param {{ query: string, conversationId: string | null, sender: 'all' | 'user' | 'ai', fromDay: string, toDay: string, minSentiment: string, maxSentiment: string, entity: string }} filters
+ * @returns {{ message: object, ranges: { start: number, end: number }[] }[]} Newest first, at most
+ *   `SEARCH_RESULT_LIMIT` results.
+ */
+function searchMessages(messages, filters) {
+  if (!hasSearchCriteria(filters)) return [];
+  const terms = parseSearchQuery(filters.query);
+  const entity = foldForSearch(filters.entity.trim()).folded;
+  const minSentiment = filters.minSentiment === '' ? null : Number(filters.minSentiment);
+  const maxSentiment = filters.maxSentiment === '' ? null : Number(filters.maxSentiment);
+
+  const results = [];
+  messages.forEach(message => {
+    if (message.deleted || !message.text) return;
+    if (filters.conversationId && message.conversationId !== filters.conversationId) return;
+    if (filters.sender !== 'all' && message.sender !== filters.sender) return;
+    if (filters.fromDay || filters.toDay) {
+      if (!(message.timestamp instanceof Date)) return;
+      const day = dayKey(message.timestamp);
+      if ((filters.fromDay && day < filters.fromDay) || (filters.toDay && day > filters.toDay)) return;
+    }
+    if (minSentiment !== null || maxSentiment !== null) {
+      const score = message.sentiment?.score;
+      if (typeof score !== 'number') return;
+      if ((minSentiment !== null && score < minSentiment) || (maxSentiment !== null && score > maxSentiment)) return;
+    }
+    if (entity && !(message.entities || []).some(e =>
+      foldForSearch(e.name).folded.includes(entity) || foldForSearch(e.type).folded === entity
+    )) return;
+    const { folded } = foldForSearch(message.text);
+    if (!terms.every(term => folded.includes(term))) return;
+    results.push({ message, ranges: findSearchMatches(message.text, terms) });
+  });
+  return results
+    .sort((a, b) => (b.message.timestamp || 0) - (a.message.timestamp || 0))
+    .slice(0, SEARCH_RESULT_LIMIT);
+}
+
+// --- Transliteration ---
+const VIRAMA = '\u094D';
+const NUKTA = '\u093C';
+const DEVANAGARI_PATTERN = /[\u0900-\u097F\u1CD0-\u1CFF\uA8E0-\uA8FF]/;
+// Written between two romanized tokens that would otherwise read as one, e.g. क + इ as "ka_i" (not "kai", कै).
+const ROMAN_SEPARATOR = '_';
+
+// The scheme tables below list their letters in the order of these Devanagari ones.
+// Vowels are [independent form, dependent sign].
+const DEVANAGARI_VOWELS = [
+  ['अ', ''], ['आ', 'ा'], ['इ', 'ि'], ['ई', 'ी'], ['उ', 'ु'], ['ऊ', 'ू'], ['ऋ', 'ृ'],
+  ['ॠ', 'ॄ'], ['ऌ', 'ॢ'], ['ॡ', 'ॣ'], ['ए', 'े'], ['ऐ', 'ै'], ['ओ', 'ो'], ['औ', 'ौ'],
+];
+const DEVANAGARI_CONSONANTS = Array.from('कखगघङचछजझञटठडढणतथदधनपफबभमयरलवशषसहळ');
+// Anusvara, visarga, candrabindu, avagraha, danda, double danda, and the Vedic svarita, anudātta and
+// double svarita accents.
+const DEVANAGARI_MARKS = ['\u0902', '\u0903', '\u0901', 'ऽ', '।', '॥', '\u0951', '\u0952', '\u1CDA'];
+
+/**
+ * Romanization schemes. Where an entry is an array, the first spelling is written and every spelling is read.
+ * `conjuncts` are input shortcuts for whole clusters. `om` is how ॐ is written; only ITRANS reads it back,
+ * because in the other schemes the same letters also spell ओं.
+ */
+const ROMAN_SCHEMES = {
+  iast: {
+    name: 'IAST',
+    caseInsensitive: true,
+    vowels: ['a', 'ā', 'i', 'ī', 'u', 'ū', 'ṛ', 'ṝ', 'ḷ', 'ḹ', 'e', 'ai', 'o', 'au'],
+    consonants: [
+      'k', 'kh', 'g', 'gh', 'ṅ', 'c', 'ch', 'j', 'jh', 'ñ', 'ṭ', 'ṭh', 'ḍ', 'ḍh', 'ṇ', 't', 'th', 'd', 'dh', 'n',
+      'p', 'ph', 'b', 'bh', 'm', 'y', 'r', 'l', 'v', 'ś', 'ṣ', 's', 'h', 'ḻ',
+    ],
+    // Vedic accents are the combining marks that look like the Devanagari ones: a vertical line above,
+    // a line below and a double vertical line above the vowel.
+    marks: [['ṃ', 'ṁ'], 'ḥ', 'm\u0310', ["'", '’'], '|', '||', '\u030D', '\u0331', '\u030E'],
+    om: 'oṃ',
+  },
+  itrans: {
+    name: 'ITRANS',
+    vowels: ['a', ['A', 'aa'], 'i', ['I', 'ii'], 'u', ['U', 'uu'], ['RRi', 'R^i'], ['RRI', 'R^I'], ['LLi', 'L^i'], ['LLI', 'L^I'], 'e', 'ai', 'o', 'au'],
+    consonants: [
+      'k', 'kh', 'g', 'gh', ['~N', 'N^'], ['ch', 'c'], ['Ch', 'chh'], 'j', 'jh', ['~n', 'JN'], 'T', 'Th', 'D', 'Dh', 'N',
+      't', 'th', 'd', 'dh', 'n', 'p', 'ph', 'b', 'bh', 'm', 'y', 'r', 'l', ['v', 'w'], 'sh', ['Sh', 'shh'], 's', 'h', 'L',
+    ],
+    conjuncts: { x: 'क्ष', GY: 'ज्ञ', dny: 'ज्ञ' },
+    marks: [['M', '.m', '.n'], 'H', '.N', '.a', '|', '||', "\\'", '\\_', '\\"'],
+    om: 'OM',
+    readsOm: true,
+  },
+  hk: {
+    name: 'Harvard-Kyoto',
+    vowels: ['a', 'A', 'i', 'I', 'u', 'U', 'R', 'RR', 'lR', 'lRR', 'e', 'ai', 'o', 'au'],
+    consonants: [
+      'k', 'kh', 'g', 'gh', 'G', 'c', 'ch', 'j', 'jh', 'J', 'T', 'Th', 'D', 'Dh', 'N', 't', 'th', 'd', 'dh', 'n',
+      'p', 'ph', 'b', 'bh', 'm', 'y', 'r', 'l', 'v', 'z', 'S', 's', 'h', 'L',
+    ],
+    marks: ['M', 'H', '~', "'", '|', '||', "\\'", '\\_', '\\"'],
+    om: 'oM',
+  },
+};
+
+const schemeTables = {};
+
+// Builds (once per scheme) the Devanagari → spelling map and the spelling → Devanagari token table.
+function schemeTable(scheme) {
+  if (schemeTables[scheme]) return schemeTables[scheme];
+  const spec = ROMAN_SCHEMES[scheme];
+  const toRoman = new Map([['ॐ', spec.om]]);
+  const tokens = new Map([[ROMAN_SEPARATOR, { kind: 'separator' }]]);
+  const add = (deva, entry, token) => {
+    const [canonical, ...alternates] = [].concat(entry);
+    toRoman.set(deva, canonical);
+    [canonical, ...alternates].forEach(spelling => tokens.set(spelling, token));
+  };
+  DEVANAGARI_VOWELS.forEach(([independent, sign], i) => {
+    add(independent, spec.vowels[i], { kind: 'vowel', deva: independent, sign });
+    if (sign) toRoman.set(sign, toRoman.get(independent));
+  });
+  DEVANAGARI_CONSONANTS.forEach((consonant, i) => add(consonant, spec.consonants[i], { kind: 'consonant', deva: consonant }));
+  DEVANAGARI_MARKS.forEach((mark, i) => add(mark, spec.marks[i], { kind: 'mark', deva: mark }));
+  Object.entries(spec.conjuncts || {}).forEach(([spelling, cluster]) => tokens.set(spelling, { kind: 'consonant', deva: cluster }));
+  if (spec.readsOm) tokens.set(spec.om, { kind: 'mark', deva: 'ॐ' });
+  const maxLength = Math.max(...Array.from(tokens.keys(), token => token.length));
+  return (schemeTables[scheme] = { spec, toRoman, tokens, maxLength });
+}
+
+// The longest token of the scheme that starts at `index`, or null.
+function matchToken(text, index, table) {
+  for (let length = Math.min(table.maxLength, text.length - index); length > 0; length--) {
+    const candidate = text.slice(index, index + length);
+    if (table.tokens.has(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Reads romanized Sanskrit into Devanagari. Consecutive consonants become conjuncts (joined with a virama),
+ * a vowel after a consonant becomes its dependent sign, and a consonant with no vowel after it keeps an
+ * explicit virama. Anything the scheme does not spell (spaces, punctuation, digits, Devanagari) is kept.
+ * @param {string} text - Romanized text.
+ * @param {'iast' | 'itrans' | 'hk'} scheme
+ * @returns {string}
+ */
+function romanToDevanagari(text, scheme) {
+  const table = schemeTable(scheme);
+  const normalized = text.normalize('NFC');
+  const lowered = normalized.toLowerCase();
+  // Lowercasing can change the length of a few non-Latin letters; matching then stays case-sensitive.
+  const source = table.spec.caseInsensitive && lowered.length === normalized.length ? lowered : normalized;
+  let output = '';
+  let afterConsonant = false;
+  for (let i = 0; i < source.length;) {
+    const token = matchToken(source, i, table);
+    const entry = token ? table.tokens.get(token) : null;
+    i += token ? token.length : 1;
+    if (entry?.kind === 'separator') continue;
+    if (entry?.kind === 'vowel') {
+      output += afterConsonant ? entry.sign : entry.deva;
+      afterConsonant = false;
+      continue;
+    }
+    if (afterConsonant) output += VIRAMA;
+    output += entry ? entry.deva : normalized[i - 1];
+    afterConsonant = entry?.kind === 'consonant';
+  }
+  return afterConsonant ? output + VIRAMA : output;
+}
+
+/**
+ * Romanizes the Devanagari in a text; everything else is kept. The inherent "a" is written unless a vowel
+ * sign or virama follows the consonant, and `ROMAN_SEPARATOR` is inserted wherever two spellings would
+ * otherwise merge into a different one, so the result reads back to the same Devanagari.
+ * @param {string} text - Text containing Devanagari.
+ * @param {'iast' | 'itrans' | 'hk'} scheme
+ * @returns {string}
+ */
+function devanagariToRoman(text, scheme) {
+  const table = schemeTable(scheme);
+  const inherentVowel = table.toRoman.get('अ');
+  let output = '';
+  let previous = '';
+  let pendingVowel = false;
+  const emit = (spelling) => {
+    if (previous && (matchToken(previous + spelling, 0, table) || '').length > previous.length) output += ROMAN_SEPARATOR;
+    output += spelling;
+    previous = spelling;
+  };
+  const keep = (ch) => {
+    output += ch;
+    previous = '';
+  };
+  for (const ch of text.normalize('NFC')) {
+    // Sanskrit has no nukta letters; the base consonant is kept and its vowel is still pending.
+    if (ch === NUKTA) continue;
+    const isConsonant = DEVANAGARI_CONSONANTS.includes(ch);
+    const isVowelSign = !isConsonant && DEVANAGARI_VOWELS.some(([, sign]) => sign === ch);
+    if (pendingVowel && !isVowelSign && ch !== VIRAMA) emit(inherentVowel);
+    pendingVowel = false;
+    if (isConsonant) {
+      emit(table.toRoman.get(ch));
+      pendingVowel = true;
+    } else if (isVowelSign || table.toRoman.has(ch)) {
+      emit(table.toRoman.get(ch));
+    } else if (ch >= '०' && ch <= '९') {
+      keep(String(ch.charCodeAt(0) - '०'.charCodeAt(0)));
+    } else if (ch !== VIRAMA) {
+      keep(ch);
+    }
+  }
+  if (pendingVowel) emit(inherentVowel);
+  return output;
+}
+
+/**
+ * Converts between Devanagari and the romanization schemes (romanized text goes through Devanagari).
+ * @param {string} text
+ * @param {'devanagari' | 'iast' | 'itrans' | 'hk'} from
+ * @param {'devanagari' | 'iast' | 'itrans' | 'hk'} to
+ * @returns {string}
+ */
+function transliterate(text, from, to) {
+  if (!text || from === to) return text;
+  const devanagari = from === 'devanagari' ? text : romanToDevanagari(text, from);
+  return to === 'devanagari' ? devanagari : devanagariToRoman(devanagari, to);
+}
+
+const containsDevanagari = (text) => DEVANAGARI_PATTERN.test(text || '');
+
+// --- Slash Commands ---
+
+// Thrown by a command to tell the user why it could not run; the message is shown as it is.
+class CommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandError';
+  }
+}
+
+/**
+ * @typedef {object} SlashCommandContext
+ * What a command can act on: the open conversation and the chat's actions.
+ * @property {object[]} messages - The loaded messages, oldest first.
+ * @property {object | null} replyingTo - The message being replied to.
+ * @property {string | null} persona
+ * @property {(messageId: string, language: string) => void} showTranslation
+ * @property {() => void} analyzeConversation
+ * @property {(format: string) => void} exportConversation
+ * @property {() => void} newConversation
+ * @property {() => void} summarizeConversation
+ * @property {(persona: string | null) => void} setPersona
+ */
+
+const slashCommands = new Map();
+
+/**
+ * Makes a command available in the composer as `/name`, listed in the autocomplete in registration order.
+ * @param {string} name - Lowercase letters only.
+ * @param {{ descriptionKey: string, argumentKey?: string, suggest?: (argument: string) => { value: string, label: string }[], run: (argument: string, context: SlashCommandContext) => * }} definition
+ *   `descriptionKey` and `argumentKey` are translation keys shown in the autocomplete; a command without
+ *   `argumentKey` takes no argument. `suggest` offers values while the argument is typed. `run` gets the
+ *   trimmed argument and may return a promise; it throws a `CommandError` to refuse.
+ */
+function registerSlashCommand(name, { descriptionKey, argumentKey = null, suggest = null, run }) {
+  slashCommands.set(name, { name, descriptionKey, argumentKey, suggest, run });
+}
+
+/**
+ * Splits composer text such as "/translate hi" into a command name and its argument.
+ * @param {string} text
+ * @returns {{ name: string, argument: string, hasArgument: boolean } | null} - null when the text is not a
+ * command, e.g. a path like "/usr/bin". `hasArgument` is true once a space follows the name.
+ */
+function parseSlashCommand(text) {
+  const match = /^\/([a-z]*)(\s[\s\S]*)?$/i.exec(text);
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), argument: (match[2] || '').trim(), hasArgument: match[2] !== undefined };
+}
+
+/**
+ * What the autocomplete offers for the composer text: matching commands while the name is typed, then
+ * the command's suggestions for its argument.
+ * @param {string} text
+ * @returns {{ id: string, insert: string, label: string, command: object, option?: object }[]} - `insert`
+ * replaces the composer text when the entry is picked.
+ */
+function slashCommandSuggestions(text) {
+  const parsed = parseSlashCommand(text);
+  if (!parsed) return [];
+  if (!parsed.hasArgument) {
+    return [...slashCommands.values()]
+      .filter(command => command.name.startsWith(parsed.name))
+      .map(command => ({ id: command.name, insert: `/${command.name}${command.argumentKey ? ' ' : ''}`, label: `/${command.name}`, command }));
+  }
+  const command = slashCommands.get(parsed.name);
+  if (!command?.suggest) return [];
+  return command.suggest(parsed.argument).map(option => ({ id: `${command.name}:${option.value}`, insert: `/${command.name} ${option.value}`, label: option.label, command, option }));
+}
+
+const startsWithFolded = (value, prefix) => value.toLocaleLowerCase().startsWith(prefix.toLocaleLowerCase());
+
+// A locale given by code, by its own name, or by its name in the interface language or English.
+const localeNames = (locale) => [locale.code, locale.name, languageName(locale.code), languageName(locale.code, 'en')];
+const findLocaleByName = (name) => Object.values(locales).find(locale => localeNames(locale).some(candidate => candidate.toLocaleLowerCase() === name.toLocaleLowerCase()));
+
+const PERSONA_MAX_LENGTH = 500;
+
+registerSlashCommand('translate', {
+  descriptionKey: 'commandTranslate',
+  argumentKey: 'commandArgumentLanguage',
+  suggest: (argument) => Object.values(locales)
+    .filter(locale => localeNames(locale).some(candidate => startsWithFolded(candidate, argument)))
+    .map(locale => ({ value: locale.code, label: `${locale.name} (${locale.code})` })),
+  run: (argument, context) => {
+    const locale = findLocaleByName(argument);
+    if (!locale) throw new CommandError(translate('unknownLanguage', { language: argument }));
+    // The message being replied to, otherwise the newest one.
+    const target = context.replyingTo || [...context.messages].reverse().find(message => isInPromptHistory(message) && message.text);
+    if (!target) throw new CommandError(translate('nothingToTranslate'));
+    context.showTranslation(target.id, locale.code);
+  },
+});
+
+registerSlashCommand('analyze', {
+  descriptionKey: 'commandAnalyze',
+  run: (argument, context) => context.analyzeConversation(),
+});
+
+registerSlashCommand('export', {
+  descriptionKey: 'commandExport',
+  argumentKey: 'commandArgumentFormat',
+  suggest: (argument) => Object.keys(EXPORT_FORMATS)
+    .filter(format => format.startsWith(argument.toLowerCase()))
+    .map(format => ({ value: format, label: format })),
+  run: (argument, context) => {
+    const format = argument.toLowerCase() || 'markdown';
+    if (!EXPORT_FORMATS[format]) throw new CommandError(translate('unknownExportFormat', { format: argument, formats: Object.keys(EXPORT_FORMATS).join(', ') }));
+    context.exportConversation(format);
+  },
+});
+
+registerSlashCommand('new', {
+  descriptionKey: 'commandNew',
+  run: (argument, context) => context.newConversation(),
+});
+
+registerSlashCommand('summarize', {
+  descriptionKey: 'commandSummarize',
+  run: (argument, context) => {
+    if (!context.messages.some(isInPromptHistory)) throw new CommandError(translate('nothingToSummarize'));
+    context.summarizeConversation();
+  },
+});
+
+registerSlashCommand('persona', {
+  descriptionKey: 'commandPersona',
+  argumentKey: 'commandArgumentPersona',
+  run: (argument, context) => {
+    if (argument.length > PERSONA_MAX_LENGTH) throw new CommandError(translate('personaTooLong', { max: PERSONA_MAX_LENGTH }));
+    context.setPersona(argument || null);
+  },
+});
+
+// --- Language (i18n) Management ---
+// Components translate with `useTranslation()`. Code that runs outside render (toasts, confirmations) calls
+// `translate()`, which always uses the locale that is active at that moment.
+const DEFAULT_LOCALE = 'en';
+const IS_DEVELOPMENT = process.env.NODE_ENV !== 'production';
+
+/**
+ * English ships inside the app. It is the end of every fallback chain, so it must contain every key.
+ * Values may use `{name}` placeholders; an object value holds plural forms keyed by `Intl.PluralRules`
+ * category (`zero`, `one`, `two`, `few`, `many`, `other`), chosen by the `count` parameter.
+ */
+const enMessages = {
+  // App
+  appName: "SHLOKASPHERE",
+  backendFallbackWarning: "The server is not configured, so your conversations are only saved in this browser and can be lost with its data.",
+  loadingApp: "Loading Application...",
+  loggedInAs: "Logged in as:",
+  signOut: "Sign out",
+  guestAccount: "Guest",
+  guestUpgradeHint: "You are using a guest session. Link a sign-in method to keep your history and use it on other devices.",
+  signInMethods: "Sign-in methods",
+  noLinkableMethods: "This backend has no sign-in methods to link.",
+  emailMethod: "Email link",
+  methodLinkedLabel: "linked",
+  linkMethod: "Link",
+  unlinkMethod: "Unlink",
+  cannotUnlinkLast: "Link another method before removing your only way to sign in.",
+  methodLinked: "Sign-in method linked.",
+  methodUnlinked: "Sign-in method removed.",
+  linkFailed: "Could not link the sign-in method: {error}",
+  unlinkFailed: "Could not remove the sign-in method: {error}",
+  confirmGuestSignOut: "Guest history cannot be recovered after signing out. Sign out anyway?",
+  welcomeTitle: "Welcome to the AI-Powered Chat Experience",
+  welcomeSubtitle: "Sign in to begin your conversation.",
+  signInWithGoogle: "Sign in with Google",
+  continueLocally: "Continue (local mode)",
+  signInWithGitHub: "Sign in with GitHub",
+  signInWithEmail: "Or get a sign-in link by email",
+  continueAsGuest: "Continue as guest",
+  emailPlaceholder: "Email address",
+  sendSignInLink: "Send link",
+  emailLinkSent: "We sent a sign-in link to {email}. Open it in this browser to continue.",
+  confirmEmailForLink: "Enter the email address the sign-in link was sent to:",
+  accountInUse: "That sign-in already belongs to another account. Sign out and sign in with it instead.",
+  confirmMoveGuestHistory: "That sign-in already belongs to another account. Switch to that account and take your guest conversations with you?",
+  guestHistoryMoved: { one: "Switched accounts and moved {count} conversation.", other: "Switched accounts and moved {count} conversations." },
+  guestHistoryMoveFailed: "Your guest conversations could not all be moved to the account.",
+  accountExistsOtherMethod: "An account with this email already exists. Sign in with the method you used before, then link this one.",
+  invalidEmail: "That email address is not valid.",
+  emailLinkExpired: "This sign-in link has expired or was already used. Request a new one.",
+  signInFailed: "Sign-in failed: {error}",
+  selectLanguage: "Select language",
+  languageLoadFailed: "Could not load that language. Please try again.",
+  toggleTheme: "Toggle theme",
+  errorTitle: "Something went wrong.",
+  errorHint: "Please try refreshing the page.",
+  // Chat
+  loadMore: "Load More",
+  loadNewer: "Load newer messages",
+  loadingMore: "Loading...",
+  loadingMessages: "Loading messages...",
+  messagePlaceholder: "Type your message...",
+  composerHint: "Enter to send · Shift+Enter for a new line · / for commands",
+  slashCommands: "Commands",
+  commandTranslate: "Translate the message you are replying to, or the latest one",
+  commandAnalyze: "Analyze every message in this conversation",
+  commandExport: "Download this conversation",
+  commandNew: "Start a new, empty conversation",
+  commandSummarize: "Ask the AI to summarize this conversation",
+  commandPersona: "Set how the AI behaves in this conversation; leave empty to reset",
+  commandArgumentLanguage: "<language>",
+  commandArgumentFormat: "<markdown|json|csv>",
+  commandArgumentPersona: "<description>",
+  unknownCommand: "There is no {command} command. Type / to see the list.",
+  commandFailed: "The {command} command failed.",
+  unknownLanguage: "\"{language}\" is not a supported language.",
+  nothingToTranslate: "There is no message to translate yet.",
+  unknownExportFormat: "\"{format}\" is not an export format. Use one of: {formats}.",
+  nothingToSummarize: "There is nothing to summarize yet.",
+  personaTooLong: "Keep the persona under {max} characters.",
+  personaSet: "The AI will now answer as: {persona}",
+  personaCleared: "The AI is back to its default persona.",
+  personaFailed: "The persona could not be saved.",
+  personaLabel: "Persona: {persona}",
+  yourMessage: "Your message",
+  inputScheme: "Type Devanagari using",
+  romanizeAs: "Romanize Devanagari as",
+  schemeOff: "Off",
+  devanagariPreview: "Devanagari preview",
+  conversationTokens: { one: "{count} token in this conversation", other: "{count} tokens in this conversation" },
+  loadedTokens: { one: "{count} token in the loaded messages", other: "{count} tokens in the loaded messages" },
+  contextTokens: "AI context: {tokens} / {budget} tokens",
+  contextOmitted: { one: "{count} older message is summarized to fit the budget.", other: "{count} older messages are summarized to fit the budget." },
+  send: "Send",
+  stopGenerating: "Stop",
+  responseStopped: "Response stopped",
+  messageSending: "Sending…",
+  messageQueued: "Queued — will send when you're back online",
+  messageFailed: "Not sent.",
+  retry: "Retry",
+  discard: "Discard",
+  aiTyping: "AI is typing...",
+  someone: "Someone",
+  typingOne: "{name} is typing…",
+  typingTwo: "{first} and {second} are typing…",
+  typingMany: "Several people are typing…",
+  replyAnnouncement: "AI replied: {text}",
+  newMessages: "New Messages",
+  newMessagesCount: { one: "{count} new message", other: "{count} new messages" },
+  scrollToNewMessages: "Scroll to new messages",
+  loadHistoryFailed: "Could not load chat history.",
+  loadOlderFailed: "Could not load older messages.",
+  loadNewerFailed: "Could not load newer messages.",
+  messageUnavailable: "That message is no longer available.",
+  loadHistoryRangeFailed: "Could not load that part of the conversation.",
+  sendFailed: "Could not send message.",
+  messageBlocked: "Message not sent: {reasons}.",
+  moderationHeadsUp: "Heads up: {reasons}.",
+  aiReplyWithheld: "The AI response was withheld by moderation.",
+  aiFailed: "The AI failed to respond. Please try again.",
+  messageQuotaRemaining: "Messages: {remaining}/{limit} per minute",
+  aiReplyQuotaRemaining: "AI replies: {remaining}/{limit} per day",
+  sendAvailableIn: "You can send again in {time}",
+  aiRepliesResumeIn: "AI replies resume in {time}",
+  messageQuotaExceeded: "You have reached your message limit. You can send again in {time}.",
+  aiReplyQuotaExceeded: "You have used all of your AI replies for now. More are available in {time}.",
+  analysisQuotaExceeded: "You have used all of your analyses for now. More are available in {time}.",
+  automaticAnalysisStopped: "New messages are not being analyzed. {reason}",
+  apiTimeout: "The server took too long to respond.",
+  apiNetwork: "The server could not be reached; check your connection.",
+  apiRateLimited: "Too many requests right now; wait a moment before trying again.",
+  apiServerError: "The service is having problems; try again later.",
+  // Conversations
+  conversations: "Conversations",
+  newConversation: "New conversation",
+  renameConversation: "Rename conversation",
+  deleteConversation: "Delete conversation",
+  confirmDeleteConversation: "Delete this conversation and all of its messages?",
+  sharedConversation: "Shared conversation",
+  shareConversation: "Copy invitation link",
+  stopSharing: "Stop sharing",
+  confirmStopSharing: "Stop sharing this conversation? Everyone who joined loses access and the invitation link stops working.",
+  leaveConversation: "Leave conversation",
+  confirmLeaveConversation: "Leave this conversation? You will need a new invitation to join it again.",
+  noConversations: "No conversations yet.",
+  importConversation: "Import conversation (JSON)",
+  exportConversation: "Export…",
+  exportMarkdown: "Markdown transcript",
+  exportJSON: "JSON (full fidelity)",
+  exportCSV: "CSV (spreadsheet)",
+  conversationParticipants: "People in this conversation",
+  participantOnline: "{name} is online",
+  participantLastSeen: "{name} was last seen {time}",
+  moreParticipants: "{count} more",
+  loadConversationsFailed: "Could not load conversations.",
+  loadSharedConversationsFailed: "Could not load the conversations shared with you.",
+  createConversationFailed: "Could not create conversation.",
+  renameConversationFailed: "Could not rename conversation.",
+  conversationDeleted: "Conversation deleted.",
+  deleteConversationFailed: "Could not delete conversation.",
+  ownerOnly: "Only the owner of this conversation can do that.",
+  shareConversationFailed: "Could not share conversation.",
+  sharingStopped: "The conversation is no longer shared.",
+  stopSharingFailed: "Could not stop sharing the conversation.",
+  joinedConversation: "You joined the conversation.",
+  joinConversationFailed: "Could not join the conversation. The invitation may no longer be valid.",
+  leftConversation: "You left the conversation.",
+  leaveConversationFailed: "Could not leave the conversation.",
+  exportFailed: "Could not export conversation.",
+  importedMessages: { one: "Imported {count} message.", other: "Imported {count} messages." },
+  importSkipped: "Skipped {duplicates} duplicates and {blocked} blocked messages.",
+  importFailed: "Import failed: {error}",
+  importConversationFailed: "Could not import conversation.",
+  // Analytics
+  analyticsDashboard: "Analytics Dashboard",
+  totalMessages: "Total Messages:",
+  analyticsThisConversation: "This conversation",
+  analyticsAllConversations: "All conversations",
+  analyticsFrom: "From",
+  analyticsTo: "To",
+  aiUserRatio: "AI / user messages",
+  averageSentiment: "Average sentiment",
+  answerSatisfaction: "Answer satisfaction",
+  messagesPerDay: "Messages per day",
+  messagesPerHour: "Messages by hour of day",
+  sentimentOverTime: "Average sentiment over time",
+  satisfactionOverTime: "Answer satisfaction over time",
+  noRatings: "No answers were rated in this period.",
+  feedbackReasons: "Reasons given with ratings",
+  topEntities: "Top entities by type",
+  tokenUsage: "Token usage per user",
+  showDataTable: "Show data table",
+  dayColumn: "Day",
+  hourColumn: "Hour",
+  messagesColumn: "Messages",
+  sentimentColumn: "Avg. sentiment",
+  satisfactionColumn: "Satisfied",
+  ratingsColumn: "Ratings (👍 / 👎)",
+  reasonColumn: "Reason",
+  entityColumn: "Entity",
+  countColumn: "Mentions",
+  userColumn: "User",
+  userTokensColumn: "User tokens",
+  aiTokensColumn: "AI tokens",
+  noAnalyticsData: "No activity in this period.",
+  analyticsNoConversation: "Select a conversation, or show all conversations.",
+  analyticsInvalidRange: "The start date is after the end date.",
+  analyticsLoadFailed: "Could not load analytics.",
+  rebuildStats: "Rebuild from history",
+  rebuildingStats: "Rebuilding…",
+  statsRebuilt: "Statistics rebuilt.",
+  rebuildStatsFailed: "Could not rebuild statistics.",
+  cacheStats: { one: "Analysis cache: {count} result, {hits} of {lookups} lookups hit ({rate}%)", other: "Analysis cache: {count} results, {hits} of {lookups} lookups hit ({rate}%)" },
+  clearCache: "Clear cache",
+  cacheCleared: "Cached analysis results cleared.",
+  clearCacheFailed: "Could not clear the cache.",
+  // Message Item
+  translationLabel: "Translation:",
+  translateMessage: "Translate message",
+  translateTo: "Translate into:",
+  translating: "Translating…",
+  translatedFrom: "Translated from {language}",
+  showOriginal: "Show original",
+  showTranslation: "Show translation ({language})",
+  translateFailed: "The message could not be translated.",
+  replyToMessage: "Reply to this message",
+  inReplyTo: "In reply to {sender}",
+  quotedMessageNotLoaded: "Earlier message — select to show it",
+  showRepliedMessage: "Show the message this replies to",
+  replyingTo: "Replying to {sender}",
+  cancelReply: "Cancel reply",
+  addReaction: "Add reaction",
+  reactionFailed: "Your reaction could not be saved.",
+  rateGood: "Good answer",
+  rateBad: "Bad answer",
+  reasonPromptUp: "What was good? (optional)",
+  reasonPromptDown: "What went wrong? (optional)",
+  reasonAccurate: "Accurate",
+  reasonHelpful: "Helpful",
+  reasonClear: "Clear",
+  reasonInaccurate: "Inaccurate",
+  reasonUnhelpful: "Not helpful",
+  reasonUnclear: "Unclear",
+  reasonOffensive: "Offensive",
+  skipReason: "Skip",
+  feedbackFailed: "Your feedback could not be saved.",
+  copyCode: "Copy",
+  copyText: "Copy text",
+  copyMessageText: "Copy message text",
+  copied: "Copied to clipboard!",
+  copyFailed: "Failed to copy.",
+  clipboardUnavailable: "Clipboard access is not available in this browser.",
+  showRawText: "Show messages as raw text",
+  showFormattedText: "Show formatted messages",
+  userAvatar: "Your avatar",
+  aiAvatar: "AI avatar",
+  tokenCount: { one: "{count} token", other: "{count} tokens" },
+  sentimentScore: "Sentiment: {score}",
+  analysisComplete: "Analysis complete",
+  analyzing: "Analyzing...",
+  analyzingMessage: "Analyzing message",
+  rerunAnalysis: "Re-run analysis",
+  rerunAnalysisOnMessage: "Re-run analysis on message",
+  analysisWaitForSave: "Please wait for the message to be saved before analyzing.",
+  analysisFailed: "Analysis failed.",
+  analyzeConversation: "Analyze conversation",
+  bulkScanning: "Looking for unanalyzed messages…",
+  bulkProgress: "Analyzed {done} of {total} messages",
+  bulkFailedCount: { one: "{count} failed", other: "{count} failed" },
+  bulkPaused: "Paused",
+  bulkCoolingDown: "Rate limited; waiting before continuing…",
+  pauseAnalysis: "Pause",
+  resumeAnalysis: "Resume",
+  cancelAnalysis: "Cancel",
+  nothingToAnalyze: "Every message in this conversation is already analyzed.",
+  bulkAnalysisDone: "Analysis finished: {count} analyzed, {failed} failed.",
+  bulkAnalysisLoadFailed: "Could not load the messages to analyze.",
+  editMessage: "Edit message",
+  deleteMessage: "Delete message",
+  confirmDeleteMessage: "Delete this message?",
+  regenerateReply: "Regenerate reply",
+  regenerating: "Regenerating...",
+  saveEdit: "Save",
+  cancelEdit: "Cancel",
+  edited: "(edited)",
+  editHistory: "Earlier versions",
+  messageDeleted: "This message was deleted.",
+  messageRemovedByModerator: "This message was removed by a moderator.",
+  previousAlternative: "Previous reply",
+  nextAlternative: "Next reply",
+  editBlocked: "Edit not saved: {reasons}.",
+  editFailed: "Could not save your edit.",
+  deleteMessageFailed: "Could not delete message.",
+  nothingToRegenerate: "There is no message to regenerate a reply for.",
+  regenerateFailed: "Could not regenerate the reply.",
+  moderationFlagged: "Flagged for review:",
+  moderationWarning: "Warning:",
+  // Search
+  search: "Search",
+  closeSearch: "Close search",
+  searchPlaceholder: 'Search messages (use "quotes" for phrases)',
+  searchScope: "Search in",
+  searchSender: "From",
+  senderAll: "Anyone",
+  senderUser: "You",
+  senderAI: "AI",
+  searchSentiment: "Sentiment",
+  searchSentimentMin: "Minimum sentiment",
+  searchSentimentMax: "Maximum sentiment",
+  searchEntity: "Entity name or type",
+  searchIndexing: "Loading messages...",
+  searchHint: "Type a word or pick a filter to search your history.",
+  searchNoResults: "No messages match your search.",
+  searchResultCount: { one: "{count} result", other: "{count} results" },
+  searchResultLimit: "Only the newest results are shown; refine your search to see others.",
+  searchLoadFailed: "Could not load your messages for search.",
+  refreshSearch: "Refresh",
+  accountSuspended: "Your account is suspended. You can read your conversations but not send messages.",
+  accountUnavailable: "Your account could not be loaded. You can read your conversations but not send messages; reload the page to try again.",
+  accountLoading: "Your account is still loading. Try again in a moment.",
+  adminConsole: "Admin console",
+  closeAdminConsole: "Close admin console",
+  refreshAdminData: "Refresh",
+  moderationQueue: "Moderation queue",
+  userManagement: "Users",
+  auditLog: "Audit log",
+  loadingAdminData: "Loading…",
+  loadAdminDataFailed: "This list could not be loaded.",
+  moderationQueueEmpty: "Nothing is waiting for review.",
+  severityBlocked: "Blocked",
+  severityFlagged: "Flagged",
+  sourceUserMessage: "Member message",
+  sourceAIReply: "AI reply",
+  approveMessage: "Approve",
+  removeMessage: "Remove",
+  messageApproved: "Approved.",
+  messageRemoved: "Message removed.",
+  moderationActionFailed: "The moderation action could not be completed.",
+  noUsers: "No users yet.",
+  roleColumn: "Role",
+  lastSeenColumn: "Last seen",
+  statusColumn: "Status",
+  userActive: "Active",
+  userSuspended: "Suspended",
+  youLabel: "(you)",
+  suspendUser: "Suspend",
+  reinstateUser: "Reinstate",
+  confirmSuspendUser: "Suspend {user}? They will no longer be able to send messages.",
+  userSuspendedNotice: "{user} was suspended.",
+  userReinstatedNotice: "{user} was reinstated.",
+  roleChangedNotice: "{user} is now: {role}.",
+  userActionFailed: "The user could not be updated.",
+  roleMember: "Member",
+  roleModerator: "Moderator",
+  roleAdmin: "Admin",
+  auditLogEmpty: "No moderation actions yet.",
+  auditApproveMessage: "{actor} approved a message by {target}",
+  auditRemoveMessage: "{actor} removed a message by {target}",
+  auditSuspendUser: "{actor} suspended {target}",
+  auditReinstateUser: "{actor} reinstated {target}",
+  auditChangeRole: "{actor} changed the role of {target} from {previousRole} to {role}",
+  limitsColumn: "Usage limits",
+  defaultLimits: "Default",
+  customLimits: "Custom",
+  editLimits: "Edit",
+  limitMessagesPerMinute: "Messages per minute",
+  limitAIRepliesPerDay: "AI replies per day",
+  limitAnalysesPerDay: "Analyses per day",
+  limitsSavedNotice: "Usage limits saved for {user}.",
+  auditChangeLimits: "{actor} changed the usage limits of {target}",
+};
+
+const locales = {};
+const loadedBundles = { [DEFAULT_LOCALE]: enMessages };
+let activeLocale = DEFAULT_LOCALE;
+
+/**
+ * Makes a locale available in the `LanguageSelector`.
+ * @param {string} code - BCP 47 language tag, also used for `Intl` plural rules and number formatting.
+ * @param {{ name: string, dir?: 'ltr' | 'rtl', fallback?: string, load: () => Promise<object> }} definition
+ *   `name` is the language's own name for itself. `load` resolves to the bundle (or a module whose default
+ *   export is the bundle). `fallback` is the locale consulted next for missing keys; chains end in English.
+ */
+function registerLocale(code, { name, dir = 'ltr', fallback = DEFAULT_LOCALE, load }) {
+  locales[code] = { code, name, dir, fallback: code === DEFAULT_LOCALE ? null : fallback, load };
+}
+
+registerLocale('en', { name: 'English', load: async () => enMessages });
+registerLocale('hi', { name: 'हिन्दी', load: () => import('./locales/hi.json') });
+registerLocale('sa', { name: 'संस्कृतम्', fallback: 'hi', load: () => import('./locales/sa.json') });
+registerLocale('mr', { name: 'मराठी', fallback: 'hi', load: () => import('./locales/mr.json') });
+registerLocale('ta', { name: 'தமிழ்', load: () => import('./locales/ta.json') });
+registerLocale('bn', { name: 'বাংলা', load: () => import('./locales/bn.json') });
+registerLocale('ur', { name: 'اردو', dir: 'rtl', load: () => import('./locales/ur.json') });
+
+const fallbackChain = (code) => {
+  const chain = [];
+  for (let current = locales[code] ? code : DEFAULT_LOCALE; current && !chain.includes(current); current = locales[current]?.fallback) {
+    chain.push(current);
+  }
+  if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+  return chain;
+};
+
+/**
+ * Fetches every bundle a locale's fallback chain needs. Bundles are cached, so switching back is instant.
+ * @param {string} code - A registered locale.
+ * @returns {Promise<void>}
+ */
+async function loadLocale(code) {
+  await Promise.all(fallbackChain(code).filter(c => !loadedBundles[c]).map(async (c) => {
+    const module = await locales[c].load();
+    loadedBundles[c] = module.default || module;
+  }));
+}
+
+const pluralRulesCache = {};
+const numberFormatCache = {};
+const pluralRules = (code) => (pluralRulesCache[code] ||= new Intl.PluralRules(code));
+const numberFormat = (code) => (numberFormatCache[code] ||= new Intl.NumberFormat(code));
+
+const warnedMissingKeys = new Set();
+const warnMissingKey = (code, key) => {
+  if (!IS_DEVELOPMENT || warnedMissingKeys.has(`${code}:${key}`)) return;
+  warnedMissingKeys.add(`${code}:${key}`);
+  console.warn(`[i18n] Missing translation for "${key}" in "${code}".`);
+};
+
+/**
+ * Looks a key up along the locale's fallback chain, picks the plural form and fills in placeholders.
+ * Numbers are formatted for the locale the message came from, so e.g. Bengali text gets Bengali digits.
+ * @param {string} key - A key of `enMessages`.
+ * @param {object} [params] - Placeholder values; `count` also selects the plural form.
+ * @param {string} [code] - Defaults to the active locale.
+ * @returns {string} The translation, or the key itself if no bundle has it.
+ */
+function translate(key, params, code = activeLocale) {
+  for (const candidate of fallbackChain(code)) {
+    let entry = loadedBundles[candidate]?.[key];
+    if (entry === undefined) {
+      if (loadedBundles[candidate]) warnMissingKey(candidate, key);
+      continue;
+    }
+    if (typeof entry === 'object') {
+      entry = entry[pluralRules(candidate).select(params?.count ?? 0)] ?? entry.other;
+    }
+    return params
+      ? entry.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined) return match;
+        return typeof value === 'number' ? numberFormat(candidate).format(value) : String(value);
+      })
+      : entry;
+  }
+  return key;
+}
+
+const displayNamesCache = {};
+
+/**
+ * The name of a language as written in another, e.g. for "Translated from Bengali".
+ * @param {string} code - The language to name; need not be a registered locale.
+ * @param {string} [inCode] - The language to write the name in. Defaults to the active locale.
+ * @returns {string} Falls back to the language's own name, then to the code itself.
+ */
+function languageName(code, inCode = activeLocale) {
+  if (typeof Intl.DisplayNames === 'function') {
+    displayNamesCache[inCode] ||= new Intl.DisplayNames([inCode], { type: 'language', fallback: 'none' });
+  }
+  return displayNamesCache[inCode]?.of(code) || locales[code]?.name || code;
+}
+
+const LanguageContext = createContext();
+
+const useTranslation = () => {
+  const { language } = useContext(LanguageContext);
+  return useCallback((key, params) => translate(key, params, language), [language]);
+};
+
+// --- Theme Management ---
+const ThemeContext = createContext();
+
+function ThemeProvider({ children }) {
+  const [theme, setTheme] = useState(() => {
+    try {
+      const savedTheme = localStorage.getItem('theme');
+      if (savedTheme === 'light' || savedTheme === 'dark') {
+        return savedTheme;
+      }
+    } catch (error) {
+      console.warn("localStorage is not available. Using default theme.");
+    }
+    return 'light';
+  });
+
+  useEffect(() => {
+    const root = window.document.documentElement;
+    root.lang = document.documentElement.lang; // Sync with language
+    if (theme === 'dark') {
+      root.classList.add('dark');
+    } else {
+      root.classList.remove('dark');
+    }
+    try {
+      localStorage.setItem('theme', theme);
+    } catch (error) {
+      console.warn("localStorage is not available. Theme will not be persisted.");
+    }
+  }, [theme]);
+
+  const toggleTheme = () => {
+    setTheme(prevTheme => (prevTheme === 'light' ? 'dark' : 'light'));
+  };
+
+  return (
+    <ThemeContext.Provider value={{ theme, toggleTheme }}>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+function LanguageProvider({ children }) {
+  // English renders immediately; a saved locale takes over once its bundles have loaded.
+  const [language, setActiveLanguage] = useState(DEFAULT_LOCALE);
+  const latestRequestRef = useRef(null);
+
+  const setLanguage = useCallback(async (code) => {
+    if (!locales[code]) return;
+    latestRequestRef.current = code;
+    try {
+      await loadLocale(code);
+    } catch (error) {
+      console.error(`Failed to load the "${code}" locale:`, error);
+      toast.error(translate('languageLoadFailed'));
+      return;
+    }
+    // Ignore slow loads that finished after the user had already picked another language.
+    if (latestRequestRef.current !== code) return;
+    activeLocale = code;
+    setActiveLanguage(code);
+    try {
+      localStorage.setItem('language', code);
+    } catch (error) {
+      console.warn("localStorage is not available. Language will not be persisted.");
+    }
+  }, []);
+
+  useEffect(() => {
+    try {
+      const savedLang = localStorage.getItem('language');
+      if (savedLang && savedLang !== DEFAULT_LOCALE && locales[savedLang]) {
+        setLanguage(savedLang);
+      }
+    } catch (error) {
+      console.warn("localStorage is not available. Using default language.");
+    }
+  }, [setLanguage]);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+    document.documentElement.dir = locales[language].dir;
+  }, [language]);
+
+  const value = useMemo(() => ({ language, setLanguage }), [language, setLanguage]);
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  );
+}
+
+// --- Hooks ---
+
+// `providers` is kept apart from `user`: linking a sign-in method reports the same account again, and the
+// user object is only replaced when who is signed in changes, so data keyed on it is not reloaded.
+function useAuth() {
+  const [user, setUser] = useState(null);
+  const [providers, setProviders] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    completePendingSignIn();
+    const unsubscribe = subscribeToAuth((currentUser) => {
+      setUser(previous => (
+        previous && currentUser && previous.uid === currentUser.uid && previous.email === currentUser.email
+          && previous.isAnonymous === currentUser.isAnonymous
+          ? previous
+          : currentUser
+      ));
+      setProviders(currentUser?.providers || []);
+      setLoading(false);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  return { user, providers, loading };
+}
+
+// The signed-in user's account (role, suspension, usage limits), kept live so a suspension applies at once.
+// Null until it has loaded. The profile is read once, to record the sign-in.
+function useAccount(user) {
+  const [account, setAccount] = useState(null);
+
+  useEffect(() => {
+    setAccount(null);
+    if (!user) return;
+    const unsubscribeAccount = messageStore.subscribeToAccount(user.uid, (current) => {
+      setAccount({ ...NEW_ACCOUNT, ...current, uid: user.uid });
+    }, (error) => {
+      console.error("Account listener failed:", error);
+      // Without the account it is unknown whether the user may write, so the app carries on read-only.
+      setAccount({ ...NEW_ACCOUNT, uid: user.uid, unavailable: true });
+      toast.error(translate('accountUnavailable'), { id: 'accountUnavailable' });
+    });
+    let isRecorded = false;
+    const unsubscribeProfile = messageStore.subscribeToUserProfile(user.uid, (current) => {
+      if (isRecorded) return;
+      isRecorded = true;
+      // Reports are asynchronous, so the listener is assigned by now; later ones are not needed.
+      unsubscribeProfile();
+      messageStore.saveUserProfile(user.uid, profileChangesOnSignIn(user, current))
+        .catch(error => console.error("Failed to save the user profile:", error));
+    }, (error) => console.error("Profile listener failed:", error));
+    return () => {
+      unsubscribeAccount();
+      unsubscribeProfile();
+    };
+  }, [user]);
+
+  return account;
+}
+
+/**
+ * The check every write of the chat hooks goes through first. Returns a stable function that tells whether
+ * the account may write now; unless `quiet`, a refusal is also shown to the user.
+ * @param {object | null} account - From `useAccount`.
+ * @returns {(options?: { quiet?: boolean }) => boolean}
+ */
+function useWriteGuard(account) {
+  const accountRef = useRef(account);
+
+  useEffect(() => {
+    accountRef.current = account;
+  }, [account]);
+
+  return useCallback(({ quiet = false } = {}) => {
+    const reason = writeBlockedReason(accountRef.current);
+    // One toast per reason, however many writes were refused at once.
+    if (reason && !quiet) toast.error(translate(reason), { id: reason });
+    return !reason;
+  }, []);
+}
+
+// Live statistics of the analysis result cache; null until first read.
+function useResultCacheStats() {
+  const [stats, setStats] = useState(null);
+  useEffect(() => {
+    let active = true;
+    const refresh = () => resultCache.getStats().then(next => {
+      if (active) setStats(next);
+    });
+    refresh();
+    const unsubscribe = resultCache.subscribe(refresh);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+  return stats;
+}
+
+/**
+ * Live status of one of the user's usage quotas, ticking every second while it is cooling down.
+ * @returns {{ limit: number, remaining: number, retryAfterMs: number } | null} - null when signed out.
+ */
+function useQuotaStatus(user, quota, limits) {
+  const read = useCallback(() => (user ? getQuotaStatus(user.uid, quota, limits) : null), [user, quota, limits]);
+  const [status, setStatus] = useState(read);
+
+  useEffect(() => {
+    setStatus(read());
+    return subscribeToUsage(() => setStatus(read()));
+  }, [read]);
+
+  useEffect(() => {
+    if (!status?.retryAfterMs) return;
+    const timer = setTimeout(() => setStatus(read()), Math.min(status.retryAfterMs, 1000));
+    return () => clearTimeout(timer);
+  }, [status, read]);
+
+  return status;
+}
+
+/**
+ * Who else is in a conversation, and this tab's own presence in it. The tab is announced while the user is
+ * active and withdrawn when it is closed, hidden or left idle. A conversation nobody else can open has no
+ * presence: nothing is read or written until it is shared.
+ * @param {object | null} user
+ * @param {object | null} conversation - From `useConversations`, carrying its `ownerUid`.
+ * @returns {{ participants: object[], reportTyping: Function, stopTyping: Function }} - `participants` comes
+ * from `summarizePresence`. Call `reportTyping` on every keystroke; the writes are throttled.
+ */
+function usePresence(user, conversation) {
+  const [sessions, setSessions] = useState([]);
+  const ownerUid = conversation?.ownerUid;
+  const conversationId = conversation?.id;
+  const isShared = Boolean(user && conversation && (ownerUid !== user.uid || conversation.memberUids?.length > 0));
+  const [now, setNow] = useState(() => Date.now());
+  const lastKeystrokeRef = useRef(0);
+  const lastTypingWriteRef = useRef(0);
+  // Writes this tab's presence while a conversation is open; null otherwise.
+  const writeRef = useRef(null);
+
+  useEffect(() => {
+    setSessions([]);
+    if (!isShared) return;
+    const unsubscribe = messageStore.subscribeToPresence(ownerUid, conversationId, (current) => {
+      setSessions(current);
+      setNow(Date.now());
+    }, (error) => console.error("Presence listener failed:", error));
+    return () => unsubscribe();
+  }, [isShared, ownerUid, conversationId]);
+
+  useEffect(() => {
+    if (!isShared) return;
+    let isOnline = false;
+    let lastActivity = Date.now();
+
+    const write = (online) => {
+      isOnline = online;
+      messageStore.savePresence(ownerUid, conversationId, PRESENCE_SESSION_ID, {
+        uid: user.uid,
+        displayName: user.displayName || null,
+        email: user.email || null,
+        online,
+        typing: online && Date.now() - lastKeystrokeRef.current < TYPING_TTL_MS,
+      }).catch(error => console.error("Failed to save presence:", error));
+    };
+    const isActive = () => document.visibilityState === 'visible' && Date.now() - lastActivity < PRESENCE_IDLE_MS;
+    const heartbeat = () => {
+      if (isActive()) write(true);
+      else if (isOnline) write(false);
+    };
+    const handleActivity = () => {
+      lastActivity = Date.now();
+      if (!isOnline && isActive()) write(true);
+    };
+    const handleVisibilityChange = () => (document.visibilityState === 'visible' ? handleActivity() : heartbeat());
+    const leave = () => {
+      if (isOnline) write(false);
+    };
+
+    writeRef.current = write;
+    heartbeat();
+    const timer = setInterval(heartbeat, PRESENCE_HEARTBEAT_MS);
+    const activityEvents = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+    activityEvents.forEach(name => window.addEventListener(name, handleActivity, { passive: true }));
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', leave);
+    return () => {
+      clearInterval(timer);
+      activityEvents.forEach(name => window.removeEventListener(name, handleActivity));
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', leave);
+      writeRef.current = null;
+      leave();
+    };
+  }, [user, isShared, ownerUid, conversationId]);
+
+  // Re-evaluates who is online or typing when the next of those states runs out.
+  useEffect(() => {
+    const deadlines = sessions
+      .filter(session => session.lastSeenAt instanceof Date)
+      .flatMap(session => [TYPING_TTL_MS, PRESENCE_TTL_MS, PRESENCE_RECENT_MS].map(ms => session.lastSeenAt.getTime() + ms))
+      .filter(time => time > now);
+    if (deadlines.length === 0) return;
+    const timer = setTimeout(() => setNow(Date.now()), Math.min(...deadlines) - now);
+    return () => clearTimeout(timer);
+  }, [sessions, now]);
+
+  const reportTyping = useCallback(() => {
+    const current = Date.now();
+    lastKeystrokeRef.current = current;
+    if (current - lastTypingWriteRef.current < TYPING_THROTTLE_MS) return;
+    lastTypingWriteRef.current = current;
+    writeRef.current?.(true);
+  }, []);
+
+  // Clears the typing state at once, e.g. after sending, instead of letting it run out.
+  const stopTyping = useCallback(() => {
+    if (Date.now() - lastKeystrokeRef.current >= TYPING_TTL_MS) return;
+    lastKeystrokeRef.current = 0;
+    lastTypingWriteRef.current = 0;
+    writeRef.current?.(true);
+  }, []);
+
+  const participants = useMemo(() => (user ? summarizePresence(sessions, user.uid, now) : []), [sessions, user, now]);
+
+  return { participants, reportTyping, stopTyping };
+}
+
+
+/**
+ * A per-user setting persisted in localStorage, so people sharing a browser keep their own choices.
+ * @param {object | null} user - The signed-in user.
+ * @param {string} name - The preference name.
+ * @param {*} defaultValue - Used until the user changes it.
+ * @returns {[*, Function]} - The value and a setter, like `useState`.
+ */
+function useUserPreference(user, name, defaultValue) {
+  const storageKey = user ? `pref:${user.uid}:${name}` : null;
+  const read = useCallback(() => {
+    if (!storageKey) return defaultValue;
+    try {
+      const saved = localStorage.getItem(storageKey);
+      return saved === null ? defaultValue : JSON.parse(saved);
+    } catch (error) {
+      return defaultValue;
+    }
+  }, [storageKey, defaultValue]);
+
+  const [value, setValue] = useState(read);
+
+  useEffect(() => {
+    setValue(read());
+  }, [read]);
+
+  const update = useCallback((next) => {
+    setValue(prev => {
+      const resolved = typeof next === 'function' ? next(prev) : next;
+      if (storageKey) {
+        try {
+          localStorage.setItem(storageKey, JSON.stringify(resolved));
+        } catch (error) {
+          console.warn("localStorage is not available. Preference will not be persisted.");
+        }
+      }
+      return resolved;
+    });
+  }, [storageKey]);
+
+  return [value, update];
+}
+
+const DRAFT_SAVE_DELAY_MS = 500;
+
+const draftStorageKey = (uid, conversationId) => `pref:${uid}:draft:${conversationId}`;
+
+// An empty draft leaves nothing behind in storage.
+const saveDraft = (storageKey, text) => {
+  try {
+    if (text) {
+      localStorage.setItem(storageKey, JSON.stringify(text));
+    } else {
+      localStorage.removeItem(storageKey);
+    }
+  } catch (error) {
+    // Without storage the draft simply does not survive a reload.
+  }
+};
+
+const removeDraft = (uid, conversationId) => saveDraft(draftStorageKey(uid, conversationId), '');
+
+/**
+ * The composer text of a conversation, kept in localStorage so an unsent draft survives a reload or a visit
+ * to another conversation. Typing is saved after a pause rather than on every keystroke; clearing the
+ * composer (e.g. by sending) removes the draft at once.
+ * @param {object | null} user - The signed-in user.
+ * @param {string | null} conversationId
+ * @returns {[string, (text: string) => void]} - The draft and its setter.
+ */
+function useDraft(user, conversationId) {
+  const storageKey = user && conversationId ? draftStorageKey(user.uid, conversationId) : null;
+  const read = useCallback(() => {
+    if (!storageKey) return '';
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) || '';
+    } catch (error) {
+      return '';
+    }
+  }, [storageKey]);
+
+  const [draft, setDraftState] = useState(read);
+  // The save waiting for a pause in typing.
+  const pendingRef = useRef(null);
+
+  useEffect(() => {
+    setDraftState(read());
+    // Leaving the conversation saves what was typed last.
+    return () => {
+      const pending = pendingRef.current;
+      if (!pending) return;
+      clearTimeout(pending.timer);
+      pendingRef.current = null;
+      saveDraft(pending.storageKey, pending.text);
+    };
+  }, [read]);
+
+  const setDraft = useCallback((text) => {
+    setDraftState(text);
+    if (!storageKey) return;
+    clearTimeout(pendingRef.current?.timer);
+    pendingRef.current = null;
+    if (!text) {
+      saveDraft(storageKey, '');
+      return;
+    }
+    const timer = setTimeout(() => {
+      pendingRef.current = null;
+      saveDraft(storageKey, text);
+    }, DRAFT_SAVE_DELAY_MS);
+    pendingRef.current = { storageKey, text, timer };
+  }, [storageKey]);
+
+  return [draft, setDraft];
+}
+
+// Within this distance of the end, a virtual list counts as read to the bottom and follows new rows.
+const VIRTUAL_LIST_END_SLACK_PX = 80;
+// Within this distance of the start, a virtual list asks for older rows.
+const VIRTUAL_LIST_START_SLACK_PX = 200;
+
+// Index of the row covering `position`, where offsets[i] is the start of row i and the last entry the total height.
+const rowIndexAt = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] <= position) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+};
+
+/**
+ * Renders only the rows of a long list that are in or near view, so thousands of rows stay smooth.
+ * Rows may have any height: each is measured once rendered and estimated until then. While the reader is
+ * at the end the list follows new rows; otherwise the row at the top of the view stays put when rows are
+ * added or resized above it.
+ * @param {React.RefObject<HTMLElement>} scrollRef - The scrolling container; `handleScroll` goes on its `onScroll`.
+ * @param {React.RefObject<HTMLElement>} listRef - The element holding the rows, padded by `paddingTop` and `paddingBottom`.
+ * @param {string[]} keys - A stable key per row, in order.
+ * @param {object} [options]
+ * @param {number} [options.estimatedSize=120] - Assumed height of a row not yet measured, in pixels.
+ * @param {number} [options.overscan=600] - How far past the view rows are rendered, in pixels.
+ * @param {Function} [options.onReachTop] - Called when the reader scrolls near the start, once per first row.
+ * @param {Function | null} [options.onReachBottom] - Given while more rows can be loaded after the last one:
+ *   called when the reader scrolls near the end, once per last row. The list does not follow the end meanwhile.
+ * @returns {{startIndex: number, endIndex: number, paddingTop: number, paddingBottom: number, measureRef: Function,
+ *   handleScroll: Function, isAtBottom: boolean, scrollToBottom: Function, scrollToKey: Function, followBottom: Function}}
+ */
+function useVirtualList(scrollRef, listRef, keys, { estimatedSize = 120, overscan = 600, onReachTop, onReachBottom = null } = {}) {
+  const [sizes, setSizes] = useState(() => new Map());
+  const [range, setRange] = useState({ start: 0, end: 0 });
+  const [isAtBottom, setAtBottom] = useState(true);
+  const isPinnedRef = useRef(true);
+  const lastScrollTopRef = useRef(0);
+  // The row at the top of the view, and how far the view is scrolled past its start.
+  const anchorRef = useRef(null);
+  // A row to center once it has rendered.
+  const pendingKeyRef = useRef(null);
+  const elementsRef = useRef(new Map());
+  const rowKeysRef = useRef(new WeakMap());
+  const measureRefs = useRef(new Map());
+  const observerRef = useRef(null);
+  const reachedTopAtRef = useRef(null);
+  const reachedBottomAtRef = useRef(null);
+  const keysRef = useRef(keys);
+  const offsetsRef = useRef([0]);
+  const onReachTopRef = useRef(onReachTop);
+  const onReachBottomRef = useRef(onReachBottom);
+
+  const offsets = useMemo(() => {
+    const result = [0];
+    keys.forEach((key, index) => {
+      result.push(result[index] + (sizes.get(key) ?? estimatedSize));
+    });
+    return result;
+  }, [keys, sizes, estimatedSize]);
+
+  // Layout effects run before the scroll handlers below can see a new render.
+  useLayoutEffect(() => {
+    keysRef.current = keys;
+    offsetsRef.current = offsets;
+    onReachTopRef.current = onReachTop;
+    onReachBottomRef.current = onReachBottom;
+  });
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  // Converts an element's position on screen to the container's scroll coordinates.
+  const scrollTopOf = useCallback((element) => {
+    const container = scrollRef.current;
+    return element.getBoundingClientRect().top - container.getBoundingClientRect().top - container.clientTop + container.scrollTop;
+  }, [scrollRef]);
+
+  // Where a row starts: measured if it is rendered, estimated otherwise.
+  const rowTop = useCallback((key, index) => {
+    const element = elementsRef.current.get(key);
+    return element ? scrollTopOf(element) : scrollTopOf(listRef.current) + offsetsRef.current[index];
+  }, [listRef, scrollTopOf]);
+
+  const updateRange = useCallback(() => {
+    const container = scrollRef.current;
+    const rowOffsets = offsetsRef.current;
+    if (!container || !listRef.current || rowOffsets.length < 2) return;
+    const top = container.scrollTop - scrollTopOf(listRef.current);
+    const start = rowIndexAt(rowOffsets, top - overscan);
+    const end = rowIndexAt(rowOffsets, top + container.clientHeight + overscan) + 1;
+    setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
+  }, [scrollRef, listRef, scrollTopOf, overscan]);
+
+  const recordAnchor = useCallback(() => {
+    const container = scrollRef.current;
+    const rowOffsets = offsetsRef.current;
+    if (!container || !listRef.current || rowOffsets.length < 2) return;
+    const index = rowIndexAt(rowOffsets, container.scrollTop - scrollTopOf(listRef.current));
+    const key = keysRef.current[index];
+    anchorRef.current = { key, offset: container.scrollTop - rowTop(key, index) };
+  }, [scrollRef, listRef, scrollTopOf, rowTop]);
+
+  // Before paint: follow the end, or put the anchor row back where the reader left it.
+  useLayoutEffect(() => {
+    const container = scrollRef.current;
+    if (!container || !listRef.current) return;
+    if (isPinnedRef.current) {
+      container.scrollTop = container.scrollHeight;
+    } else if (anchorRef.current) {
+      const index = keys.indexOf(anchorRef.current.key);
+      const target = index > -1 ? rowTop(anchorRef.current.key, index) + anchorRef.current.offset : container.scrollTop;
+      if (Math.abs(container.scrollTop - target) > 1) container.scrollTop = target;
+    }
+    const pending = pendingKeyRef.current && elementsRef.current.get(pendingKeyRef.current);
+    if (pending) {
+      pendingKeyRef.current = null;
+      pending.scrollIntoView({ block: 'center' });
+      recordAnchor();
+    }
+    updateRange();
+  }, [keys, offsets, range, scrollRef, listRef, rowTop, recordAnchor, updateRange]);
+
+  // The reader stays at the end until they scroll up, so growing content cannot push them off it.
+  const handleScroll = useCallback(() => {
+    const container = scrollRef.current;
+    if (!container) return;
+    const isNearEnd = container.scrollHeight - container.scrollTop - container.clientHeight <= VIRTUAL_LIST_END_SLACK_PX;
+    // The end of the loaded rows is not the end of the list while more can be loaded after them.
+    isPinnedRef.current = !onReachBottomRef.current && (isNearEnd || (isPinnedRef.current && container.scrollTop >= lastScrollTopRef.current));
+    lastScrollTopRef.current = container.scrollTop;
+    setAtBottom(isPinnedRef.current);
+    recordAnchor();
+    updateRange();
+    const firstKey = keysRef.current[0];
+    if (container.scrollTop <= VIRTUAL_LIST_START_SLACK_PX && firstKey !== undefined && reachedTopAtRef.current !== firstKey) {
+      reachedTopAtRef.current = firstKey;
+      onReachTopRef.current?.();
+    }
+    const lastKey = keysRef.current[keysRef.current.length - 1];
+    if (isNearEnd && onReachBottomRef.current && lastKey !== undefined && reachedBottomAtRef.current !== lastKey) {
+      reachedBottomAtRef.current = lastKey;
+      onReachBottomRef.current();
+    }
+  }, [scrollRef, recordAnchor, updateRange]);
+
+  // One stable ref callback per row, so rows are not re-observed on every render.
+  const measureRef = useCallback((key) => {
+    let ref = measureRefs.current.get(key);
+    if (!ref) {
+      ref = (element) => {
+        if (!observerRef.current) {
+          observerRef.current = new ResizeObserver(entries => {
+            const measured = entries
+              .map(({ target }) => [rowKeysRef.current.get(target), target.getBoundingClientRect().height])
+              .filter(([rowKey]) => rowKey !== undefined);
+            setSizes(prev => {
+              const changed = measured.filter(([rowKey, height]) => prev.get(rowKey) !== height);
+              return changed.length ? new Map([...prev, ...changed]) : prev;
+            });
+          });
+        }
+        const previous = elementsRef.current.get(key);
+        if (previous) observerRef.current.unobserve(previous);
+        if (element) {
+          elementsRef.current.set(key, element);
+          rowKeysRef.current.set(element, key);
+          observerRef.current.observe(element);
+        } else {
+          // The row unmounted; a new callback is made if it comes back.
+          elementsRef.current.delete(key);
+          measureRefs.current.delete(key);
+        }
+      };
+      measureRefs.current.set(key, ref);
+    }
+    return ref;
+  }, []);
+
+  const scrollToBottom = useCallback(() => {
+    isPinnedRef.current = true;
+    setAtBottom(true);
+    const container = scrollRef.current;
+    if (!container) return;
+    container.scrollTop = container.scrollHeight;
+    updateRange();
+  }, [scrollRef, updateRange]);
+
+  // For content after the rows, such as a typing indicator: keeps the end in view if the reader was there.
+  const followBottom = useCallback(() => {
+    const container = scrollRef.current;
+    if (isPinnedRef.current && container) container.scrollTop = container.scrollHeight;
+  }, [scrollRef]);
+
+  // Centers a row, jumping to its estimated place first when it is not rendered yet.
+  const scrollToKey = useCallback((key) => {
+    const container = scrollRef.current;
+    const index = keysRef.current.indexOf(key);
+    if (!container || index === -1) return;
+    isPinnedRef.current = false;
+    setAtBottom(false);
+    const element = elementsRef.current.get(key);
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      return;
+    }
+    const rowOffsets = offsetsRef.current;
+    const height = rowOffsets[index + 1] - rowOffsets[index];
+    container.scrollTop = rowTop(key, index) - (container.clientHeight - height) / 2;
+    pendingKeyRef.current = key;
+    recordAnchor();
+    updateRange();
+  }, [scrollRef, rowTop, recordAnchor, updateRange]);
+
+  const endIndex = Math.min(range.end, keys.length);
+  const startIndex = Math.min(range.start, endIndex);
+  return {
+    startIndex,
+    endIndex,
+    paddingTop: offsets[startIndex],
+    paddingBottom: offsets[keys.length] - offsets[endIndex],
+    measureRef,
+    handleScroll,
+    isAtBottom,
+    scrollToBottom,
+    scrollToKey,
+    followBottom,
+  };
+}
+
+// The address that lets others join a shared conversation. Whoever has it can join, so it is only ever copied
+// for the owner to pass on.
+const invitationLink = (ownerUid, conversationId, shareCode) => {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set('join', [ownerUid, conversationId, shareCode].join('/'));
+  return url.toString();
+};
+
+/**
+ * Reads the invitation of an `invitationLink` the page was opened with, and removes it from the address bar
+ * so a reload does not use it again.
+ * @returns {{ ownerUid: string, conversationId: string, shareCode: string } | null}
+ */
+const takeInvitation = () => {
+  const url = new URL(window.location.href);
+  const invitation = url.searchParams.get('join');
+  if (!invitation) return null;
+  url.searchParams.delete('join');
+  window.history.replaceState(null, '', url.toString());
+  const [ownerUid, conversationId, shareCode] = invitation.split('/');
+  return ownerUid && conversationId && shareCode ? { ownerUid, conversationId, shareCode } : null;
+};
+
+/**
+ * The user's conversations and those others shared with them, most recently active first. Each carries the
+ * `ownerUid` its messages are stored under. Only the owner may rename, delete, share or configure one; the
+ * people it is shared with may leave it.
+ */
+function useConversations(user) {
+  const [ownConversations, setOwnConversations] = useState([]);
+  const [sharedConversations, setSharedConversations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  // Until the shared ones are in too, a shared conversation restored as the active one would look gone.
+  const [isLoadingShared, setIsLoadingShared] = useState(true);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  // A conversation joined through an invitation, opened once it arrives with the shared ones.
+  const [joinedConversationId, setJoinedConversationId] = useState(null);
+  const t = useTranslation();
+  const isCreatingRef = useRef(false);
+
+  const storageKey = user ? `activeConversation:${user.uid}` : null;
+
+  useEffect(() => {
+    if (!user) return;
+    setIsLoading(true);
+    setIsLoadingShared(true);
+    try {
+      setActiveConversationId(localStorage.getItem(`activeConversation:${user.uid}`));
+    } catch (error) {
+      console.warn("localStorage is not available. Active conversation will not be restored.");
+    }
+    const unsubscribe = messageStore.subscribeToConversations(user.uid, (items) => {
+      setOwnConversations(items.map(conversation => ({ ...conversation, ownerUid: user.uid })));
+      setIsLoading(false);
+    }, (error) => {
+      console.error("Error loading conversations:", error);
+      toast.error(translate('loadConversationsFailed'));
+      setIsLoading(false);
+    });
+    const unsubscribeShared = messageStore.subscribeToSharedConversations(user.uid, (items) => {
+      setSharedConversations(items);
+      setIsLoadingShared(false);
+    }, (error) => {
+      console.error("Error loading shared conversations:", error);
+      toast.error(translate('loadSharedConversationsFailed'));
+      setIsLoadingShared(false);
+    });
+    return () => {
+      unsubscribe();
+      unsubscribeShared();
+    };
+  }, [user]);
+
+  // Should a shared conversation have the id of one of the user's own, their own is the one listed.
+  const conversations = useMemo(() => {
+    const ownIds = new Set(ownConversations.map(c => c.id));
+    return [...ownConversations, ...sharedConversations.filter(c => !ownIds.has(c.id))]
+      .sort((a, b) => (b.updatedAt?.getTime() || 0) - (a.updatedAt?.getTime() || 0));
+  }, [ownConversations, sharedConversations]);
+
+  const isOwnConversation = useCallback((conversationId) => {
+    if (ownConversations.some(c => c.id === conversationId)) return true;
+    toast.error(translate('ownerOnly'));
+    return false;
+  }, [ownConversations]);
+
+  useEffect(() => {
+    if (!user) return;
+    const invitation = takeInvitation();
+    if (!invitation) return;
+    const { ownerUid, conversationId, shareCode } = invitation;
+    if (ownerUid === user.uid) {
+      setJoinedConversationId(conversationId);
+      return;
+    }
+    messageStore.joinConversation(ownerUid, conversationId, shareCode, user.uid)
+      .then(() => {
+        setJoinedConversationId(conversationId);
+        toast.success(translate('joinedConversation'));
+      })
+      .catch(error => {
+        console.error("Error joining conversation:", error);
+        toast.error(translate('joinConversationFailed'));
+      });
+  }, [user]);
+
+  const createNewConversation = useCallback(async () => {
+    if (!user || isCreatingRef.current) return;
+    isCreatingRef.current = true;
+    try {
+      const created = await messageStore.createConversation(user.uid, t('newConversation'));
+      setActiveConversationId(created.id);
+    } catch (error) {
+      console.error("Error creating conversation:", error);
+      toast.error(translate('createConversationFailed'));
+    } finally {
+      isCreatingRef.current = false;
+    }
+  }, [user, t]);
+
+  // Keep the active conversation valid: fall back to the most recent one, or create a first one for new users.
+  useEffect(() => {
+    if (!user || isLoading || isLoadingShared) return;
+    if (joinedConversationId && conversations.some(c => c.id === joinedConversationId)) {
+      setActiveConversationId(joinedConversationId);
+      setJoinedConversationId(null);
+      return;
+    }
+    if (conversations.length === 0) {
+      createNewConversation();
+      return;
+    }
+    if (!conversations.some(c => c.id === activeConversationId)) {
+      setActiveConversationId(conversations[0].id);
+    }
+  }, [user, isLoading, isLoadingShared, conversations, activeConversationId, joinedConversationId, createNewConversation]);
+
+  useEffect(() => {
+    if (!storageKey || !activeConversationId) return;
+    try {
+      localStorage.setItem(storageKey, activeConversationId);
+    } catch (error) {
+      console.warn("localStorage is not available. Active conversation will not be persisted.");
+    }
+  }, [storageKey, activeConversationId]);
+
+  const renameExistingConversation = useCallback(async (conversationId, title) => {
+    const trimmed = title.trim();
+    if (!user || !trimmed || !isOwnConversation(conversationId)) return;
+    try {
+      await messageStore.renameConversation(user.uid, conversationId, trimmed);
+    } catch (error) {
+      console.error("Error renaming conversation:", error);
+      toast.error(translate('renameConversationFailed'));
+    }
+  }, [user, isOwnConversation]);
+
+  const deleteExistingConversation = useCallback(async (conversationId) => {
+    if (!user || !isOwnConversation(conversationId)) return;
+    try {
+      await messageStore.deleteConversation(user.uid, conversationId);
+      removeDraft(user.uid, conversationId);
+      toast.success(translate('conversationDeleted'));
+    } catch (error) {
+      console.error("Error deleting conversation:", error);
+      toast.error(translate('deleteConversationFailed'));
+    }
+  }, [user, isOwnConversation]);
+
+  // The persona (or null for the default) steers every AI reply in the conversation.
+  const setConversationPersona = useCallback(async (conversationId, persona) => {
+    if (!user || !isOwnConversation(conversationId)) return;
+    try {
+      await messageStore.updateConversation(user.uid, conversationId, { persona });
+      toast.success(persona ? translate('personaSet', { persona }) : translate('personaCleared'));
+    } catch (error) {
+      console.error("Error saving persona:", error);
+      toast.error(translate('personaFailed'));
+    }
+  }, [user, isOwnConversation]);
+
+  // Shares the conversation if it is not shared yet, and copies the link that lets others join it.
+  const shareExistingConversation = useCallback(async (conversationId) => {
+    if (!user || !isOwnConversation(conversationId)) return;
+    try {
+      const shareCode = await messageStore.shareConversation(user.uid, conversationId);
+      copyToClipboard(invitationLink(user.uid, conversationId, shareCode));
+    } catch (error) {
+      console.error("Error sharing conversation:", error);
+      toast.error(translate('shareConversationFailed'));
+    }
+  }, [user, isOwnConversation]);
+
+  // Removes everyone who joined and makes the link stop working; sharing again hands out a new one.
+  const stopSharingConversation = useCallback(async (conversationId) => {
+    if (!user || !isOwnConversation(conversationId)) return;
+    try {
+      await messageStore.stopSharing(user.uid, conversationId);
+      toast.success(translate('sharingStopped'));
+    } catch (error) {
+      console.error("Error stopping sharing:", error);
+      toast.error(translate('stopSharingFailed'));
+    }
+  }, [user, isOwnConversation]);
+
+  const leaveSharedConversation = useCallback(async (conversationId) => {
+    const conversation = sharedConversations.find(c => c.id === conversationId);
+    if (!user || !conversation) return;
+    try {
+      await messageStore.leaveConversation(conversation.ownerUid, conversationId, user.uid);
+      removeDraft(user.uid, conversationId);
+      toast.success(translate('leftConversation'));
+    } catch (error) {
+      console.error("Error leaving conversation:", error);
+      toast.error(translate('leaveConversationFailed'));
+    }
+  }, [user, sharedConversations]);
+
+  const exportExistingConversation = useCallback(async (conversationId, format) => {
+    const conversation = conversations.find(c => c.id === conversationId);
+    if (!user || !conversation) return;
+    try {
+      await exportConversation(conversation.ownerUid, conversation, format);
+    } catch (error) {
+      console.error("Error exporting conversation:", error);
+      toast.error(translate('exportFailed'));
+    }
+  }, [user, conversations]);
+
+  const importConversationFile = useCallback(async (file) => {
+    if (!user || !file) return;
+    try {
+      const parsed = parseConversationImport(await file.text());
+      const result = await importConversation(user, parsed);
+      setActiveConversationId(result.conversationId);
+      const skipped = result.duplicates + result.blocked;
+      const summary = translate('importedMessages', { count: result.imported });
+      toast.success(skipped ? `${summary} ${translate('importSkipped', { duplicates: result.duplicates, blocked: result.blocked })}` : summary);
+      return result;
+    } catch (error) {
+      console.error("Error importing conversation:", error);
+      toast.error(error instanceof ImportError ? translate('importFailed', { error: error.message }) : translate('importConversationFailed'));
+      return null;
+    }
+  }, [user]);
+
+  return {
+    conversations,
+    isLoading: isLoading || isLoadingShared,
+    activeConversationId,
+    selectConversation: setActiveConversationId,
+    createConversation: createNewConversation,
+    renameConversation: renameExistingConversation,
+    deleteConversation: deleteExistingConversation,
+    setConversationPersona,
+    shareConversation: shareExistingConversation,
+    stopSharing: stopSharingConversation,
+    leaveConversation: leaveSharedConversation,
+    exportConversation: exportExistingConversation,
+    importConversation: importConversationFile,
+  };
+}
+
+/**
+ * Searches everything the user has stored. Messages come from `loadSearchIndex` when the search opens (and
+ * are read again on `reload`); filtering then happens in memory on every change to `filters`.
+ */
+function useMessageSearch(user, filters) {
+  const [index, setIndex] = useState([]);
+  const [isIndexing, setIsIndexing] = useState(true);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!user) return;
+    let isMounted = true;
+    setIsIndexing(true);
+    loadSearchIndex(user.uid, { refresh: reloadKey > 0 })
+      .then(messages => { if (isMounted) setIndex(messages); })
+      .catch(error => {
+        console.error("Failed to load messages for search:", error);
+        toast.error(translate('searchLoadFailed'));
+      })
+      .finally(() => { if (isMounted) setIsIndexing(false); });
+    return () => { isMounted = false; };
+  }, [user, reloadKey]);
+
+  const results = useMemo(() => searchMessages(index, filters), [index, filters]);
+  const reload = useCallback(() => setReloadKey(key => key + 1), []);
+
+  return { results, isIndexing, reload };
+}
+
+/**
+ * Loads one of the admin console's lists. The setter lets a panel apply its own actions to the loaded list.
+ * @param {() => Promise<object[]>} load - A stable loader.
+ * @returns {[object[] | null, Function]} - The items (null while loading) and their setter.
+ */
+function useAdminList(load) {
+  const [items, setItems] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+    load()
+      .then(loaded => {
+        if (isMounted) setItems(loaded);
+      })
+      .catch(error => {
+        console.error("Failed to load admin data:", error);
+        toast.error(translate('loadAdminDataFailed'));
+        if (isMounted) setItems([]);
+      });
+    return () => { isMounted = false; };
+  }, [load]);
+
+  return [items, setItems];
+}
+
+function useMessageAnalysis(user, conversationId, { account = null, usageLimits = DEFAULT_USAGE_LIMITS, ownerUid = user?.uid } = {}) {
+  const [analyzingIds, setAnalyzingIds] = useState(new Set());
+  const canWrite = useWriteGuard(account);
+
+  const { language } = useContext(LanguageContext);
+  const langRef = useRef(language);
+  const usageLimitsRef = useRef(usageLimits);
+
+  useEffect(() => {
+    langRef.current = language;
+  }, [language]);
+
+  useEffect(() => {
+    usageLimitsRef.current = usageLimits;
+  }, [usageLimits]);
+
+  const performMessageAnalysis = useCallback(async (message) => {
+    const { id: messageId, text } = message;
+    if (!messageId || !text || !canWrite()) return;
+    if (messageId.startsWith('temp_')) {
+      toast.error(translate('analysisWaitForSave'));
+      return;
+    }
+
+    setAnalyzingIds(prev => new Set(prev).add(messageId)); // Use functional update
+    toast.loading(translate('analyzingMessage'), { id: `analyzing-${messageId}` });
+
+    try {
+      const messageRef = { uid: user.uid, ownerUid, conversationId, messageId, timestamp: message.timestamp, previous: message };
+      await analyzeAndSaveMessageFeatures(messageRef, text, langRef.current, usageLimitsRef.current);
+      toast.success(translate('analysisComplete'), { id: `analyzing-${messageId}` });
+    } catch (error) {
+      console.error("Failed to re-analyze message:", error);
+      toast.error(describeApiError(error, 'analysisFailed'), { id: `analyzing-${messageId}` });
+    } finally {
+      setAnalyzingIds(prev => {
+        const newSet = new Set(prev);
+        newSet.delete(messageId);
+        return newSet;
+      });
+    }
+  }, [user, ownerUid, conversationId, canWrite]); // Stable per conversation and doesn't depend on language state
+
+  return { performMessageAnalysis, analyzingIds };
+}
+
+const BULK_ANALYSIS_CONCURRENCY = 2;
+// How long the whole job backs off when the analysis APIs are rate limited without saying for how long.
+const BULK_ANALYSIS_COOLDOWN_MS = 30000;
+
+const bulkAnalysisKey = (uid, conversationId) => `bulkAnalysis:${uid}:${conversationId}`;
+
+// Only `analyzedAt` tells a finished analysis apart: an empty result (no entities) is a valid one, and a
+// message with some results but no `analyzedAt` had an analysis fail. Messages analyzed before `analyzedAt`
+// was recorded are analyzed once more.
+const needsAnalysis = (message) => message.sender === 'user' && !message.deleted && !message.analyzedAt;
+
+/**
+ * Analyzes every user message of a conversation that is missing results, a few at a time. The job is
+ * saved in localStorage after every step: a running job resumes after a reload (or when the conversation
+ * is opened again), a paused one waits for `resume`.
+ * @returns {{ job: { status: 'scanning' | 'running' | 'paused', total: number, done: number, failed: number, cooldownUntil: number } | null, start: Function, pause: Function, resume: Function, cancel: Function }}
+ */
+function useBulkAnalysis(user, conversationId, { account = null, usageLimits = DEFAULT_USAGE_LIMITS, ownerUid = user?.uid } = {}) {
+  const [job, setJob] = useState(null);
+  const canWrite = useWriteGuard(account);
+  const isWriteAllowed = !writeBlockedReason(account);
+  const jobRef = useRef(null);
+  // Bumped to stop the workers of the current run (pause, cancel, switching conversations).
+  const runRef = useRef(0);
+  const { language } = useContext(LanguageContext);
+  const langRef = useRef(language);
+  const usageLimitsRef = useRef(usageLimits);
+  const storageKey = user && conversationId ? bulkAnalysisKey(user.uid, conversationId) : null;
+
+  useEffect(() => {
+    langRef.current = language;
+  }, [language]);
+
+  useEffect(() => {
+    usageLimitsRef.current = usageLimits;
+  }, [usageLimits]);
+
+  const updateJob = useCallback((update) => {
+    const next = typeof update === 'function' ? update(jobRef.current) : update;
+    jobRef.current = next;
+    setJob(next);
+    if (!storageKey) return;
+    try {
+      if (next && next.status !== 'scanning') {
+        localStorage.setItem(storageKey, JSON.stringify(next));
+      } else {
+        localStorage.removeItem(storageKey);
+      }
+    } catch (error) {
+      // Without storage the job still runs; it just cannot resume after a reload.
+    }
+  }, [storageKey]);
+
+  // `runId` is the value of `runRef` the run was started under; a pause or cancel since then stops it.
+  const run = useCallback(async (storedMessages, runId) => {
+    const byId = new Map(storedMessages.map(message => [message.id, message]));
+    // Messages deleted, edited or analyzed elsewhere since the job was saved are dropped from the queue.
+    updateJob(current => {
+      const pendingIds = current.pendingIds.filter(id => byId.has(id) && needsAnalysis(byId.get(id)));
+      return { ...current, pendingIds, done: current.done + current.pendingIds.length - pendingIds.length };
+    });
+    const claimed = new Set();
+    // Results arriving after the run was stopped are not recorded; the queue is re-checked on resume anyway.
+    const isCurrentRun = () => runRef.current === runId;
+    const complete = (id, changes) => isCurrentRun() && updateJob(current => ({
+      ...current,
+      ...changes(current),
+      pendingIds: current.pendingIds.filter(pendingId => pendingId !== id),
+    }));
+
+    const worker = async () => {
+      while (isCurrentRun()) {
+        const current = jobRef.current;
+        const wait = current.cooldownUntil - Date.now();
+        if (wait > 0) {
+          await sleep(wait);
+          continue;
+        }
+        if (!canWrite()) {
+          // Suspended while running: the job stops as if paused.
+          if (isCurrentRun()) {
+            runRef.current++;
+            updateJob(state => ({ ...state, status: 'paused' }));
+          }
+          return;
+        }
+        const id = current.pendingIds.find(pendingId => !claimed.has(pendingId));
+        if (!id) return;
+        claimed.add(id);
+        const message = byId.get(id);
+        try {
+          await analyzeAndSaveMessageFeatures({ uid: user.uid, ownerUid, conversationId, messageId: id, timestamp: message.timestamp, previous: message }, message.text, langRef.current, usageLimitsRef.current);
+          complete(id, state => ({ done: state.done + 1 }));
+        } catch (error) {
+          if (error instanceof ApiError && error.quota) {
+            // The daily allowance is used up; waiting for hours in the background would only look stuck.
+            claimed.delete(id);
+            if (isCurrentRun()) {
+              runRef.current++;
+              toast.error(describeApiError(error, 'analysisFailed'));
+              updateJob(state => ({ ...state, status: 'paused' }));
+            }
+          } else if (error instanceof ApiError && error.kind === 'rateLimited') {
+            // Put the message back and let every worker wait.
+            claimed.delete(id);
+            if (isCurrentRun()) updateJob(state => ({ ...state, cooldownUntil: Date.now() + (error.retryAfterMs ?? BULK_ANALYSIS_COOLDOWN_MS) }));
+          } else {
+            console.error("Bulk analysis failed for a message:", error);
+            complete(id, state => ({ done: state.done + 1, failed: state.failed + 1 }));
+          }
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: BULK_ANALYSIS_CONCURRENCY }, worker));
+    const finished = jobRef.current;
+    if (!isCurrentRun() || finished.pendingIds.length > 0) return;
+    toast.success(translate('bulkAnalysisDone', { count: finished.done - finished.failed, failed: finished.failed }));
+    updateJob(null);
+  }, [user, ownerUid, conversationId, canWrite, updateJob]);
+
+  const runWithStoredMessages = useCallback(async () => {
+    const runId = ++runRef.current;
+    let storedMessages;
+    try {
+      storedMessages = await messageStore.listAllMessages(ownerUid, { conversationId });
+    } catch (error) {
+      console.error("Failed to load messages for bulk analysis:", error);
+      if (runRef.current !== runId) return;
+      toast.error(translate('bulkAnalysisLoadFailed'));
+      updateJob(current => current && { ...current, status: 'paused' });
+      return;
+    }
+    // Paused or cancelled while the messages were loading.
+    if (runRef.current !== runId || jobRef.current?.status !== 'running') return;
+    run(storedMessages, runId).catch(error => console.error("Bulk analysis failed:", error));
+  }, [ownerUid, conversationId, run, updateJob]);
+
+  // Picks up a job saved for this conversation, and stops the workers when leaving it.
+  useEffect(() => {
+    let saved = null;
+    try {
+      saved = storageKey ? JSON.parse(localStorage.getItem(storageKey)) : null;
+    } catch (error) {
+      saved = null;
+    }
+    jobRef.current = saved;
+    setJob(saved);
+    const runs = runRef;
+    return () => { runs.current++; };
+  }, [storageKey]);
+
+  // A running job resumes once the account may write; on page load it is usually still loading.
+  useEffect(() => {
+    if (isWriteAllowed && jobRef.current?.status === 'running') runWithStoredMessages();
+  }, [isWriteAllowed, runWithStoredMessages]);
+
+  const start = useCallback(async () => {
+    if (!storageKey || jobRef.current || !canWrite()) return;
+    const runId = ++runRef.current;
+    updateJob({ status: 'scanning', pendingIds: [], total: 0, done: 0, failed: 0, cooldownUntil: 0 });
+    const isCurrentScan = () => runRef.current === runId && jobRef.current?.status === 'scanning';
+    let storedMessages;
+    try {
+      storedMessages = await messageStore.listAllMessages(ownerUid, { conversationId });
+    } catch (error) {
+      console.error("Failed to load messages for bulk analysis:", error);
+      if (!isCurrentScan()) return;
+      toast.error(translate('bulkAnalysisLoadFailed'));
+      updateJob(null);
+      return;
+    }
+    // Cancelled while scanning: the job stays gone.
+    if (!isCurrentScan()) return;
+    const pendingIds = storedMessages.filter(needsAnalysis).map(message => message.id);
+    if (pendingIds.length === 0) {
+      toast(translate('nothingToAnalyze'));
+      updateJob(null);
+      return;
+    }
+    updateJob({ status: 'running', pendingIds, total: pendingIds.length, done: 0, failed: 0, cooldownUntil: 0 });
+    run(storedMessages, runId).catch(error => console.error("Bulk analysis failed:", error));
+  }, [storageKey, ownerUid, conversationId, canWrite, run, updateJob]);
+
+  // Messages already being analyzed finish; no new ones are started.
+  const pause = useCallback(() => {
+    runRef.current++;
+    updateJob(current => current && { ...current, status: 'paused' });
+  }, [updateJob]);
+
+  const resume = useCallback(() => {
+    if (jobRef.current?.status !== 'paused' || !canWrite()) return;
+    updateJob(current => ({ ...current, status: 'running', cooldownUntil: 0 }));
+    runWithStoredMessages();
+  }, [canWrite, runWithStoredMessages, updateJob]);
+
+  const cancel = useCallback(() => {
+    runRef.current++;
+    updateJob(null);
+  }, [updateJob]);
+
+  return { job, start, pause, resume, cancel };
+}
+
+const MESSAGES_PAGE_SIZE = 20;
+// The abort reason of a reply the user stopped, as opposed to one abandoned by leaving the conversation.
+const STOPPED_BY_USER = 'stoppedByUser';
+// The abort reason of a reply that moderation blocked while it was streaming in.
+const WITHHELD_BY_MODERATION = 'withheldByModeration';
+
+// The part of a reply still streaming in that can be judged: everything up to the word still arriving.
+const settledText = (text) => text.replace(/\S*$/, '');
+
+// Replies still streaming in, messages not yet delivered and deleted messages are not part of the history the AI should see.
+const isInPromptHistory = (message) => !message.isStreaming && !message.deliveryStatus && !message.deleted;
+
+// Who wrote a message. Messages from before conversations could be shared only name their owner, who wrote them all.
+const messageAuthorUid = (message) => message.authorUid || message.uid;
+
+const REPLY_EXCERPT_LENGTH = 160;
+
+// What a message stores about the one it replies to (`replyTo`). No copy of the text is kept: the preview
+// is read from the message itself, so edits, deletion and removal by a moderator show there too.
+const quoteMessage = (message) => ({ id: message.id, sender: message.sender });
+
+const replyExcerpt = (text) => (text.length > REPLY_EXCERPT_LENGTH ? `${text.slice(0, REPLY_EXCERPT_LENGTH).trimEnd()}…` : text);
+
+/**
+ * The history an AI reply to `userMessage` should see, ending with `userMessage` itself. When the user replied
+ * to an earlier message, the conversation is cut off after that message so the reply is anchored to it.
+ * @param {object[]} messages - The conversation in order; may or may not contain `userMessage`. It has to
+ *   contain the message replied to, otherwise the whole of `messages` is used (see `loadAnchoredHistory`).
+ * @param {object} userMessage
+ * @returns {object[]}
+ */
+function anchoredHistory(messages, userMessage) {
+  const others = messages.filter(m => m.id !== userMessage.id && !(userMessage.nonce && m.nonce === userMessage.nonce));
+  const anchorIndex = userMessage.replyTo ? others.findIndex(m => m.id === userMessage.replyTo.id) : -1;
+  const context = anchorIndex === -1 ? others : others.slice(0, anchorIndex + 1);
+  return [...context.filter(isInPromptHistory), userMessage];
+}
+
+const generateId = () => `temp_${Math.random().toString(36).substr(2, 9)}`;
+
+// Sent in place of a user message by `/summarize`; the reply comes in the interface language like any other.
+const AI_SUMMARY_PROMPT = "Summarize our conversation so far in a few short paragraphs. Keep the key points, decisions and open questions.";
+const summaryPrompt = () => ({ id: generateId(), sender: 'user', text: AI_SUMMARY_PROMPT });
+
+const actionTypes = {
+  RESET: 'RESET',
+  SET_LOADING: 'SET_LOADING',
+  SET_LOADING_MORE: 'SET_LOADING_MORE',
+  SET_TYPING: 'SET_TYPING',
+  INITIAL_LOAD: 'INITIAL_LOAD',
+  LOAD_MORE: 'LOAD_MORE',
+  JUMP_LOAD: 'JUMP_LOAD',
+  LOAD_NEWER: 'LOAD_NEWER',
+  ADD_OPTIMISTIC: 'ADD_OPTIMISTIC',
+  UPDATE_OPTIMISTIC: 'UPDATE_OPTIMISTIC',
+  REMOVE_OPTIMISTIC: 'REMOVE_OPTIMISTIC',
+  REALTIME_ADDED: 'REALTIME_ADDED',
+  REALTIME_MODIFIED: 'REALTIME_MODIFIED',
+  REALTIME_REMOVED: 'REALTIME_REMOVED',
+  UPDATE_MESSAGE: 'UPDATE_MESSAGE',
+};
+
+const messagesInitialState = {
+  messages: [],
+  isTyping: false,
+  cursor: null,
+  hasMore: true,
+  // After a jump into older history, the messages between it and the newest are paged in from here.
+  newerCursor: null,
+  hasNewer: false,
+  isLoading: true,
+  isLoadingMore: false,
+};
+
+// Optimistic messages not yet saved, and replies still streaming in.
+const isUnsaved = (message) => Boolean(message.deliveryStatus || message.isStreaming);
+
+function messagesReducer(state, action) {
+  switch (action.type) {
+    case actionTypes.RESET:
+      return messagesInitialState;
+    case actionTypes.SET_LOADING:
+      return { ...state, isLoading: action.payload };
+    case actionTypes.SET_LOADING_MORE:
+      return { ...state, isLoadingMore: action.payload };
+    case actionTypes.SET_TYPING:
+      return { ...state, isTyping: action.payload };
+    case actionTypes.INITIAL_LOAD:
+      return {
+        ...state,
+        messages: action.payload.messages,
+        cursor: action.payload.cursor,
+        hasMore: action.payload.hasMore,
+        isLoading: false,
+      };
+    case actionTypes.LOAD_MORE:
+      return {
+        ...state,
+        messages: [...action.payload.messages, ...state.messages],
+        cursor: action.payload.cursor,
+        hasMore: action.payload.hasMore,
+        isLoadingMore: false,
+      };
+    case actionTypes.JUMP_LOAD: {
+      // The page replaces the loaded history; only unsent and streaming messages are kept, at the end.
+      const loadedIds = new Set(action.payload.messages.map(m => m.id));
+      return {
+        ...state,
+        messages: [...action.payload.messages, ...state.messages.filter(m => !loadedIds.has(m.id) && isUnsaved(m))],
+        cursor: action.payload.cursor,
+        hasMore: action.payload.hasMore,
+        newerCursor: action.payload.newerCursor,
+        hasNewer: action.payload.hasNewer,
+        isLoadingMore: false,
+      };
+    }
+    case actionTypes.LOAD_NEWER: {
+      // Messages sent meanwhile may already be loaded, so the stored ones are put back in order.
+      const loadedIds = new Set(action.payload.messages.map(m => m.id));
+      const loadedNonces = new Set(action.payload.messages.map(m => m.nonce).filter(Boolean));
+      const kept = state.messages.filter(m => !loadedIds.has(m.id) && !loadedNonces.has(m.id));
+      const stored = [...kept.filter(m => !isUnsaved(m)), ...action.payload.messages].sort((a, b) => a.timestamp - b.timestamp);
+      return {
+        ...state,
+        messages: [...stored, ...kept.filter(isUnsaved)],
+        newerCursor: action.payload.cursor,
+        hasNewer: action.payload.hasMore,
+        isLoadingMore: false,
+      };
+    }
+    case actionTypes.ADD_OPTIMISTIC:
+      return { ...state, messages: [...state.messages, action.payload] };
+    case actionTypes.UPDATE_OPTIMISTIC: {
+      const { nonce, ...changes } = action.payload;
+      return { ...state, messages: state.messages.map(m => m.id === nonce ? { ...m, ...changes } : m) };
+    }
+    case actionTypes.REMOVE_OPTIMISTIC:
+      return { ...state, messages: state.messages.filter(m => m.id !== action.payload.nonce) };
+    case actionTypes.REALTIME_ADDED: {
+      const message = action.payload;
+      const optimisticIndex = message.nonce ? state.messages.findIndex(m => m.id === message.nonce) : -1;
+      if (optimisticIndex > -1) {
+        const newMessages = [...state.messages];
+        newMessages[optimisticIndex] = message;
+        return { ...state, messages: newMessages };
+      }
+      // With newer history still to be paged in, the message arrives with its page instead of after a gap.
+      if (state.hasNewer || state.messages.some(m => m.id === message.id)) {
+        return state;
+      }
+      return { ...state, messages: [...state.messages, message] };
+    }
+    case actionTypes.REALTIME_REMOVED:
+      return { ...state, messages: state.messages.filter(m => m.id !== action.payload.id) };
+    case actionTypes.UPDATE_MESSAGE: {
+      const { id, changes } = action.payload;
+      return { ...state, messages: state.messages.map(m => m.id === id ? { ...m, ...changes } : m) };
+    }
+    case actionTypes.REALTIME_MODIFIED: {
+      const message = action.payload;
+      return {
+        ...state,
+        messages: state.messages.map(m => m.id === message.id ? { ...m, ...message } : m)
+      };
+    }
+    default:
+      throw new Error(`Unhandled action type: ${action.type}`);
+  }
+}
+
+/**
+ * @param {object} user - The signed-in user.
+ * @param {string | null} conversationId
+ * @param {{ account?: object | null, usageLimits?: object, persona?: string | null }} [options] - Nothing is
+ * written while `account` (from `useAccount`) is loading or suspended; `usageLimits` (from `resolveUsageLimits`)
+ * caps messages, AI replies and analyses; `persona` is sent with every AI request.
+ */
+/**
+ * The messages of one conversation and everything the user can do with them. In a conversation someone shared
+ * with the user, `ownerUid` is its owner: messages are stored under the owner and name the user as `authorUid`.
+ */
+function useMessages(user, conversationId, { account = null, usageLimits = DEFAULT_USAGE_LIMITS, persona = null, ownerUid = user?.uid } = {}) {
+  const [state, dispatch] = useReducer(messagesReducer, messagesInitialState);
+  const canWrite = useWriteGuard(account);
+  const isWriteAllowed = !writeBlockedReason(account);
+  const { messages, cursor, hasMore, newerCursor, hasNewer, isLoadingMore } = state;
+  const { language } = useContext(LanguageContext);
+
+  const messagesRef = useRef(messages);
+  const aiResponseCount = useRef(0);
+  const streamControllersRef = useRef(new Set());
+  const deliveringRef = useRef(new Set());
+  const retryTimersRef = useRef(new Map());
+  const deliverEntryRef = useRef(() => {});
+  const requestAIReplyRef = useRef(() => {});
+  // Queued messages that could not go out because the account may not write yet, by nonce.
+  const heldEntriesRef = useRef(new Map());
+  const [regeneratingIds, setRegeneratingIds] = useState(new Set());
+  const regeneratingRef = useRef(new Set());
+  const usageLimitsRef = useRef(usageLimits);
+  const personaRef = useRef(persona);
+
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+
+  useEffect(() => {
+    usageLimitsRef.current = usageLimits;
+  }, [usageLimits]);
+
+  useEffect(() => {
+    personaRef.current = persona;
+  }, [persona]);
+  
+  useEffect(() => {
+    if (!user || !conversationId) return;
+
+    let isMounted = true;
+    // Only changes after this point arrive through the realtime listener; older history is paged in.
+    const sessionStart = new Date();
+
+    const loadInitialMessages = async () => {
+      dispatch({ type: actionTypes.RESET });
+      try {
+        const page = await messageStore.listMessages(ownerUid, conversationId, { pageSize: MESSAGES_PAGE_SIZE });
+        if (!isMounted) return; // Prevent state update if component unmounted
+        dispatch({ type: actionTypes.INITIAL_LOAD, payload: page });
+        await restoreOutbox(page.messages);
+      } catch (error) {
+        console.error("Error loading initial messages:", error);
+        toast.error(translate('loadHistoryFailed'));
+      } finally {
+        // Ensure we don't try to update state on an unmounted component.
+        if (isMounted) { 
+          dispatch({ type: actionTypes.SET_LOADING, payload: false });
+        }
+      }
+    };
+
+    // Messages queued before a reload reappear with their original nonce and are delivered again.
+    const restoreOutbox = async (loadedMessages) => {
+      const entries = await outbox.listForConversation(user.uid, conversationId);
+      if (!isMounted) return;
+      for (const entry of entries) {
+        const delivered = loadedMessages.find(m => m.nonce === entry.nonce);
+        if (delivered || entry.status === 'awaitingReply') {
+          // Delivered before the page went away (only the outbox cleanup was lost), or while another
+          // conversation was open, in which case its AI reply is still due.
+          outbox.remove(entry.nonce);
+          if (delivered && entry.status === 'awaitingReply') requestAIReplyRef.current(delivered);
+          continue;
+        }
+        dispatch({
+          type: actionTypes.ADD_OPTIMISTIC,
+          payload: { id: entry.nonce, ...entry.message, timestamp: new Date(entry.createdAt), sentiment: null, entities: [], translation: null, deliveryStatus: entry.status },
+        });
+        if (entry.status === 'pending') {
+          deliverEntryRef.current(entry);
+        }
+      }
+    };
+
+    loadInitialMessages();
+
+    const unsubscribe = messageStore.subscribeToMessages(ownerUid, conversationId, sessionStart, {
+      onAdded: (message) => dispatch({ type: actionTypes.REALTIME_ADDED, payload: message }),
+      onModified: (message) => dispatch({ type: actionTypes.REALTIME_MODIFIED, payload: message }),
+      onRemoved: (message) => dispatch({ type: actionTypes.REALTIME_REMOVED, payload: message }),
+    }, (error) => console.error("Realtime message listener failed:", error));
+
+    const heldEntries = heldEntriesRef.current;
+    return () => {
+      isMounted = false;
+      unsubscribe();
+      // They stay in the outbox and are restored when the conversation is opened again.
+      heldEntries.clear();
+    };
+  }, [user, ownerUid, conversationId]);
+
+  const loadMore = useCallback(async () => {
+    if (!hasMore || isLoadingMore || !cursor) return;
+    dispatch({ type: actionTypes.SET_LOADING_MORE, payload: true });
+    try {
+      const page = await messageStore.listMessages(ownerUid, conversationId, { pageSize: MESSAGES_PAGE_SIZE, cursor });
+      dispatch({ type: actionTypes.LOAD_MORE, payload: page });
+    } catch (error) {
+      console.error("Error loading more messages:", error);
+      toast.error(translate('loadOlderFailed'));
+      dispatch({ type: actionTypes.SET_LOADING_MORE, payload: false });
+    }
+  }, [ownerUid, conversationId, cursor, hasMore, isLoadingMore]);
+
+  // Pages in the history between a message jumped to and the newest one.
+  const loadNewer = useCallback(async () => {
+    if (!hasNewer || isLoadingMore || !newerCursor) return;
+    dispatch({ type: actionTypes.SET_LOADING_MORE, payload: true });
+    try {
+      const page = await messageStore.listNewerMessages(ownerUid, conversationId, { pageSize: MESSAGES_PAGE_SIZE, cursor: newerCursor });
+      dispatch({ type: actionTypes.LOAD_NEWER, payload: page });
+    } catch (error) {
+      console.error("Error loading newer messages:", error);
+      toast.error(translate('loadNewerFailed'));
+      dispatch({ type: actionTypes.SET_LOADING_MORE, payload: false });
+    }
+  }, [ownerUid, conversationId, newerCursor, hasNewer, isLoadingMore]);
+
+  // Makes sure a message (e.g. a search result) is loaded, fetching a page of history around it if needed.
+  // Returns whether the message is available.
+  const jumpToMessage = useCallback(async (messageId) => {
+    if (messagesRef.current.some(m => m.id === messageId)) return true;
+    dispatch({ type: actionTypes.SET_LOADING_MORE, payload: true });
+    try {
+      const page = await messageStore.listMessagesAround(ownerUid, conversationId, messageId, { pageSize: MESSAGES_PAGE_SIZE });
+      if (!page) {
+        toast.error(translate('messageUnavailable'));
+        dispatch({ type: actionTypes.SET_LOADING_MORE, payload: false });
+        return false;
+      }
+      dispatch({ type: actionTypes.JUMP_LOAD, payload: page });
+      return true;
+    } catch (error) {
+      console.error("Error loading message history:", error);
+      toast.error(translate('loadHistoryRangeFailed'));
+      dispatch({ type: actionTypes.SET_LOADING_MORE, payload: false });
+      return false;
+    }
+  }, [ownerUid, conversationId]);
+
+  // `anchoredHistory` for a reply to a message that may not be loaded, e.g. one found by search further back.
+  // The message replied to is then fetched along with a page of the messages before it.
+  const loadAnchoredHistory = useCallback(async (messages, userMessage) => {
+    const anchorId = userMessage.replyTo?.id;
+    if (!anchorId || messages.some(m => m.id === anchorId)) return anchoredHistory(messages, userMessage);
+    const page = await messageStore.listMessagesAround(ownerUid, conversationId, anchorId, { pageSize: MESSAGES_PAGE_SIZE });
+    if (!page) throw new Error(`The message replied to (${anchorId}) no longer exists`);
+    return anchoredHistory(page.messages, userMessage);
+  }, [ownerUid, conversationId]);
+
+  // AI output goes through the same moderation as user input before it is persisted.
+  // Returns false when the reply was blocked and nothing was written.
+  const persistAIReply = useCallback(async (responseText, extraFields = {}) => {
+    const aiVerdict = moderateContent(responseText);
+    if (aiVerdict.severity === 'block') {
+      toast.error(translate('aiReplyWithheld'));
+      recordModerationEvent({ uid: user.uid, ownerUid, user: user.email, conversationId, source: 'ai', text: responseText, verdict: aiVerdict });
+      return false;
+    }
+    const aiMessage = { ...extraFields, uid: ownerUid, authorUid: user.uid, user: user.email, text: responseText, sender: 'ai', tokens: countTokens(responseText), ...(aiVerdict.severity !== 'allow' && { moderation: describeModeration(aiVerdict) }) };
+    const savedReply = await messageStore.addMessage(ownerUid, conversationId, aiMessage);
+    recordStats(ownerUid, conversationId, new Date(), messageStatsDelta(aiMessage, new Date()), { userWide: ownerUid === user.uid });
+    if (aiVerdict.severity === 'review') {
+      recordModerationEvent({ uid: user.uid, ownerUid, user: user.email, conversationId, messageId: savedReply.id, source: 'ai', text: responseText, verdict: aiVerdict });
+    }
+    return true;
+  }, [user, ownerUid, conversationId]);
+
+  // `replyTo` defaults to a quote of `userMessage`; `fields` are saved on the reply.
+  const requestAIReply = useCallback(async (userMessage, { replyTo = quoteMessage(userMessage), fields = {} } = {}) => {
+    if (!canWrite()) return;
+    try {
+      consumeQuota(user.uid, 'aiReplies', usageLimitsRef.current);
+    } catch (error) {
+      toast.error(describeApiError(error, 'aiFailed'));
+      return;
+    }
+    let currentHistory;
+    try {
+      currentHistory = buildPromptHistory(await loadAnchoredHistory(messagesRef.current, userMessage)).history;
+    } catch (error) {
+      console.error("Error loading the message replied to:", error);
+      refundQuota(user.uid, 'aiReplies');
+      toast.error(translate('aiFailed'));
+      return;
+    }
+    const messageText = userMessage.text;
+    aiResponseCount.current++;
+    dispatch({ type: actionTypes.SET_TYPING, payload: true });
+    if (!AI_STREAMING_ENABLED) {
+      try {
+        const responseText = await getAIResponse(messageText, currentHistory, language, { persona: personaRef.current });
+        await persistAIReply(responseText, { ...fields, replyTo });
+      } catch (error) {
+        console.error("Error getting AI response:", error);
+        applyServerCooldown(user.uid, 'aiReplies', error);
+        if (isServiceFailure(error)) refundQuota(user.uid, 'aiReplies');
+        toast.error(describeApiError(error, 'aiFailed'));
+      } finally {
+        aiResponseCount.current--;
+        if (aiResponseCount.current === 0) {
+          dispatch({ type: actionTypes.SET_TYPING, payload: false });
+        }
+      }
+      return;
+    }
+
+    // The live reply is an optimistic message keyed by its own nonce, so the persisted copy
+    // replaces it through the usual REALTIME_ADDED reconciliation.
+    const aiNonce = generateId();
+    const controller = new AbortController();
+    streamControllersRef.current.add(controller);
+    let streamedText = '';
+    let isPlaceholderShown = false;
+
+    // Only text that moderation has passed is shown. Blocked text stops the stream, like the user would.
+    const onToken = (fullText) => {
+      streamedText = fullText;
+      const text = settledText(fullText);
+      if (controller.signal.aborted) return;
+      if (moderateContent(text).severity === 'block') {
+        controller.abort(WITHHELD_BY_MODERATION);
+        return;
+      }
+      if (!isPlaceholderShown) {
+        isPlaceholderShown = true;
+        dispatch({ type: actionTypes.ADD_OPTIMISTIC, payload: { id: aiNonce, nonce: aiNonce, user: user.email, text, sender: 'ai', replyTo, timestamp: new Date(), isStreaming: true } });
+      } else {
+        dispatch({ type: actionTypes.UPDATE_OPTIMISTIC, payload: { nonce: aiNonce, text } });
+      }
+    };
+
+    try {
+      let responseText;
+      let wasStopped = false;
+      try {
+        responseText = await streamAIResponse(messageText, currentHistory, language, { signal: controller.signal, onToken, persona: personaRef.current });
+      } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+        if (controller.signal.reason === WITHHELD_BY_MODERATION) {
+          dispatch({ type: actionTypes.REMOVE_OPTIMISTIC, payload: { nonce: aiNonce } });
+          toast.error(translate('aiReplyWithheld'));
+          recordModerationEvent({ uid: user.uid, ownerUid, user: user.email, conversationId, source: 'ai', text: streamedText, verdict: moderateContent(streamedText) });
+          return;
+        }
+        // Stopped by the user: keep whatever arrived so far. A reply abandoned by leaving the conversation is dropped.
+        if (controller.signal.reason !== STOPPED_BY_USER) {
+          dispatch({ type: actionTypes.REMOVE_OPTIMISTIC, payload: { nonce: aiNonce } });
+          return;
+        }
+        responseText = streamedText;
+        wasStopped = true;
+      }
+      if (!responseText.trim()) {
+        // An empty stream is the service's failure; stopping before anything arrived is the user's choice.
+        if (!wasStopped) refundQuota(user.uid, 'aiReplies');
+        dispatch({ type: actionTypes.REMOVE_OPTIMISTIC, payload: { nonce: aiNonce } });
+        return;
+      }
+      // The last word has not been checked yet; `persistAIReply` withholds the reply if it is blocked.
+      const isBlocked = moderateContent(responseText).severity === 'block';
+      dispatch({ type: actionTypes.UPDATE_OPTIMISTIC, payload: { nonce: aiNonce, ...(!isBlocked && { text: responseText }), isStreaming: false } });
+      const persisted = await persistAIReply(responseText, { ...fields, nonce: aiNonce, replyTo, ...(wasStopped && { stopped: true }) });
+      if (!persisted) {
+        dispatch({ type: actionTypes.REMOVE_OPTIMISTIC, payload: { nonce: aiNonce } });
+      }
+    } catch (error) {
+      console.error("Error getting AI response:", error);
+      applyServerCooldown(user.uid, 'aiReplies', error);
+      if (isServiceFailure(error)) refundQuota(user.uid, 'aiReplies');
+      toast.error(describeApiError(error, 'aiFailed'));
+      dispatch({ type: actionTypes.REMOVE_OPTIMISTIC, payload: { nonce: aiNonce } });
+    } finally {
+      streamControllersRef.current.delete(controller);
+      aiResponseCount.current--;
+      if (aiResponseCount.current === 0) {
+          dispatch({ type: actionTypes.SET_TYPING, payload: false });
+      }
+    }
+  }, [user, ownerUid, conversationId, language, canWrite, persistAIReply, loadAnchoredHistory]);
+
+  useEffect(() => {
+    requestAIReplyRef.current = requestAIReply;
+  }, [requestAIReply]);
+
+  const scheduleRetry = useCallback((entry) => {
+    clearTimeout(retryTimersRef.current.get(entry.nonce));
+    const delay = Math.max(0, entry.nextAttemptAt - Date.now());
+    retryTimersRef.current.set(entry.nonce, setTimeout(() => {
+      retryTimersRef.current.delete(entry.nonce);
+      deliverEntryRef.current(entry);
+    }, delay));
+  }, []);
+
+  /**
+   * Writes a queued message to Firestore. On success it leaves the outbox and the usual analysis and
+   * AI reply follow; on failure it is rescheduled with exponential backoff until it runs out of attempts.
+   * A message of another conversation stays in the outbox until its AI reply can be requested there.
+   */
+  const deliverEntry = useCallback(async (entry) => {
+    const { nonce } = entry;
+    if (deliveringRef.current.has(nonce)) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      // Stays queued; the 'online' listener flushes it when connectivity returns.
+      dispatch({ type: actionTypes.UPDATE_OPTIMISTIC, payload: { nonce, deliveryStatus: 'pending' } });
+      return;
+    }
+
+    if (!canWrite({ quiet: true })) {
+      heldEntriesRef.current.set(nonce, entry);
+      dispatch({ type: actionTypes.UPDATE_OPTIMISTIC, payload: { nonce, deliveryStatus: 'pending' } });
+      return;
+    }
+
+    deliveringRef.current.add(nonce);
+    dispatch({ type: actionTypes.UPDATE_OPTIMISTIC, payload: { nonce, deliveryStatus: 'sending' } });
+    // Entries queued before conversations could be shared have no `ownerUid`; the sender was the owner.
+    const ownerUid = entry.ownerUid || entry.uid;
+    let savedMessage;
+    try {
+      savedMessage = await withTimeout(
+        messageStore.addMessage(ownerUid, entry.conversationId, entry.message, messageIdForNonce(nonce)),
+        OUTBOX_SEND_TIMEOUT_MS
+      );
+    } catch (error) {
+      console.error("Error sending message:", error);
+      const attempts = entry.attempts + 1;
+      const hasAttemptsLeft = attempts < OUTBOX_MAX_ATTEMPTS;
+      const updated = {
+        ...entry,
+        attempts,
+        status: hasAttemptsLeft ? 'pending' : 'failed',
+        lastError: error.message,
+        nextAttemptAt: Date.now() + outboxBackoffDelay(attempts),
+      };
+      await outbox.put(updated);
+      dispatch({ type: actionTypes.UPDATE_OPTIMISTIC, payload: { nonce, deliveryStatus: updated.status } });
+      if (hasAttemptsLeft) {
+        scheduleRetry(updated);
+      } else {
+        toast.error(translate('sendFailed'));
+      }
+      return;
+    } finally {
+      deliveringRef.current.delete(nonce);
+    }
+
+    const isOpen = entry.conversationId === conversationId;
+    if (isOpen) {
+      await outbox.remove(nonce);
+    } else {
+      await outbox.put({ ...entry, status: 'awaitingReply' });
+    }
+    dispatch({ type: actionTypes.UPDATE_OPTIMISTIC, payload: { nonce, deliveryStatus: null } });
+    if (entry.verdict?.severity === 'review') {
+      recordModerationEvent({ uid: entry.uid, ownerUid, user: entry.message.user, conversationId: entry.conversationId, messageId: savedMessage.id, source: 'user', text: entry.message.text, verdict: entry.verdict });
+    }
+
+    // Call the centralized analysis function and the AI response function
+    const sentAt = new Date();
+    recordStats(ownerUid, entry.conversationId, sentAt, messageStatsDelta(entry.message, sentAt), { userWide: ownerUid === entry.uid });
+    recordUserMessage(entry.uid);
+    analyzeAndSaveMessageFeatures({ uid: entry.uid, ownerUid, conversationId: entry.conversationId, messageId: savedMessage.id, timestamp: sentAt }, entry.message.text, language, usageLimitsRef.current)
+      .catch(error => {
+        console.error("Automatic message analysis failed:", error);
+        // With the analyses used up, new messages go unanalyzed until the quota refills; the user is told so.
+        if (error instanceof ApiError && error.kind === 'rateLimited') {
+          toast.error(translate('automaticAnalysisStopped', { reason: describeApiError(error, 'analysisFailed') }), { id: 'automaticAnalysisStopped' });
+        }
+      });
+    if (isOpen) requestAIReply({ ...entry.message, id: savedMessage.id, timestamp: new Date(entry.createdAt) });
+  }, [conversationId, language, canWrite, requestAIReply, scheduleRetry]);
+
+  useEffect(() => {
+    deliverEntryRef.current = deliverEntry;
+  }, [deliverEntry]);
+
+  // Messages held back while the account was loading (or suspended) go out once it may write.
+  useEffect(() => {
+    if (!isWriteAllowed) return;
+    const held = [...heldEntriesRef.current.values()];
+    heldEntriesRef.current.clear();
+    held.forEach(entry => deliverEntryRef.current(entry));
+  }, [isWriteAllowed]);
+
+  const flushOutbox = useCallback(async () => {
+    if (!user) return;
+    const entries = await outbox.listForUser(user.uid);
+    entries.filter(entry => entry.status === 'pending').forEach(entry => deliverEntryRef.current(entry));
+  }, [user]);
+
+  // Retry queued messages, of every conversation, as soon as the browser comes back online.
+  useEffect(() => {
+    window.addEventListener('online', flushOutbox);
+    const retryTimers = retryTimersRef.current;
+    return () => {
+      window.removeEventListener('online', flushOutbox);
+      retryTimers.forEach(timer => clearTimeout(timer));
+      retryTimers.clear();
+    };
+  }, [flushOutbox]);
+
+  /**
+   * Sends a user message; the AI reply follows once it is delivered.
+   * @param {string} messageText
+   * @param {{ replyTo?: object }} [options] - `replyTo` is a `quoteMessage` of an earlier message to answer.
+   */
+  const sendMessage = useCallback(async (messageText, { replyTo = null } = {}) => {
+    if (!conversationId || !canWrite()) return;
+    const verdict = moderateContent(messageText);
+    const moderation = describeModeration(verdict);
+    if (verdict.severity === 'block') {
+      toast.error(translate('messageBlocked', { reasons: moderation.reasons.join(', ') }));
+      recordModerationEvent({ uid: user.uid, ownerUid, user: user.email, conversationId, source: 'user', text: messageText, verdict });
+      return;
+    }
+    // Counted only once it is certain to be sent, so a blocked message does not use up the allowance.
+    try {
+      consumeQuota(user.uid, 'messages', usageLimitsRef.current);
+    } catch (error) {
+      toast.error(describeApiError(error, 'sendFailed'));
+      return;
+    }
+    if (verdict.severity === 'warn') {
+      toast(translate('moderationHeadsUp', { reasons: moderation.reasons.join(', ') }), { icon: '⚠️' });
+    }
+
+    const nonce = generateId();
+    const tokens = countTokens(messageText);
+    const optimisticMessage = { id: nonce, nonce, authorUid: user.uid, user: user.email, text: messageText, sender: 'user', replyTo, timestamp: new Date(), tokens, sentiment: null, entities: [], translation: null, deliveryStatus: 'sending' };
+    dispatch({ type: actionTypes.ADD_OPTIMISTIC, payload: optimisticMessage });
+
+    // The message is persisted locally before the first attempt so it survives a failed send or a reload.
+    const entry = {
+      nonce,
+      uid: user.uid,
+      ownerUid,
+      conversationId,
+      message: { nonce, uid: ownerUid, authorUid: user.uid, user: user.email, text: messageText, sender: 'user', replyTo, tokens, ...(verdict.severity !== 'allow' && { moderation }) },
+      verdict,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      createdAt: Date.now(),
+    };
+    await outbox.put(entry);
+    deliverEntry(entry);
+  }, [user, ownerUid, conversationId, canWrite, deliverEntry]);
+
+  const retryMessage = useCallback(async (nonce) => {
+    if (!canWrite()) return;
+    const entry = await outbox.get(nonce);
+    if (!entry) return;
+    const reset = { ...entry, status: 'pending', attempts: 0, nextAttemptAt: Date.now() };
+    await outbox.put(reset);
+    deliverEntry(reset);
+  }, [canWrite, deliverEntry]);
+
+  const discardMessage = useCallback(async (nonce) => {
+    clearTimeout(retryTimersRef.current.get(nonce));
+    retryTimersRef.current.delete(nonce);
+    await outbox.remove(nonce);
+    dispatch({ type: actionTypes.REMOVE_OPTIMISTIC, payload: { nonce } });
+  }, []);
+
+  const findMessage = (messageId) => messagesRef.current.find(m => m.id === messageId);
+
+  /**
+   * Replaces the text of one of the user's own messages. Earlier versions are kept in `editHistory`,
+   * and analysis results are cleared because they describe the old text.
+   */
+  const editMessage = useCallback(async (messageId, newText) => {
+    const message = findMessage(messageId);
+    const text = newText.trim();
+    if (!message || message.sender !== 'user' || messageAuthorUid(message) !== user.uid || !text || text === message.text || !canWrite()) return false;
+
+    const verdict = moderateContent(text);
+    if (verdict.severity === 'block') {
+      toast.error(translate('editBlocked', { reasons: describeModeration(verdict).reasons.join(', ') }));
+      recordModerationEvent({ uid: user.uid, ownerUid, user: user.email, conversationId, messageId, source: 'user', text, verdict });
+      return false;
+    }
+
+    const editedAt = new Date();
+    const changes = {
+      text,
+      tokens: countTokens(text),
+      editedAt,
+      editHistory: [...(message.editHistory || []), { text: message.text, editedAt }],
+      sentiment: null,
+      entities: [],
+      translation: null,
+      translations: null,
+      analyzedAt: null,
+      moderation: verdict.severity !== 'allow' ? describeModeration(verdict) : null,
+    };
+    dispatch({ type: actionTypes.UPDATE_MESSAGE, payload: { id: messageId, changes } });
+    try {
+      await messageStore.updateMessage(ownerUid, conversationId, messageId, changes);
+      // The new text has its own token count and its earlier analysis no longer applies.
+      recordStats(ownerUid, conversationId, message.timestamp, counterChanges(storedMessageStats(message), storedMessageStats({ ...message, ...changes })), { userWide: ownerUid === user.uid });
+      if (verdict.severity === 'review') {
+        recordModerationEvent({ uid: user.uid, ownerUid, user: user.email, conversationId, messageId, source: 'user', text, verdict });
+      }
+      return true;
+    } catch (error) {
+      console.error("Error editing message:", error);
+      toast.error(translate('editFailed'));
+      dispatch({ type: actionTypes.UPDATE_MESSAGE, payload: { id: messageId, changes: message } });
+      return false;
+    }
+  }, [user, ownerUid, conversationId, canWrite]);
+
+  // Soft delete: the message stays stored (for auditing) but is shown as deleted and left out of AI history.
+  const deleteMessage = useCallback(async (messageId) => {
+    const message = findMessage(messageId);
+    if (!message || messageAuthorUid(message) !== user.uid || !canWrite()) return;
+    const changes = { deleted: true, deletedAt: new Date() };
+    dispatch({ type: actionTypes.UPDATE_MESSAGE, payload: { id: messageId, changes } });
+    try {
+      await messageStore.updateMessage(ownerUid, conversationId, messageId, changes);
+      recordStats(ownerUid, conversationId, message.timestamp, counterChanges(storedMessageStats(message), {}), { userWide: ownerUid === user.uid });
+    } catch (error) {
+      console.error("Error deleting message:", error);
+      toast.error(translate('deleteMessageFailed'));
+      dispatch({ type: actionTypes.UPDATE_MESSAGE, payload: { id: messageId, changes: { deleted: false, deletedAt: null } } });
+    }
+  }, [user, ownerUid, conversationId, canWrite]);
+
+  /**
+   * Asks the AI again for the reply to the same prompt, with the history as it stood at that point. Every
+   * reply is kept in `alternatives` and `activeAlternative` points at the one currently shown.
+   */
+  const regenerateReply = useCallback(async (messageId) => {
+    const index = messagesRef.current.findIndex(m => m.id === messageId);
+    const message = messagesRef.current[index];
+    if (!message || message.sender !== 'ai' || messageAuthorUid(message) !== user.uid || regeneratingRef.current.has(messageId) || !canWrite()) return;
+
+    const historyAtReply = messagesRef.current.slice(0, index).filter(isInPromptHistory);
+    const isSummary = message.command === 'summarize';
+    // Replies record their prompt; older ones answer the last user message before them.
+    const prompt = isSummary
+      ? summaryPrompt()
+      : (message.replyTo && historyAtReply.find(m => m.id === message.replyTo.id)) || [...historyAtReply].reverse().find(m => m.sender === 'user');
+    if (!prompt) {
+      toast.error(translate('nothingToRegenerate'));
+      return;
+    }
+
+    regeneratingRef.current.add(messageId);
+    setRegeneratingIds(new Set(regeneratingRef.current));
+    try {
+      const promptHistory = isSummary
+        ? [...historyAtReply, prompt]
+        : await loadAnchoredHistory(historyAtReply.slice(0, historyAtReply.indexOf(prompt)), prompt);
+      consumeQuota(user.uid, 'aiReplies', usageLimitsRef.current);
+      const responseText = await getAIResponse(prompt.text, buildPromptHistory(promptHistory).history, language, { persona: personaRef.current });
+      const verdict = moderateContent(responseText);
+      if (verdict.severity === 'block') {
+        toast.error(translate('aiReplyWithheld'));
+        recordModerationEvent({ uid: user.uid, ownerUid, user: user.email, conversationId, messageId, source: 'ai', text: responseText, verdict });
+        return;
+      }
+      const current = findMessage(messageId) || message;
+      const alternatives = current.alternatives?.length
+        ? current.alternatives
+        : [{ text: current.text, tokens: current.tokens, createdAt: current.timestamp || new Date() }];
+      const nextAlternatives = [...alternatives, { text: responseText, tokens: countTokens(responseText), createdAt: new Date() }];
+      const changes = {
+        alternatives: nextAlternatives,
+        activeAlternative: nextAlternatives.length - 1,
+        text: responseText,
+        tokens: countTokens(responseText),
+        translations: null,
+        moderation: verdict.severity !== 'allow' ? describeModeration(verdict) : null,
+        replyTo: isSummary ? null : quoteMessage(prompt),
+        stopped: false,
+        // Ratings were given to the previous reply.
+        feedback: null,
+      };
+      dispatch({ type: actionTypes.UPDATE_MESSAGE, payload: { id: messageId, changes } });
+      await messageStore.updateMessage(ownerUid, conversationId, messageId, changes);
+      recordStats(ownerUid, conversationId, current.timestamp || new Date(), counterChanges(storedMessageStats(current), storedMessageStats({ ...current, ...changes })), { userWide: ownerUid === user.uid });
+      if (verdict.severity === 'review') {
+        recordModerationEvent({ uid: user.uid, ownerUid, user: user.email, conversationId, messageId, source: 'ai', text: responseText, verdict });
+      }
+    } catch (error) {
+      console.error("Error regenerating reply:", error);
+      applyServerCooldown(user.uid, 'aiReplies', error);
+      if (isServiceFailure(error)) refundQuota(user.uid, 'aiReplies');
+      toast.error(describeApiError(error, 'regenerateFailed'));
+    } finally {
+      regeneratingRef.current.delete(messageId);
+      setRegeneratingIds(new Set(regeneratingRef.current));
+    }
+  }, [user, ownerUid, conversationId, language, canWrite, loadAnchoredHistory]);
+
+  // Switches which of the stored alternative replies is shown (and used as history from now on).
+  const selectAlternative = useCallback(async (messageId, alternativeIndex) => {
+    const message = findMessage(messageId);
+    const alternative = message?.alternatives?.[alternativeIndex];
+    if (!alternative || !canWrite()) return;
+    const changes = { activeAlternative: alternativeIndex, text: alternative.text, tokens: alternative.tokens, translations: null };
+    dispatch({ type: actionTypes.UPDATE_MESSAGE, payload: { id: messageId, changes } });
+    try {
+      await messageStore.updateMessage(ownerUid, conversationId, messageId, changes);
+    } catch (error) {
+      console.error("Error switching reply:", error);
+    }
+  }, [ownerUid, conversationId, canWrite]);
+
+  /**
+   * Translates a message from either sender into `target`. Translations are kept per target language in
+   * `translations` ({ [code]: { text, sourceLanguage } }) and cleared whenever the text changes.
+   * @returns {Promise<boolean>} - Whether a translation into `target` is now available.
+   */
+  const translateMessage = useCallback(async (messageId, target) => {
+    const message = findMessage(messageId);
+    if (!message) return false;
+    if (message.translations?.[target]) return true;
+    if (!canWrite()) return false;
+    let translation;
+    try {
+      translation = await requestTranslation(message.text, target);
+    } catch (error) {
+      console.error("Error translating message:", error);
+      toast.error(describeApiError(error, 'translateFailed'));
+      return false;
+    }
+    const current = findMessage(messageId);
+    // The text was edited or replaced while the request was in flight.
+    if (!current || current.text !== message.text) return false;
+    const changes = { translations: { ...current.translations, [target]: translation } };
+    dispatch({ type: actionTypes.UPDATE_MESSAGE, payload: { id: messageId, changes } });
+    // A translation that could not be saved is still worth showing; it is simply requested again next time.
+    messageStore.updateMessage(ownerUid, conversationId, messageId, changes)
+      .catch(error => console.error("Error saving translation:", error));
+    return true;
+  }, [ownerUid, conversationId, canWrite]);
+
+  /**
+   * Records the signed-in user's rating of an AI reply, replacing their earlier one. Ratings are stored per
+   * user in `feedback` ({ [uid]: { rating, reason } }).
+   * @param {string} messageId
+   * @param {'up' | 'down' | null} rating - null withdraws the rating.
+   * @param {string | null} [reason] - A key of `FEEDBACK_REASONS[rating]`.
+   */
+  const rateMessage = useCallback(async (messageId, rating, reason = null) => {
+    const message = findMessage(messageId);
+    if (!message || message.sender !== 'ai' || message.deleted || !canWrite()) return;
+    const previous = message.feedback?.[user.uid] || null;
+    const entry = rating ? { rating, reason } : null;
+    const feedback = { ...message.feedback };
+    if (entry) {
+      feedback[user.uid] = entry;
+    } else {
+      delete feedback[user.uid];
+    }
+    dispatch({ type: actionTypes.UPDATE_MESSAGE, payload: { id: messageId, changes: { feedback } } });
+    try {
+      // Only this user's entry is written, so ratings saved meanwhile by others are kept.
+      await messageStore.setMessageEntry(ownerUid, conversationId, messageId, 'feedback', user.uid, entry);
+      const counted = (own) => feedbackStatsDelta({ feedback: own ? { [user.uid]: own } : {} });
+      recordStats(ownerUid, conversationId, message.timestamp || new Date(), counterChanges(counted(previous), counted(entry)), { userWide: ownerUid === user.uid });
+    } catch (error) {
+      console.error("Error saving feedback:", error);
+      toast.error(translate('feedbackFailed'));
+      dispatch({ type: actionTypes.UPDATE_MESSAGE, payload: { id: messageId, changes: { feedback: message.feedback || null } } });
+    }
+  }, [user, ownerUid, conversationId, canWrite]);
+
+  // Adds or removes one of the signed-in user's emoji reactions. Reactions are stored per user in
+  // `reactions` ({ [uid]: emoji[] }) and can be left on messages from either sender.
+  const toggleReaction = useCallback(async (messageId, emoji) => {
+    const message = findMessage(messageId);
+    if (!message || message.deleted || !canWrite()) return;
+    const mine = message.reactions?.[user.uid] || [];
+    const reactions = { ...message.reactions, [user.uid]: mine.includes(emoji) ? mine.filter(e => e !== emoji) : [...mine, emoji] };
+    if (reactions[user.uid].length === 0) delete reactions[user.uid];
+    dispatch({ type: actionTypes.UPDATE_MESSAGE, payload: { id: messageId, changes: { reactions } } });
+    try {
+      await messageStore.setMessageEntry(ownerUid, conversationId, messageId, 'reactions', user.uid, reactions[user.uid] || null);
+    } catch (error) {
+      console.error("Error saving reaction:", error);
+      toast.error(translate('reactionFailed'));
+      dispatch({ type: actionTypes.UPDATE_MESSAGE, payload: { id: messageId, changes: { reactions: message.reactions || null } } });
+    }
+  }, [user, ownerUid, conversationId, canWrite]);
+
+  // Asks the AI for a summary of the loaded conversation. Nothing is saved for the request itself.
+  const summarizeConversation = useCallback(() => {
+    if (!user || !conversationId) return;
+    requestAIReply(summaryPrompt(), { replyTo: null, fields: { command: 'summarize' } });
+  }, [user, conversationId, requestAIReply]);
+
+  const stopGenerating = useCallback(() => {
+    streamControllersRef.current.forEach(controller => controller.abort(STOPPED_BY_USER));
+  }, []);
+
+  // Abort any in-flight replies when leaving the conversation.
+  useEffect(() => {
+    const controllers = streamControllersRef.current;
+    return () => controllers.forEach(controller => controller.abort());
+  }, [conversationId]);
+
+  return {
+    ...state,
+    regeneratingIds,
+    loadMore,
+    loadNewer,
+    jumpToMessage,
+    sendMessage,
+    retryMessage,
+    discardMessage,
+    editMessage,
+    deleteMessage,
+    regenerateReply,
+    selectAlternative,
+    translateMessage,
+    rateMessage,
+    toggleReaction,
+    summarizeConversation,
+    stopGenerating,
+  };
+}
+
+// --- UI Components ---
+
+// Reads out each AI reply that arrives while the conversation is open, once it is complete. The message list
+// itself is not a live region: rows mount and unmount as it scrolls and history is paged in around them,
+// none of which is news. Keyed by conversation, so opening one starts afresh.
+function ReplyAnnouncer({ messages }) {
+  const t = useTranslation();
+  const [openedAt] = useState(() => new Date());
+  const [announcement, setAnnouncement] = useState('');
+  const announcedRef = useRef(new Set());
+
+  useEffect(() => {
+    const arrived = messages.filter(message => message.sender === 'ai' && !message.isStreaming && !message.deliveryStatus
+      && !message.deleted && message.timestamp >= openedAt && !announcedRef.current.has(message.id));
+    if (arrived.length === 0) return;
+    arrived.forEach(message => announcedRef.current.add(message.id));
+    setAnnouncement(t('replyAnnouncement', { text: arrived[arrived.length - 1].text }));
+  }, [messages, openedAt, t]);
+
+  return <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">{announcement}</div>;
+}
+
+function AITypingIndicator() {
+  const t = useTranslation();
+  return (
+    <div className="flex my-2 gap-4 justify-start">
+      {/* This visually hidden element makes the typing indicator accessible to screen readers. */}
+      <div role="status" className="sr-only">
+        {t('aiTyping')}
+      </div>
+      <div className="p-4 rounded-2xl shadow-md bg-gray-100 dark:bg-gray-600">
+        <div className="flex items-center gap-2 text-gray-500 dark:text-gray-400">
+          <span className="h-2 w-2 bg-gray-400 dark:bg-gray-500 rounded-full animate-bounce [animation-delay:-0.3s]"></span>
+          <span className="h-2 w-2 bg-gray-400 dark:bg-gray-500 rounded-full animate-bounce [animation-delay:-0.15s]"></span>
+          <span className="h-2 w-2 bg-gray-400 dark:bg-gray-500 rounded-full animate-bounce"></span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Other people typing in the conversation; the AI has its own indicator inside the message list.
+function PeopleTypingIndicator({ people }) {
+  const t = useTranslation();
+  if (people.length === 0) return null;
+  const names = people.map(person => person.name || t('someone'));
+  const text = names.length === 1
+    ? t('typingOne', { name: names[0] })
+    : names.length === 2 ? t('typingTwo', { first: names[0], second: names[1] }) : t('typingMany');
+  return (
+    <p role="status" className="mt-1 px-2 text-xs italic text-gray-500 dark:text-gray-400" dir="auto">
+      {text}
+    </p>
+  );
+}
+
+
+function MessageSkeleton({ sender = 'ai' }) {
+  const isUser = sender === 'user';
+  return (
+    <div className={`flex items-start gap-3 animate-pulse ${isUser ? 'flex-row-reverse ms-auto' : 'me-auto'}`}>
+      <div className="h-8 w-8 rounded-full bg-gray-200 dark:bg-gray-600 flex-shrink-0"></div>
+      <div className="p-4 rounded-2xl bg-gray-200 dark:bg-gray-600 w-48">
+        <div className="h-4 bg-gray-300 dark:bg-gray-500 rounded w-5/6 mb-2"></div>
+        <div className="h-4 bg-gray-300 dark:bg-gray-500 rounded w-1/2"></div>
+      </div>
+    </div>
+  );
+}
+
+function AnalyticsSkeleton() {
+  return (
+    <div className="mt-6 animate-pulse">
+      <div className="h-8 bg-gray-200 dark:bg-gray-600 rounded w-3/4 mb-6"></div>
+      <div className="h-6 bg-gray-200 dark:bg-gray-600 rounded w-1/2 mb-4"></div>
+      <div className="h-6 bg-gray-200 dark:bg-gray-600 rounded w-1/3"></div>
+    </div>
+  );
+}
+
+const CopyIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" /></svg>
+);
+const AnalyzeIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707m12.728 0l-.707-.707M12 21v-1m0-10a5 5 0 00-5 5h10a5 5 0 00-5-5z" /></svg>
+);
+const EditIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" /></svg>
+);
+const ReactionIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.828 14.828a4 4 0 01-5.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>
+);
+const ReplyIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" /></svg>
+);
+const TranslateIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 5h12M9 3v2m1.048 9.5A18.022 18.022 0 016.412 9m6.088 9h7M11 21l5-10 5 10M12.751 5C11.783 10.77 8.07 15.61 3 18.129" /></svg>
+);
+const DeleteIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" /></svg>
+);
+const RegenerateIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" /></svg>
+);
+
+function copyToClipboard(text) {
+  if (!navigator.clipboard) {
+    toast.error(translate('clipboardUnavailable'));
+    return;
+  }
+  navigator.clipboard.writeText(text)
+    .then(() => toast.success(translate('copied')))
+    .catch(() => toast.error(translate('copyFailed')));
+}
+
+const CodeBlock = ({ children }) => {
+  const t = useTranslation();
+  const preRef = useRef(null);
+  return (
+    <div className="relative group/code my-2">
+      <button
+        onClick={() => copyToClipboard(preRef.current?.innerText || '')}
+        className="absolute top-1 end-1 px-2 py-0.5 text-xs rounded bg-gray-700 text-gray-100 opacity-0 group-hover/code:opacity-100 focus:opacity-100 transition-opacity"
+        aria-label={t('copyCode')}
+      >
+        {t('copyCode')}
+      </button>
+      <pre ref={preRef} dir="ltr" className="overflow-x-auto rounded-lg bg-gray-900 text-gray-100 p-3 text-sm">{children}</pre>
+    </div>
+  );
+};
+
+// Raw HTML in messages is never rendered: react-markdown escapes it, rehype-sanitize strips anything unsafe that
+// Markdown itself produces, and unsafe URL schemes (e.g. javascript:) are dropped by react-markdown's urlTransform.
+const markdownComponents = {
+  pre: CodeBlock,
+  a: ({ node, ...props }) => <a {...props} target="_blank" rel="noopener noreferrer nofollow ugc" className="underline break-words" />,
+  table: ({ node, ...props }) => <div className="overflow-x-auto my-2"><table {...props} className="min-w-full text-sm border-collapse" /></div>,
+  th: ({ node, ...props }) => <th {...props} className="border border-gray-300 dark:border-gray-500 px-2 py-1 text-start font-semibold" />,
+  td: ({ node, ...props }) => <td {...props} className="border border-gray-300 dark:border-gray-500 px-2 py-1" />,
+  ul: ({ node, ...props }) => <ul {...props} className="list-disc ps-5 my-1" />,
+  ol: ({ node, ...props }) => <ol {...props} className="list-decimal ps-5 my-1" />,
+  blockquote: ({ node, ...props }) => <blockquote {...props} className="border-s-4 border-gray-300 dark:border-gray-500 ps-3 my-2 italic" />,
+  code: ({ node, className, ...props }) => <code {...props} className={className || 'px-1 rounded bg-black/10 dark:bg-white/10 text-[0.9em]'} />,
+};
+
+// remark-breaks keeps single line breaks, which verse formatting relies on.
+const remarkPlugins = [remarkGfm, remarkBreaks];
+const rehypePlugins = [rehypeSanitize, rehypeHighlight];
+
+const MessageBody = memo(function MessageBody({ text, renderMarkdown, isStreaming }) {
+  const caret = isStreaming && <span className="inline-block w-2 h-4 ms-0.5 align-text-bottom bg-current animate-pulse" aria-hidden="true"></span>;
+  if (!renderMarkdown) {
+    return (
+      <p dir="auto" className="text-base leading-relaxed whitespace-pre-wrap font-medium" aria-busy={isStreaming || undefined}>
+        {text}
+        {caret}
+      </p>
+    );
+  }
+  return (
+    <div dir="auto" className="text-base leading-relaxed font-medium break-words [&>p]:my-1" aria-busy={isStreaming || undefined}>
+      <ReactMarkdown remarkPlugins={remarkPlugins} rehypePlugins={rehypePlugins} components={markdownComponents}>
+        {text}
+      </ReactMarkdown>
+      {caret}
+    </div>
+  );
+});
+
+const MarkdownToggleButton = ({ renderMarkdown, onToggle }) => {
+  const t = useTranslation();
+  return (
+    <button
+      onClick={onToggle}
+      className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-600 dark:text-gray-300 text-sm font-mono"
+      title={renderMarkdown ? t('showRawText') : t('showFormattedText')}
+      aria-label={renderMarkdown ? t('showRawText') : t('showFormattedText')}
+      aria-pressed={renderMarkdown}
+    >
+      {renderMarkdown ? 'MD' : 'Aa'}
+    </button>
+  );
+};
+
+const ThemeToggleButton = () => {
+  const { theme, toggleTheme } = useContext(ThemeContext);
+  const t = useTranslation();
+  return (
+    <button onClick={toggleTheme} className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-600 dark:text-gray-300" title={t('toggleTheme')} aria-label={t('toggleTheme')}>
+      {theme === 'light' ? (
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z" /></svg>
+      ) : (
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 3v1m0 18v-1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M12 12a5 5 0 100-10 5 5 0 000 10z" /></svg>
+      )}
+    </button>
+  );
+};
+
+const LanguageSelector = () => {
+  const { language, setLanguage } = useContext(LanguageContext);
+  const t = useTranslation();
+
+  return (
+    <div className="relative">
+      <select
+        value={language}
+        onChange={(e) => setLanguage(e.target.value)}
+        className="p-2 rounded-full appearance-none bg-transparent text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 cursor-pointer focus:outline-none"
+        aria-label={t('selectLanguage')}
+      >
+        {Object.values(locales).map(locale => (
+          <option key={locale.code} value={locale.code} lang={locale.code} dir={locale.dir}>{locale.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+const EmailLinkForm = ({ submitLabel, onSubmit }) => {
+  const t = useTranslation();
+  const [email, setEmail] = useState('');
+  const [isSending, setIsSending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSending(true);
+    await onSubmit(email.trim());
+    setIsSending(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex gap-2">
+      <input
+        type="email"
+        required
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        placeholder={t('emailPlaceholder')}
+        aria-label={t('emailPlaceholder')}
+        className="flex-grow min-w-0 p-2 text-sm border rounded-md bg-white dark:bg-gray-800 dark:border-gray-600 text-gray-800 dark:text-gray-100"
+      />
+      <button type="submit" disabled={isSending} className="px-3 py-2 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50">
+        {submitLabel}
+      </button>
+    </form>
+  );
+};
+
+const SignInOptions = () => {
+  const t = useTranslation();
+  const buttonMethods = authService.methods.filter(method => method !== 'emailLink');
+  return (
+    <div className="flex flex-col items-stretch gap-3 w-full max-w-sm">
+      {buttonMethods.map(method => (
+        <button
+          key={method}
+          onClick={() => signIn(method)}
+          className={`px-6 py-3 text-lg rounded-md shadow-md transition-colors ${method === 'guest'
+            ? 'border dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700'
+            : 'bg-blue-500 text-white hover:bg-blue-600'}`}
+        >
+          {t(AUTH_METHOD_LABELS[method])}
+        </button>
+      ))}
+      {authService.methods.includes('emailLink') && (
+        <div className="mt-2 text-start">
+          <div className="mb-1 text-sm text-gray-600 dark:text-gray-300">{t('signInWithEmail')}</div>
+          <EmailLinkForm submitLabel={t('sendSignInLink')} onSubmit={(email) => signIn('emailLink', { email })} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Shows who is signed in and which sign-in methods are linked to the account. Guests are invited to link
+// one, which keeps their history under a full account.
+const ProfileMenu = ({ user, providers }) => {
+  const t = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+  const [isAddingEmail, setIsAddingEmail] = useState(false);
+  const linkableMethods = authService.methods.filter(method => AUTH_PROVIDER_IDS[method]);
+  const methodName = (method) => AUTH_METHOD_NAMES[method] || t('emailMethod');
+  // The last linked method is the only way back into the account.
+  const canUnlink = providers.length > 1;
+
+  return (
+    <div className="relative" onKeyDown={(e) => e.key === 'Escape' && setIsOpen(false)}>
+      <button onClick={() => setIsOpen(open => !open)} aria-expanded={isOpen} className="text-sm text-gray-600 dark:text-gray-300 hover:underline">
+        {t('loggedInAs')} <span className="font-semibold">{user.isAnonymous ? t('guestAccount') : (user.email || user.displayName)}</span> ▾
+      </button>
+      {isOpen && (
+        <div className="absolute start-0 mt-2 w-80 z-30 p-4 space-y-3 rounded-lg border dark:border-gray-600 bg-white dark:bg-gray-800 shadow-lg text-sm text-gray-700 dark:text-gray-200">
+          {user.isAnonymous && <p className="text-gray-600 dark:text-gray-300">{t('guestUpgradeHint')}</p>}
+          {linkableMethods.length === 0 ? (
+            <p className="text-gray-500 dark:text-gray-400">{t('noLinkableMethods')}</p>
+          ) : (
+            <div>
+              <div className="font-semibold mb-1">{t('signInMethods')}</div>
+              <ul className="space-y-2">
+                {linkableMethods.map(method => {
+                  const isLinked = providers.includes(method);
+                  return (
+                    <li key={method}>
+                      <div className="flex items-center justify-between gap-2">
+                        <span>{methodName(method)}{isLinked && ` — ${t('methodLinkedLabel')}`}</span>
+                        {isLinked ? (
+                          <button
+                            onClick={() => unlinkSignInMethod(method)}
+                            disabled={!canUnlink}
+                            title={canUnlink ? undefined : t('cannotUnlinkLast')}
+                            className="text-red-500 hover:underline disabled:text-gray-400 disabled:no-underline"
+                          >
+                            {t('unlinkMethod')}
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => (method === 'emailLink' ? setIsAddingEmail(adding => !adding) : linkSignInMethod(method))}
+                            className="text-blue-500 hover:underline dark:text-blue-400"
+                          >
+                            {t('linkMethod')}
+                          </button>
+                        )}
+                      </div>
+                      {method === 'emailLink' && isAddingEmail && !isLinked && (
+                        <div className="mt-2">
+                          <EmailLinkForm submitLabel={t('sendSignInLink')} onSubmit={(email) => linkSignInMethod('emailLink', { email })} />
+                        </div>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Avatar = ({ sender, userEmail }) => {
+  const t = useTranslation();
+  const isUser = sender === 'user';
+  // Robustly get the first letter of the email, or 'U' as a fallback.
+  const nameInitial = (userEmail || 'U').charAt(0).toUpperCase();
+  const avatarSrc = isUser
+    ? `https://ui-avatars.com/api/?name=${nameInitial}&background=ffc107&color=fff&bold=true`
+    : `https://ui-avatars.com/api/?name=AI&background=4f46e5&color=fff&bold=true`;
+
+  // Eager loading for small, critical images like avatars provides a better user experience.
+  return <img src={avatarSrc} alt={t(isUser ? 'userAvatar' : 'aiAvatar')} className="h-8 w-8 rounded-full shadow-md flex-shrink-0" />;
+};
+
+const DeliveryStatus = ({ message, onRetry, onDiscard }) => {
+  const t = useTranslation();
+  if (message.deliveryStatus === 'failed') {
+    return (
+      <div className="text-xs mt-2 flex items-center gap-2 text-white" role="status">
+        <span className="font-semibold">{t('messageFailed')}</span>
+        <button onClick={() => onRetry(message.nonce)} className="underline hover:no-underline">{t('retry')}</button>
+        <button onClick={() => onDiscard(message.nonce)} className="underline hover:no-underline">{t('discard')}</button>
+      </div>
+    );
+  }
+  const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+  return (
+    <div className="text-xs mt-2 flex items-center gap-2 text-white/80" role="status">
+      <span>{message.deliveryStatus === 'pending' && isOffline ? t('messageQueued') : t('messageSending')}</span>
+      {message.deliveryStatus === 'pending' && (
+        <button onClick={() => onDiscard(message.nonce)} className="underline hover:no-underline">{t('discard')}</button>
+      )}
+    </div>
+  );
+};
+
+const AlternativePicker = ({ message, onSelect }) => {
+  const t = useTranslation();
+  const count = message.alternatives.length;
+  const current = message.activeAlternative ?? count - 1;
+  return (
+    <div className="text-xs mt-2 flex items-center gap-1 opacity-80">
+      <button onClick={() => onSelect(message.id, current - 1)} disabled={current === 0} title={t('previousAlternative')} aria-label={t('previousAlternative')} className="px-1 disabled:opacity-40">‹</button>
+      <span>{current + 1} / {count}</span>
+      <button onClick={() => onSelect(message.id, current + 1)} disabled={current === count - 1} title={t('nextAlternative')} aria-label={t('nextAlternative')} className="px-1 disabled:opacity-40">›</button>
+    </div>
+  );
+};
+
+// Preview of the message being replied to. `quoted` is the loaded message when available, otherwise only the
+// `replyTo` reference, and the preview offers to show the message instead.
+const ReplyQuote = ({ quoted, onJump }) => {
+  const t = useTranslation();
+  const sender = t(quoted.sender === 'user' ? 'senderUser' : 'senderAI');
+  let preview = quoted.text ? replyExcerpt(quoted.text) : t('quotedMessageNotLoaded');
+  if (quoted.deleted) preview = t(quoted.removedByModerator ? 'messageRemovedByModerator' : 'messageDeleted');
+  return (
+    <button
+      onClick={() => onJump(quoted.id)}
+      title={t('showRepliedMessage')}
+      className="block w-full mb-2 ps-2 border-s-4 border-current text-start text-xs opacity-80 hover:opacity-100"
+    >
+      <span className="font-semibold">{t('inReplyTo', { sender })}</span>
+      <span className="block truncate" dir="auto">{preview}</span>
+    </button>
+  );
+};
+
+const REACTION_EMOJIS = ['❤️', '😂', '😮', '🙏', '🎉', '🤔'];
+
+const ReactionPicker = ({ onSelect }) => {
+  const t = useTranslation();
+  return (
+    <div className="mt-2 flex gap-1" role="group" aria-label={t('addReaction')}>
+      {REACTION_EMOJIS.map(emoji => (
+        <button key={emoji} onClick={() => onSelect(emoji)} className="px-1 text-lg hover:scale-125 transition-transform">{emoji}</button>
+      ))}
+    </div>
+  );
+};
+
+// Every emoji reacted with, with how many users chose it. The signed-in user's own reactions are marked
+// and toggle off when clicked.
+const ReactionBar = ({ reactions, userId, onToggle }) => {
+  const counts = {};
+  Object.values(reactions || {}).flat().forEach(emoji => {
+    counts[emoji] = (counts[emoji] || 0) + 1;
+  });
+  if (Object.keys(counts).length === 0) return null;
+  return (
+    <div className="mt-2 flex flex-wrap gap-1">
+      {Object.entries(counts).map(([emoji, count]) => {
+        const isMine = !!reactions[userId]?.includes(emoji);
+        return (
+          <button
+            key={emoji}
+            onClick={() => onToggle(emoji)}
+            aria-pressed={isMine}
+            className={`px-2 py-0.5 rounded-full text-xs border text-gray-800 dark:text-gray-100 ${isMine ? 'border-blue-400 bg-blue-50 dark:bg-blue-900/50' : 'border-gray-300 dark:border-gray-500 bg-white dark:bg-gray-700'}`}
+          >
+            {emoji} {count}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+// Thumbs up/down on an AI reply. After rating, the user may pick a reason; clicking the chosen thumb again
+// withdraws the rating.
+const FeedbackControls = ({ feedback, onRate }) => {
+  const t = useTranslation();
+  const [isChoosingReason, setChoosingReason] = useState(false);
+  const rating = feedback?.rating;
+  const reasonKey = rating && feedback.reason ? FEEDBACK_REASONS[rating]?.[feedback.reason] : null;
+
+  const handleRate = (value) => {
+    const isWithdrawn = value === rating;
+    onRate(isWithdrawn ? null : value);
+    setChoosingReason(!isWithdrawn);
+  };
+
+  const chooseReason = (reason) => {
+    onRate(rating, reason);
+    setChoosingReason(false);
+  };
+
+  const thumbClass = (value) => `px-1.5 py-0.5 rounded-full ${rating === value ? 'bg-black/15 dark:bg-white/20' : 'hover:bg-black/10'}`;
+  return (
+    <div className="text-xs mt-2 flex flex-wrap items-center gap-1">
+      <button onClick={() => handleRate('up')} aria-pressed={rating === 'up'} title={t('rateGood')} aria-label={t('rateGood')} className={thumbClass('up')}>👍</button>
+      <button onClick={() => handleRate('down')} aria-pressed={rating === 'down'} title={t('rateBad')} aria-label={t('rateBad')} className={thumbClass('down')}>👎</button>
+      {rating && isChoosingReason ? (
+        <>
+          <span className="ms-1 opacity-80">{t(rating === 'up' ? 'reasonPromptUp' : 'reasonPromptDown')}</span>
+          {Object.entries(FEEDBACK_REASONS[rating]).map(([reason, key]) => (
+            <button key={reason} onClick={() => chooseReason(reason)} aria-pressed={feedback.reason === reason} className="px-2 py-0.5 rounded-full border border-gray-300 dark:border-gray-500 hover:bg-black/10">
+              {t(key)}
+            </button>
+          ))}
+          <button onClick={() => setChoosingReason(false)} className="underline hover:no-underline opacity-80">{t('skipReason')}</button>
+        </>
+      ) : (
+        reasonKey && <span className="ms-1 opacity-80">{t(reasonKey)}</span>
+      )}
+    </div>
+  );
+};
+
+const TranslationMenu = ({ current, onSelect }) => {
+  const t = useTranslation();
+  return (
+    <div className="text-xs mt-2 flex flex-wrap items-center gap-1" role="group" aria-label={t('translateTo')}>
+      <span className="opacity-80 me-1">{t('translateTo')}</span>
+      {Object.values(locales).map(locale => (
+        <button
+          key={locale.code}
+          onClick={() => onSelect(locale.code)}
+          lang={locale.code}
+          aria-pressed={locale.code === current}
+          className={`px-2 py-0.5 rounded-full border border-gray-300 dark:border-gray-500 hover:bg-black/10 ${locale.code === current ? 'font-semibold' : ''}`}
+        >
+          {locale.name}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// DOM id of a rendered message, so it can be linked to.
+const messageElementId = (messageId) => `message-${messageId}`;
+
+const MessageItem = memo(function MessageItem({ message, quoted, userId, performMessageAnalysis, analyzingIds, onRetry, onDiscard, actions, isRegenerating, isHighlighted, renderMarkdown, romanizationScheme, translationRequest }) {
+  const t = useTranslation();
+  const isUser = message.sender === 'user';
+  // In a shared conversation the user's own messages are on the right; everyone else's are on the left, with
+  // their name. Only the author of a message (for a reply, whoever asked for it) may change it.
+  const isMine = messageAuthorUid(message) === userId;
+  const isOwnMessage = isUser && isMine;
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [isTranslateMenuOpen, setTranslateMenuOpen] = useState(false);
+  const [isReactionPickerOpen, setReactionPickerOpen] = useState(false);
+  const [isTranslating, setIsTranslating] = useState(false);
+  const [translationLanguage, setTranslationLanguage] = useState(null);
+  const [showTranslation, setShowTranslation] = useState(false);
+  // Until a language is picked, the toggle offers a translation stored earlier, if any.
+  const toggleLanguage = translationLanguage ?? Object.keys(message.translations || {})[0] ?? null;
+  const translation = toggleLanguage ? message.translations?.[toggleLanguage] : null;
+  const isShowingTranslation = showTranslation && !!translation;
+  // Check if the message has already been successfully analyzed.
+  // The same test as the bulk analysis uses: an empty result is a result, a failed analysis is not.
+  const isAnalyzed = Boolean(message.analyzedAt);
+  const isAnalyzing = analyzingIds.has(message.id);
+  // Undelivered and still-streaming messages have no stored copy to change yet.
+  const canChange = !message.deliveryStatus && !message.isStreaming;
+  const romanized = useMemo(() => (
+    romanizationScheme !== 'off' && !message.isStreaming && containsDevanagari(message.text)
+      ? transliterate(message.text, 'devanagari', romanizationScheme)
+      : null
+  ), [message.text, message.isStreaming, romanizationScheme]);
+
+  const handleCopy = () => copyToClipboard(message.text);
+
+  const handleAnalyze = () => {
+    if (isUser && !isAnalyzed && !isAnalyzing) {
+      performMessageAnalysis(message);
+    }
+  };
+
+  const startEdit = () => {
+    setDraft(message.text);
+    setIsEditing(true);
+  };
+
+  const commitEdit = async (e) => {
+    e.preventDefault();
+    if (await actions.edit(message.id, draft)) setIsEditing(false);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('confirmDeleteMessage'))) actions.delete(message.id);
+  };
+
+  const handleReact = (emoji) => {
+    setReactionPickerOpen(false);
+    actions.react(message.id, emoji);
+  };
+
+  const handleTranslate = useCallback(async (code) => {
+    setTranslateMenuOpen(false);
+    setTranslationLanguage(code);
+    setIsTranslating(true);
+    const isTranslated = await actions.translate(message.id, code);
+    setIsTranslating(false);
+    setShowTranslation(isTranslated);
+  }, [actions, message.id]);
+
+  // Set by the `/translate` command and cleared as soon as it is taken up, so it is carried out once.
+  useEffect(() => {
+    if (!translationRequest) return;
+    actions.translationHandled();
+    handleTranslate(translationRequest.language);
+  }, [translationRequest, handleTranslate, actions]);
+
+  if (message.deleted) {
+    return (
+      <div className={`flex items-start my-2 gap-3 max-w-[85%] ${isOwnMessage ? 'flex-row-reverse ms-auto' : 'me-auto'}`} role="listitem">
+        <Avatar sender={message.sender} userEmail={message.user} />
+        <div className="p-3 rounded-2xl border border-dashed dark:border-gray-600 text-sm italic text-gray-500 dark:text-gray-400">{t(message.removedByModerator ? 'messageRemovedByModerator' : 'messageDeleted')}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      id={messageElementId(message.id)}
+      className={`relative flex items-start my-2 gap-3 group max-w-[85%] ${isOwnMessage ? 'flex-row-reverse ms-auto' : 'me-auto'} ${isHighlighted ? 'rounded-2xl ring-2 ring-blue-400 ring-offset-4 dark:ring-offset-gray-900' : ''}`}
+      role="listitem"
+    >
+      <Avatar sender={message.sender} userEmail={message.user} />
+
+      <div className={`flex items-center gap-1 p-1 rounded-full bg-white dark:bg-gray-700 border dark:border-gray-600 shadow-md opacity-0 group-hover:opacity-100 transition-opacity z-10 ${isOwnMessage ? 'me-1' : 'ms-1'}`}>
+        <button onClick={handleCopy} title={t('copyText')} aria-label={t('copyMessageText')} className="p-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300">
+          <CopyIcon />
+        </button>
+        {isUser && (
+          <button
+            onClick={handleAnalyze}
+            title={isAnalyzed ? t('analysisComplete') : (isAnalyzing ? t('analyzing') : t('rerunAnalysis'))}
+            aria-label={isAnalyzed ? t('analysisComplete') : (isAnalyzing ? t('analyzingMessage') : t('rerunAnalysisOnMessage'))}
+            className="p-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300 disabled:text-gray-300 dark:disabled:text-gray-500 disabled:cursor-not-allowed"
+            disabled={isAnalyzed || isAnalyzing}
+          >
+            <AnalyzeIcon />
+          </button>
+        )}
+        {canChange && (
+          <button
+            onClick={() => setReactionPickerOpen(open => !open)}
+            title={t('addReaction')}
+            aria-label={t('addReaction')}
+            aria-expanded={isReactionPickerOpen}
+            className="p-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300"
+          >
+            <ReactionIcon />
+          </button>
+        )}
+        {canChange && (
+          <button onClick={() => actions.reply(message)} title={t('replyToMessage')} aria-label={t('replyToMessage')} className="p-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300">
+            <ReplyIcon />
+          </button>
+        )}
+        {canChange && (
+          <button
+            onClick={() => setTranslateMenuOpen(open => !open)}
+            title={t('translateMessage')}
+            aria-label={t('translateMessage')}
+            aria-expanded={isTranslateMenuOpen}
+            className="p-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300"
+          >
+            <TranslateIcon />
+          </button>
+        )}
+        {isOwnMessage && canChange && (
+          <button onClick={startEdit} title={t('editMessage')} aria-label={t('editMessage')} className="p-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300">
+            <EditIcon />
+          </button>
+        )}
+        {!isUser && isMine && canChange && (
+          <button
+            onClick={() => actions.regenerate(message.id)}
+            title={isRegenerating ? t('regenerating') : t('regenerateReply')}
+            aria-label={isRegenerating ? t('regenerating') : t('regenerateReply')}
+            className="p-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300 disabled:text-gray-300 dark:disabled:text-gray-500 disabled:cursor-not-allowed"
+            disabled={isRegenerating}
+          >
+            <span className={isRegenerating ? 'inline-block animate-spin' : ''}><RegenerateIcon /></span>
+          </button>
+        )}
+        {isMine && canChange && (
+          <button onClick={handleDelete} title={t('deleteMessage')} aria-label={t('deleteMessage')} className="p-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300">
+            <DeleteIcon />
+          </button>
+        )}
+      </div>
+
+      <div
+        className={`p-4 rounded-2xl shadow-md text-gray-800 dark:text-gray-100 ${
+          isOwnMessage
+            ? 'bg-gradient-to-r from-yellow-400 to-pink-400 text-white'
+            : isUser ? 'bg-teal-50 dark:bg-teal-900/40' : 'bg-gray-100 dark:bg-gray-600'
+        }`}
+      >
+        {isUser && !isMine && (
+          <div className="text-xs font-semibold mb-1 text-teal-700 dark:text-teal-300" dir="auto">{message.user || t('someone')}</div>
+        )}
+        {quoted && <ReplyQuote quoted={quoted} onJump={actions.jumpTo} />}
+        {isEditing ? (
+          <form onSubmit={commitEdit} className="flex flex-col gap-2 min-w-[16rem]">
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={(e) => e.key === 'Escape' && setIsEditing(false)}
+              rows={3}
+              autoFocus
+              aria-label={t('editMessage')}
+              className="w-full p-2 rounded-md text-gray-800 dark:bg-gray-700 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-400"
+            />
+            <div className="flex justify-end gap-2 text-xs">
+              <button type="button" onClick={() => setIsEditing(false)} className="underline hover:no-underline">{t('cancelEdit')}</button>
+              <button type="submit" disabled={!draft.trim()} className="font-semibold underline hover:no-underline disabled:opacity-50">{t('saveEdit')}</button>
+            </div>
+          </form>
+        ) : isShowingTranslation ? (
+          <div lang={toggleLanguage} dir={locales[toggleLanguage]?.dir || 'auto'}>
+            <MessageBody text={translation.text} renderMarkdown={renderMarkdown} />
+          </div>
+        ) : (
+          <MessageBody text={message.text} renderMarkdown={renderMarkdown} isStreaming={message.isStreaming} />
+        )}
+        {!isEditing && (isTranslating || translation) && (
+          <div className="text-xs mt-2 flex items-center gap-2 opacity-80">
+            {isTranslating ? (
+              <span role="status">{t('translating')}</span>
+            ) : (
+              <>
+                {isShowingTranslation && translation.sourceLanguage && (
+                  <span>{t('translatedFrom', { language: languageName(translation.sourceLanguage) })}</span>
+                )}
+                <button onClick={() => setShowTranslation(shown => !shown)} className="underline hover:no-underline">
+                  {isShowingTranslation ? t('showOriginal') : t('showTranslation', { language: languageName(toggleLanguage) })}
+                </button>
+              </>
+            )}
+          </div>
+        )}
+        {isTranslateMenuOpen && !isEditing && <TranslationMenu current={toggleLanguage} onSelect={handleTranslate} />}
+        {isReactionPickerOpen && <ReactionPicker onSelect={handleReact} />}
+        {!isUser && canChange && (
+          <FeedbackControls feedback={message.feedback?.[userId]} onRate={(rating, reason) => actions.rate(message.id, rating, reason)} />
+        )}
+        <ReactionBar reactions={message.reactions} userId={userId} onToggle={handleReact} />
+        {message.editedAt && message.editHistory?.length > 0 && !isEditing && (
+          <details className="text-xs mt-1 opacity-80">
+            <summary className="cursor-pointer">{t('edited')}</summary>
+            <div className="mt-1 text-xs font-semibold">{t('editHistory')}</div>
+            <ul className="mt-1 space-y-1">
+              {message.editHistory.map((version, idx) => (
+                <li key={idx} className="line-through whitespace-pre-wrap">{version.text}</li>
+              ))}
+            </ul>
+          </details>
+        )}
+        {message.alternatives?.length > 1 && <AlternativePicker message={message} onSelect={actions.selectAlternative} />}
+        {message.moderation && message.moderation.severity !== 'allow' && (
+          <div className="mt-2 text-xs">
+            <span className="border border-orange-300 dark:border-orange-700 rounded-md px-2 py-0.5 bg-orange-50 dark:bg-orange-900/50 text-orange-800 dark:text-orange-300">
+              {message.moderation.severity === 'review' ? t('moderationFlagged') : t('moderationWarning')} {message.moderation.reasons.join(', ')}
+            </span>
+          </div>
+        )}
+        {message.stopped && (
+          <div className="text-xs mt-1 italic opacity-70">{t('responseStopped')}</div>
+        )}
+        {message.deliveryStatus && <DeliveryStatus message={message} onRetry={onRetry} onDiscard={onDiscard} />}
+        {message.tokens && (
+          <div className={`text-xs mt-2 opacity-70 ${isOwnMessage ? 'text-white/80' : 'text-gray-500'}`}>
+            {t('tokenCount', { count: message.tokens })} • {message.timestamp instanceof Date && !isNaN(message.timestamp) && new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </div>
+        )}
+        {message.sentiment && (
+          <div className="mt-2 text-xs">
+            <span className="border border-yellow-300 dark:border-yellow-700 rounded-md px-2 py-0.5 bg-yellow-50 dark:bg-yellow-900/50 text-yellow-800 dark:text-yellow-300">{t('sentimentScore', { score: message.sentiment.score.toFixed(2) })}</span>
+          </div>
+        )}
+        {message.entities && message.entities.length > 0 && (
+          <div className="mt-2 flex gap-2 flex-wrap text-xs">
+            {message.entities.map((entity, idx) => (
+              <span key={idx} className="border border-green-200 dark:border-green-700 rounded-md px-2 py-0.5 bg-green-50 dark:bg-green-900/50 text-green-800 dark:text-green-300">{entity.name} ({entity.type})</span>
+            ))}
+          </div>
+        )}
+        {message.translation && (
+          <div className="mt-2 text-xs">
+            <span className="border border-indigo-300 dark:border-indigo-700 rounded-md px-2 py-0.5 bg-indigo-50 dark:bg-indigo-900/50 text-indigo-800 dark:text-indigo-300">{t('translationLabel')} {message.translation}</span>
+          </div>
+        )}
+        {romanized && (
+          <div className="mt-2 text-xs">
+            <span className="inline-block border border-purple-300 dark:border-purple-700 rounded-md px-2 py-0.5 bg-purple-50 dark:bg-purple-900/50 text-purple-800 dark:text-purple-300 whitespace-pre-wrap" dir="ltr">{ROMAN_SCHEMES[romanizationScheme].name}: {romanized}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+});
+
+const ConversationSidebar = ({ conversations, userId, activeConversationId, isLoading, onSelect, onCreate, onRename, onDelete, onLeave, onImport }) => {
+  const t = useTranslation();
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+  // The conversation being renamed until the rename is committed or cancelled. The input still blurs as it
+  // goes away, after Escape or Enter, and that blur must not commit (again).
+  const renamingIdRef = useRef(null);
+  const importInputRef = useRef(null);
+
+  const handleImportFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow choosing the same file again.
+    if (file) onImport(file);
+  };
+
+  const startRename = (conversation) => {
+    renamingIdRef.current = conversation.id;
+    setEditingId(conversation.id);
+    setDraftTitle(conversation.title || '');
+  };
+
+  const commitRename = (e) => {
+    e.preventDefault();
+    const conversationId = renamingIdRef.current;
+    renamingIdRef.current = null;
+    setEditingId(null);
+    if (conversationId) onRename(conversationId, draftTitle);
+  };
+
+  const cancelRename = () => {
+    renamingIdRef.current = null;
+    setEditingId(null);
+  };
+
+  const handleDelete = (conversationId) => {
+    if (window.confirm(t('confirmDeleteConversation'))) {
+      onDelete(conversationId);
+    }
+  };
+
+  const handleLeave = (conversationId) => {
+    if (window.confirm(t('confirmLeaveConversation'))) {
+      onLeave(conversationId);
+    }
+  };
+
+  return (
+    <nav className="md:w-60 flex-shrink-0 md:border-r md:pe-4 dark:border-gray-700" aria-label={t('conversations')}>
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="font-semibold text-gray-700 dark:text-gray-200">{t('conversations')}</h2>
+        <button onClick={onCreate} className="px-2 py-1 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors" title={t('newConversation')} aria-label={t('newConversation')}>
+          +
+        </button>
+      </div>
+      {isLoading ? (
+        <div className="space-y-2 animate-pulse">
+          <div className="h-8 bg-gray-200 dark:bg-gray-600 rounded"></div>
+          <div className="h-8 bg-gray-200 dark:bg-gray-600 rounded"></div>
+        </div>
+      ) : conversations.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('noConversations')}</p>
+      ) : (
+        <ul className="space-y-1 max-h-[60vh] overflow-y-auto">
+          {conversations.map(conversation => {
+            const isActive = conversation.id === activeConversationId;
+            const isOwn = conversation.ownerUid === userId;
+            const isShared = !isOwn || conversation.memberUids?.length > 0;
+            return (
+              <li key={conversation.id} className={`group flex items-center gap-1 rounded-md ${isActive ? 'bg-blue-50 dark:bg-gray-700' : 'hover:bg-gray-100 dark:hover:bg-gray-700/50'}`}>
+                {editingId === conversation.id ? (
+                  <form onSubmit={commitRename} className="flex-grow p-1">
+                    <input
+                      autoFocus
+                      value={draftTitle}
+                      onChange={(e) => setDraftTitle(e.target.value)}
+                      onBlur={commitRename}
+                      onKeyDown={(e) => e.key === 'Escape' && cancelRename()}
+                      className="w-full p-1 text-sm border rounded bg-white dark:bg-gray-800 dark:border-gray-600 text-gray-800 dark:text-gray-100"
+                      aria-label={t('renameConversation')}
+                    />
+                  </form>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => onSelect(conversation.id)}
+                      className={`flex-grow text-start p-2 text-sm truncate ${isActive ? 'font-semibold text-blue-700 dark:text-blue-300' : 'text-gray-700 dark:text-gray-300'}`}
+                      aria-current={isActive ? 'page' : undefined}
+                      title={conversation.title}
+                    >
+                      {isShared && <span className="me-1" role="img" aria-label={t('sharedConversation')} title={t('sharedConversation')}>👥</span>}
+                      {conversation.title || t('newConversation')}
+                    </button>
+                    {isOwn ? (
+                      <>
+                            <button onClick={() => startRename(conversation)} className="p-1 text-xs text-gray-500 hover:text-gray-800 dark:hover:text-gray-100 opacity-0 group-hover:opacity-100 focus:opacity-100" title={t('renameConversation')} aria-label={t('renameConversation')}>
+                          ✎
+                        </button>
+                        <button onClick={() => handleDelete(conversation.id)} className="p-1 text-xs text-gray-500 hover:text-red-600 opacity-0 group-hover:opacity-100 focus:opacity-100" title={t('deleteConversation')} aria-label={t('deleteConversation')}>
+                          ✕
+                        </button>
+                      </>
+                    ) : (
+                      <button onClick={() => handleLeave(conversation.id)} className="p-1 text-xs text-gray-500 hover:text-red-600 opacity-0 group-hover:opacity-100 focus:opacity-100" title={t('leaveConversation')} aria-label={t('leaveConversation')}>
+                        ⎋
+                      </button>
+                    )}
+                  </>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      <div className="mt-3 pt-3 border-t dark:border-gray-700">
+        <input ref={importInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImportFile} />
+        <button onClick={() => importInputRef.current?.click()} className="text-sm text-blue-500 hover:underline dark:text-blue-400">
+          {t('importConversation')}
+        </button>
+      </div>
+    </nav>
+  );
+};
+
+const MAX_PARTICIPANT_AVATARS = 5;
+
+// The people in the conversation: those online with a green ring, those who left faded.
+const ParticipantAvatars = ({ participants }) => {
+  const t = useTranslation();
+  if (participants.length === 0) return null;
+  const hidden = participants.length - MAX_PARTICIPANT_AVATARS;
+  return (
+    <ul className="flex items-center gap-1" aria-label={t('conversationParticipants')}>
+      {participants.slice(0, MAX_PARTICIPANT_AVATARS).map(person => {
+        const name = person.name || t('someone');
+        const label = person.isOnline
+          ? t('participantOnline', { name })
+          : t('participantLastSeen', { name, time: person.lastSeenAt.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' }) });
+        return (
+          <li key={person.uid}>
+            <img
+              src={`https://ui-avatars.com/api/?name=${encodeURIComponent(name.charAt(0).toUpperCase())}&background=0d9488&color=fff&bold=true`}
+              alt={label}
+              title={label}
+              className={`h-7 w-7 rounded-full ${person.isOnline ? 'ring-2 ring-green-500' : 'opacity-50 grayscale'}`}
+            />
+          </li>
+        );
+      })}
+      {hidden > 0 && (
+        <li className="text-xs text-gray-500 dark:text-gray-400" title={t('moreParticipants', { count: hidden })}>+{hidden}</li>
+      )}
+    </ul>
+  );
+};
+
+
+const ConversationToolbar = ({ conversation, userId, participants, onExport, onShare, onStopSharing }) => {
+  const t = useTranslation();
+  if (!conversation) return null;
+  const isOwn = conversation.ownerUid === userId;
+  const handleStopSharing = () => {
+    if (window.confirm(t('confirmStopSharing'))) onStopSharing(conversation.id);
+  };
+  return (
+    <div className="flex items-center justify-between gap-2">
+      <h2 className="font-semibold text-gray-800 dark:text-gray-100 truncate" title={conversation.title}>{conversation.title}</h2>
+      <div className="flex items-center gap-3">
+        <ParticipantAvatars participants={participants} />
+        {isOwn && (
+          <button onClick={() => onShare(conversation.id)} className="text-sm text-blue-500 hover:underline dark:text-blue-400 whitespace-nowrap">
+            {t('shareConversation')}
+          </button>
+        )}
+        {isOwn && conversation.shareCode && (
+          <button onClick={handleStopSharing} className="text-sm text-gray-500 hover:text-red-600 hover:underline dark:text-gray-400 whitespace-nowrap">
+            {t('stopSharing')}
+          </button>
+        )}
+        <select
+          value=""
+          onChange={(e) => e.target.value && onExport(conversation.id, e.target.value)}
+          className="p-1 text-sm rounded-md border bg-white dark:bg-gray-800 dark:border-gray-600 text-gray-700 dark:text-gray-200"
+          aria-label={t('exportConversation')}
+        >
+          <option value="">{t('exportConversation')}</option>
+          <option value="markdown">{t('exportMarkdown')}</option>
+          <option value="json">{t('exportJSON')}</option>
+          <option value="csv">{t('exportCSV')}</option>
+        </select>
+      </div>
+    </div>
+  );
+};
+
+const HighlightedText = ({ text, ranges }) => {
+  const parts = [];
+  let position = 0;
+  ranges.forEach(({ start, end }) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start} className="bg-yellow-200 dark:bg-yellow-600/60 text-inherit rounded-sm">{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+  return <>{parts}</>;
+};
+
+const emptySearchFilters = {
+  query: '',
+  conversationId: null,
+  sender: 'all',
+  fromDay: '',
+  toDay: '',
+  minSentiment: '',
+  maxSentiment: '',
+  entity: '',
+};
+
+const SearchPanel = ({ user, conversations, activeConversationId, onOpenResult, onClose }) => {
+  const t = useTranslation();
+  const [filters, setFilters] = useState(emptySearchFilters);
+  const { results, isIndexing, reload } = useMessageSearch(user, filters);
+  const titles = useMemo(() => Object.fromEntries(conversations.map(c => [c.id, c.title])), [conversations]);
+  const setFilter = (name) => (e) => {
+    const { value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+  const inputClass = "p-2 text-sm rounded-md border bg-white dark:bg-gray-800 dark:border-gray-600 text-gray-700 dark:text-gray-200";
+  const labelClass = "text-sm text-gray-600 dark:text-gray-300 flex items-center gap-1";
+
+  return (
+    <section className="mb-4 p-4 rounded-lg bg-gray-50 dark:bg-gray-700/50 border dark:border-gray-700" aria-label={t('search')}>
+      <div className="flex items-center gap-2">
+        <input
+          type="search"
+          value={filters.query}
+          onChange={setFilter('query')}
+          onKeyDown={(e) => e.key === 'Escape' && onClose()}
+          placeholder={t('searchPlaceholder')}
+          aria-label={t('search')}
+          autoFocus
+          className={`${inputClass} flex-grow`}
+        />
+        <button onClick={reload} disabled={isIndexing} className="text-sm text-blue-500 hover:underline disabled:text-gray-400 dark:text-blue-400">{t('refreshSearch')}</button>
+        <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800 dark:hover:text-gray-100" title={t('closeSearch')} aria-label={t('closeSearch')}>✕</button>
+      </div>
+
+      <div className="mt-3 flex items-center gap-2 flex-wrap">
+        <select
+          value={filters.conversationId ? 'conversation' : 'all'}
+          onChange={(e) => setFilters(prev => ({ ...prev, conversationId: e.target.value === 'conversation' ? activeConversationId : null }))}
+          className={inputClass}
+          aria-label={t('searchScope')}
+        >
+          <option value="all">{t('analyticsAllConversations')}</option>
+          <option value="conversation">{t('analyticsThisConversation')}</option>
+        </select>
+        <select value={filters.sender} onChange={setFilter('sender')} className={inputClass} aria-label={t('searchSender')}>
+          <option value="all">{t('senderAll')}</option>
+          <option value="user">{t('senderUser')}</option>
+          <option value="ai">{t('senderAI')}</option>
+        </select>
+        <label className={labelClass}>
+          {t('analyticsFrom')}
+          <input type="date" value={filters.fromDay} max={filters.toDay || undefined} onChange={setFilter('fromDay')} className={inputClass} />
+        </label>
+        <label className={labelClass}>
+          {t('analyticsTo')}
+          <input type="date" value={filters.toDay} min={filters.fromDay || undefined} onChange={setFilter('toDay')} className={inputClass} />
+        </label>
+        <span className={labelClass}>
+          {t('searchSentiment')}
+          <input type="number" min="-1" max="1" step="0.1" value={filters.minSentiment} onChange={setFilter('minSentiment')} className={`${inputClass} w-20`} aria-label={t('searchSentimentMin')} />
+          –
+          <input type="number" min="-1" max="1" step="0.1" value={filters.maxSentiment} onChange={setFilter('maxSentiment')} className={`${inputClass} w-20`} aria-label={t('searchSentimentMax')} />
+        </span>
+        <input type="text" value={filters.entity} onChange={setFilter('entity')} placeholder={t('searchEntity')} aria-label={t('searchEntity')} className={inputClass} />
+      </div>
+
+      <div className="mt-3 text-sm" aria-live="polite">
+        {isIndexing ? (
+          <p className="text-gray-500 dark:text-gray-400">{t('searchIndexing')}</p>
+        ) : !hasSearchCriteria(filters) ? (
+          <p className="text-gray-500 dark:text-gray-400">{t('searchHint')}</p>
+        ) : results.length === 0 ? (
+          <p className="text-gray-500 dark:text-gray-400">{t('searchNoResults')}</p>
+        ) : (
+          <>
+            <p className="text-gray-500 dark:text-gray-400">{t('searchResultCount', { count: results.length })}</p>
+            <ul className="mt-2 max-h-80 overflow-y-auto divide-y dark:divide-gray-600">
+              {results.map(({ message, ranges }) => {
+                const snippet = searchSnippet(message.text, ranges);
+                return (
+                  <li key={`${message.conversationId}:${message.id}`}>
+                    <button onClick={() => onOpenResult(message.conversationId, message.id)} className="w-full text-start py-2 px-1 hover:bg-gray-100 dark:hover:bg-gray-600 rounded-md">
+                      <div className="text-xs text-gray-500 dark:text-gray-400 flex gap-2">
+                        <span className="font-semibold truncate">{titles[message.conversationId] || message.conversationId}</span>
+                        <span>{message.sender === 'user' ? t('senderUser') : t('senderAI')}</span>
+                        {message.timestamp instanceof Date && <span>{message.timestamp.toLocaleString()}</span>}
+                      </div>
+                      <div dir="auto" className="text-gray-800 dark:text-gray-100 whitespace-pre-wrap break-words">
+                        <HighlightedText text={snippet.text} ranges={snippet.ranges} />
+                      </div>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+            {results.length === SEARCH_RESULT_LIMIT && <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">{t('searchResultLimit')}</p>}
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+const ChartDataTable = ({ caption, columns, rows }) => {
+  const t = useTranslation();
+  return (
+    <details className="mt-2 text-sm text-gray-700 dark:text-gray-300">
+      <summary className="cursor-pointer text-blue-500 dark:text-blue-400">{t('showDataTable')}</summary>
+      <div className="max-h-60 overflow-y-auto mt-2">
+        <table className="w-full text-start">
+          <caption className="sr-only">{caption}</caption>
+          <thead>
+            <tr>{columns.map(column => <th key={column} scope="col" className="py-1 pe-4 font-semibold">{column}</th>)}</tr>
+          </thead>
+          <tbody>
+            {rows.map((row, rowIndex) => (
+              <tr key={rowIndex} className="border-t dark:border-gray-600">
+                {row.map((cell, cellIndex) => <td key={cellIndex} className="py-1 pe-4">{cell}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+};
+
+// Charts are decorative summaries; every chart is followed by a ChartDataTable with the exact figures.
+const BarChart = ({ title, data }) => {
+  const max = Math.max(1, ...data.map(d => d.value));
+  const total = data.reduce((sum, d) => sum + d.value, 0);
+  return (
+    <svg role="img" aria-label={`${title}: ${total}`} viewBox={`0 0 ${data.length * 10} 100`} preserveAspectRatio="none" className="w-full h-32">
+      {data.map((d, i) => (
+        <rect key={d.label} x={i * 10 + 1} y={100 - (d.value / max) * 100} width="8" height={(d.value / max) * 100} className="fill-blue-500 dark:fill-blue-400">
+          <title>{`${d.label}: ${d.value}`}</title>
+        </rect>
+      ))}
+    </svg>
+  );
+};
+
+// Plots values in [min, max] (by default sentiment's [-1, 1]); null values leave a gap in the line.
+const SentimentLineChart = ({ title, data, min = -1, max = 1 }) => {
+  const width = Math.max(1, data.length - 1) * 10;
+  const toY = (value) => 95 - ((value - min) / (max - min)) * 90;
+  const segments = [];
+  let current = [];
+  data.forEach((d, i) => {
+    if (d.value === null) {
+      if (current.length) segments.push(current);
+      current = [];
+    } else {
+      current.push(`${i * 10},${toY(d.value)}`);
+    }
+  });
+  if (current.length) segments.push(current);
+  return (
+    <svg role="img" aria-label={title} viewBox={`0 0 ${width} 100`} preserveAspectRatio="none" className="w-full h-32">
+      <line x1="0" y1="50" x2={width} y2="50" className="stroke-gray-300 dark:stroke-gray-600" strokeDasharray="2 2" vectorEffect="non-scaling-stroke" />
+      {segments.map((points, i) => (
+        points.length === 1
+          ? <circle key={i} cx={points[0].split(',')[0]} cy={points[0].split(',')[1]} r="1.5" className="fill-yellow-500" />
+          : <polyline key={i} points={points.join(' ')} fill="none" className="stroke-yellow-500" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      ))}
+    </svg>
+  );
+};
+
+const StatCard = ({ label, value }) => (
+  <div className="p-4 rounded-lg bg-white dark:bg-gray-800 shadow-sm">
+    <div className="text-sm text-gray-500 dark:text-gray-400">{label}</div>
+    <div className="mt-1 text-2xl font-semibold text-gray-800 dark:text-gray-100">{value}</div>
+  </div>
+);
+
+const ChartSection = ({ title, children }) => (
+  <section className="mt-6">
+    <h3 className="font-semibold text-gray-700 dark:text-gray-200 mb-2">{title}</h3>
+    {children}
+  </section>
+);
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return dayKey(date);
+};
+
+const ResultCacheControls = () => {
+  const t = useTranslation();
+  const stats = useResultCacheStats();
+  const [isClearing, setIsClearing] = useState(false);
+
+  const handleClear = async () => {
+    setIsClearing(true);
+    try {
+      await resultCache.clear();
+      toast.success(t('cacheCleared'));
+    } catch (error) {
+      console.error("Failed to clear the result cache:", error);
+      toast.error(t('clearCacheFailed'));
+    } finally {
+      setIsClearing(false);
+    }
+  };
+
+  if (!stats) return null;
+  const lookups = stats.hits + stats.misses;
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600 dark:text-gray-300">
+      <span title={Object.entries(stats.byNamespace).map(([namespace, counts]) => `${namespace}: ${counts.hits} / ${counts.hits + counts.misses}`).join('\n')}>
+        {t('cacheStats', { count: stats.entries, hits: stats.hits, lookups, rate: lookups ? Math.round((stats.hits / lookups) * 100) : 0 })}
+      </span>
+      <button onClick={handleClear} disabled={isClearing || stats.entries === 0} className="text-blue-500 hover:underline disabled:text-gray-400 dark:text-blue-400">
+        {t('clearCache')}
+      </button>
+    </div>
+  );
+};
+
+function AnalyticsDashboard({ user, conversationId, ownerUid = user?.uid }) {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadFailed, setLoadFailed] = useState(false);
+  const [isRebuilding, setIsRebuilding] = useState(false);
+  const [scope, setScope] = useState('conversation');
+  const [fromDay, setFromDay] = useState(() => daysAgo(29));
+  const [toDay, setToDay] = useState(() => dayKey(new Date()));
+  const [refreshKey, setRefreshKey] = useState(0);
+  const t = useTranslation();
+
+  const scopedConversationId = scope === 'conversation' ? conversationId : null;
+  // A shared conversation's counters are kept by its owner; the user-wide ones are always the user's own.
+  const statsUid = scopedConversationId ? ownerUid : user?.uid;
+  // Why there is nothing to show for the chosen scope and range, as a translation key.
+  const unavailableReason = scope === 'conversation' && !conversationId
+    ? 'analyticsNoConversation'
+    : (fromDay > toDay ? 'analyticsInvalidRange' : null);
+
+  useEffect(() => {
+    if (!statsUid || unavailableReason) return;
+    let isMounted = true;
+    const getStats = async () => {
+      setLoading(true);
+      setLoadFailed(false);
+      try {
+        const days = await messageStore.listStats(statsUid, { conversationId: scopedConversationId, fromDay, toDay });
+        if (!isMounted) return;
+        setSummary(summarizeStats(days, fromDay, toDay));
+      } catch (error) {
+        console.error("Failed to get analytics data:", error);
+        if (isMounted) setLoadFailed(true);
+      } finally {
+        if (isMounted) setLoading(false);
+      }
+    };
+    getStats();
+    return () => { isMounted = false; };
+  }, [statsUid, unavailableReason, scopedConversationId, fromDay, toDay, refreshKey]);
+
+  const handleRebuild = async () => {
+    setIsRebuilding(true);
+    try {
+      await rebuildStats(statsUid, scopedConversationId);
+      toast.success(t('statsRebuilt'));
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      console.error("Failed to rebuild analytics:", error);
+      toast.error(t('rebuildStatsFailed'));
+    } finally {
+      setIsRebuilding(false);
+    }
+  };
+
+  const formatSentiment = (value) => (value === null ? '—' : value.toFixed(2));
+  const formatShare = (value) => (value === null ? '—' : `${Math.round(value * 100)}%`);
+  const reasonKeys = { ...FEEDBACK_REASONS.up, ...FEEDBACK_REASONS.down };
+  const entityTypes = summary ? Object.keys(summary.entitiesByType).sort() : [];
+  const notice = unavailableReason || (loadFailed ? 'analyticsLoadFailed' : null);
+  const inputClass = "p-2 text-sm rounded-md border bg-white dark:bg-gray-800 dark:border-gray-600 text-gray-700 dark:text-gray-200";
+
+  return (
+    <div className="p-8 mt-8 bg-gray-50 dark:bg-gray-700/50 rounded-xl shadow-sm">
+      <div className="flex items-center justify-between gap-4 flex-wrap">
+        <h2 className="font-bold text-2xl text-gray-800 dark:text-gray-100">{t('analyticsDashboard')}</h2>
+        <div className="flex items-center gap-2 flex-wrap">
+          <select value={scope} onChange={(e) => setScope(e.target.value)} className={inputClass} aria-label={t('analyticsDashboard')}>
+            <option value="conversation">{t('analyticsThisConversation')}</option>
+            <option value="all">{t('analyticsAllConversations')}</option>
+          </select>
+          <label className="text-sm text-gray-600 dark:text-gray-300 flex items-center gap-1">
+            {t('analyticsFrom')}
+            <input type="date" value={fromDay} max={toDay} onChange={(e) => e.target.value && setFromDay(e.target.value)} className={inputClass} />
+          </label>
+          <label className="text-sm text-gray-600 dark:text-gray-300 flex items-center gap-1">
+            {t('analyticsTo')}
+            <input type="date" value={toDay} min={fromDay} onChange={(e) => e.target.value && setToDay(e.target.value)} className={inputClass} />
+          </label>
+        </div>
+      </div>
+
+      {notice ? (
+        <p className="mt-6 text-gray-500 dark:text-gray-400">{t(notice)}</p>
+      ) : loading || !summary ? (
+        <AnalyticsSkeleton />
+      ) : (
+        <>
+          <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-4">
+            <StatCard label={t('totalMessages')} value={summary.messages} />
+            <StatCard label={t('aiUserRatio')} value={`${summary.aiMessages} / ${summary.userMessages}`} />
+            <StatCard label={t('averageSentiment')} value={formatSentiment(summary.averageSentiment)} />
+            <StatCard label={t('answerSatisfaction')} value={formatShare(summary.satisfaction)} />
+          </div>
+
+          {summary.messages === 0 ? (
+            <p className="mt-6 text-gray-500 dark:text-gray-400">{t('noAnalyticsData')}</p>
+          ) : (
+            <>
+              <ChartSection title={t('messagesPerDay')}>
+                <BarChart title={t('messagesPerDay')} data={summary.perDay.map(d => ({ label: d.day, value: d.messages }))} />
+                <ChartDataTable caption={t('messagesPerDay')} columns={[t('dayColumn'), t('messagesColumn')]} rows={summary.perDay.map(d => [d.day, d.messages])} />
+              </ChartSection>
+
+              <ChartSection title={t('messagesPerHour')}>
+                <BarChart title={t('messagesPerHour')} data={summary.perHour.map(h => ({ label: `${h.hour}:00`, value: h.messages }))} />
+                <ChartDataTable caption={t('messagesPerHour')} columns={[t('hourColumn'), t('messagesColumn')]} rows={summary.perHour.map(h => [`${h.hour}:00`, h.messages])} />
+              </ChartSection>
+
+              <ChartSection title={t('sentimentOverTime')}>
+                <SentimentLineChart title={t('sentimentOverTime')} data={summary.perDay.map(d => ({ label: d.day, value: d.averageSentiment }))} />
+                <ChartDataTable caption={t('sentimentOverTime')} columns={[t('dayColumn'), t('sentimentColumn')]} rows={summary.perDay.map(d => [d.day, formatSentiment(d.averageSentiment)])} />
+              </ChartSection>
+
+              <ChartSection title={t('satisfactionOverTime')}>
+                {summary.ratingsUp + summary.ratingsDown === 0 ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{t('noRatings')}</p>
+                ) : (
+                  <>
+                    <SentimentLineChart title={t('satisfactionOverTime')} data={summary.perDay.map(d => ({ label: d.day, value: d.satisfaction }))} min={0} max={1} />
+                    <ChartDataTable
+                      caption={t('satisfactionOverTime')}
+                      columns={[t('dayColumn'), t('satisfactionColumn'), t('ratingsColumn')]}
+                      rows={summary.perDay.map(d => [d.day, formatShare(d.satisfaction), `${d.ratingsUp} / ${d.ratingsDown}`])}
+                    />
+                    {summary.feedbackReasons.length > 0 && (
+                      <table className="mt-4 w-full text-sm text-start text-gray-700 dark:text-gray-300">
+                        <caption className="text-start font-medium pb-1">{t('feedbackReasons')}</caption>
+                        <thead>
+                          <tr><th scope="col" className="pe-4">{t('reasonColumn')}</th><th scope="col">{t('countColumn')}</th></tr>
+                        </thead>
+                        <tbody>
+                          {summary.feedbackReasons.map(({ reason, count }) => (
+                            <tr key={reason} className="border-t dark:border-gray-600"><td className="py-1 pe-4">{reasonKeys[reason] ? t(reasonKeys[reason]) : reason}</td><td className="py-1">{count}</td></tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </>
+                )}
+              </ChartSection>
+
+              <ChartSection title={t('topEntities')}>
+                {entityTypes.length === 0 ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{t('noAnalyticsData')}</p>
+                ) : (
+                  <div className="grid md:grid-cols-2 gap-4">
+                    {entityTypes.map(type => (
+                      <table key={type} className="w-full text-sm text-start text-gray-700 dark:text-gray-300">
+                        <caption className="text-start font-medium pb-1">{type}</caption>
+                        <thead>
+                          <tr><th scope="col" className="pe-4">{t('entityColumn')}</th><th scope="col">{t('countColumn')}</th></tr>
+                        </thead>
+                        <tbody>
+                          {summary.entitiesByType[type].map(entity => (
+                            <tr key={entity.name} className="border-t dark:border-gray-600"><td className="py-1 pe-4">{entity.name}</td><td className="py-1">{entity.count}</td></tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    ))}
+                  </div>
+                )}
+              </ChartSection>
+
+              <ChartSection title={t('tokenUsage')}>
+                <table className="w-full text-sm text-start text-gray-700 dark:text-gray-300">
+                  <caption className="sr-only">{t('tokenUsage')}</caption>
+                  <thead>
+                    <tr><th scope="col" className="pe-4">{t('userColumn')}</th><th scope="col" className="pe-4">{t('userTokensColumn')}</th><th scope="col">{t('aiTokensColumn')}</th></tr>
+                  </thead>
+                  <tbody>
+                    {summary.tokensByUser.map(row => (
+                      <tr key={row.user} className="border-t dark:border-gray-600"><td className="py-1 pe-4">{row.user}</td><td className="py-1 pe-4">{row.tokens}</td><td className="py-1">{row.aiTokens}</td></tr>
+                    ))}
+                  </tbody>
+                </table>
+              </ChartSection>
+            </>
+          )}
+        </>
+      )}
+
+      <div className="mt-6 flex flex-wrap items-center justify-between gap-3">
+        <ResultCacheControls />
+        <button onClick={handleRebuild} disabled={isRebuilding || Boolean(unavailableReason)} className="ms-auto text-sm text-blue-500 hover:underline disabled:text-gray-400 dark:text-blue-400">
+          {isRebuilding ? t('rebuildingStats') : t('rebuildStats')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const BulkAnalysisBar = ({ job, onStart, onPause, onResume, onCancel, disabled }) => {
+  const t = useTranslation();
+  const buttonClass = "text-blue-500 hover:underline disabled:text-gray-400 dark:text-blue-400";
+
+  if (!job) {
+    return (
+      <div className="mb-2 text-end text-sm">
+        <button onClick={onStart} disabled={disabled} className={buttonClass}>{t('analyzeConversation')}</button>
+      </div>
+    );
+  }
+  if (job.status === 'scanning') {
+    return <p className="mb-2 text-sm text-gray-500 dark:text-gray-400" role="status">{t('bulkScanning')}</p>;
+  }
+  const percent = job.total ? Math.round((job.done / job.total) * 100) : 0;
+  return (
+    <div className="mb-2 text-sm text-gray-600 dark:text-gray-300" role="status">
+      <div className="flex flex-wrap items-center gap-3">
+        <span>{t('bulkProgress', { done: job.done, total: job.total })}</span>
+        {job.failed > 0 && <span className="text-red-500">{t('bulkFailedCount', { count: job.failed })}</span>}
+        {job.status === 'paused' && <span className="italic">{t('bulkPaused')}</span>}
+        {job.status === 'running' && job.cooldownUntil > Date.now() && <span className="italic">{t('bulkCoolingDown')}</span>}
+        <span className="ms-auto flex gap-3">
+          {job.status === 'running'
+            ? <button onClick={onPause} className={buttonClass}>{t('pauseAnalysis')}</button>
+            : <button onClick={onResume} className={buttonClass}>{t('resumeAnalysis')}</button>}
+          <button onClick={onCancel} className={buttonClass}>{t('cancelAnalysis')}</button>
+        </span>
+      </div>
+      <div className="mt-1 h-1.5 rounded-full bg-gray-200 dark:bg-gray-700" role="progressbar" aria-valuenow={percent} aria-valuemin={0} aria-valuemax={100} aria-label={t('analyzeConversation')}>
+        <div className="h-full rounded-full bg-blue-500 transition-all" style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+};
+
+// Entries are picked on mousedown rather than click, so the composer keeps its focus.
+const SlashCommandSuggestions = ({ id, suggestions, activeIndex, onPick }) => {
+  const t = useTranslation();
+  return (
+    <ul id={id} role="listbox" aria-label={t('slashCommands')} className="absolute bottom-full mb-1 start-0 end-0 z-20 max-h-60 overflow-y-auto rounded-md border bg-white dark:bg-gray-800 dark:border-gray-600 shadow-lg text-sm">
+      {suggestions.map((suggestion, index) => (
+        <li
+          key={suggestion.id}
+          id={`${id}-${index}`}
+          role="option"
+          aria-selected={index === activeIndex}
+          onMouseDown={(e) => {
+            e.preventDefault();
+            onPick(suggestion);
+          }}
+          className={`flex items-baseline gap-2 px-3 py-2 cursor-pointer text-gray-800 dark:text-gray-100 ${index === activeIndex ? 'bg-blue-50 dark:bg-blue-900/40' : 'hover:bg-gray-50 dark:hover:bg-gray-700'}`}
+        >
+          <span className="font-mono font-semibold" dir="auto">{suggestion.label}</span>
+          {!suggestion.option && suggestion.command.argumentKey && (
+            <span className="font-mono text-xs text-gray-500 dark:text-gray-400">{t(suggestion.command.argumentKey)}</span>
+          )}
+          {!suggestion.option && <span className="text-gray-500 dark:text-gray-400 truncate">{t(suggestion.command.descriptionKey)}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+function ChatComponent({ user, conversationId, ownerUid, renderMarkdown, focusRequest, account = null, usageLimits = DEFAULT_USAGE_LIMITS, persona = null, peopleTyping = [], onTyping, onStopTyping, onExport, onNewConversation, onSetPersona }) {
+  const {
+    messages, isTyping, isLoading, hasMore, hasNewer, isLoadingMore, regeneratingIds,
+    loadMore, loadNewer, jumpToMessage, sendMessage, retryMessage, discardMessage, editMessage, deleteMessage, regenerateReply, selectAlternative, translateMessage, rateMessage, toggleReaction, summarizeConversation, stopGenerating,
+  } = useMessages(user, conversationId, { account, usageLimits, persona, ownerUid });
+  const { performMessageAnalysis, analyzingIds } = useMessageAnalysis(user, conversationId, { account, usageLimits, ownerUid });
+  const bulkAnalysis = useBulkAnalysis(user, conversationId, { account, usageLimits, ownerUid });
+  const blockedReason = writeBlockedReason(account);
+  const canWrite = !blockedReason;
+  // Explained above the composer; a loading account usually is not for long.
+  const blockedNotice = blockedReason === 'accountLoading' ? null : blockedReason;
+  const messageQuota = useQuotaStatus(user, 'messages', usageLimits);
+  const aiReplyQuota = useQuotaStatus(user, 'aiReplies', usageLimits);
+  const isCoolingDown = messageQuota?.retryAfterMs > 0;
+  const t = useTranslation();
+  const [inputMessage, setInputMessage] = useDraft(user, conversationId);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  const [isSuggestionListDismissed, setSuggestionListDismissed] = useState(false);
+  const [translationRequest, setTranslationRequest] = useState(null);
+  const [isTokenizerReady, setTokenizerReady] = useState(() => tokenizer !== null);
+  const [inputScheme, setInputScheme] = useUserPreference(user, 'inputScheme', 'off');
+  const [romanizationScheme, setRomanizationScheme] = useUserPreference(user, 'romanizationScheme', 'iast');
+  const [replyingTo, setReplyingTo] = useState(null);
+  const inputRef = useRef(null);
+  const scrollRef = useRef(null);
+  const listRef = useRef(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  // The first message that arrived while the reader was scrolled up. The pill counts from it until they are
+  // back at the end; the divider above it stays until they send or switch conversations.
+  const [unread, setUnread] = useState(null);
+  const lastMessageIdRef = useRef(null);
+  const hadNewerRef = useRef(false);
+
+  const messageIds = useMemo(() => messages.map(m => m.id), [messages]);
+  const {
+    startIndex, endIndex, paddingTop, paddingBottom, measureRef, handleScroll, isAtBottom, scrollToBottom, scrollToKey, followBottom,
+  } = useVirtualList(scrollRef, listRef, messageIds, { onReachTop: loadMore, onReachBottom: hasNewer ? loadNewer : null });
+
+  const focusMessage = useCallback(async (messageId) => {
+    if (await jumpToMessage(messageId)) setHighlightedId(messageId);
+  }, [jumpToMessage]);
+
+  const clearTranslationRequest = useCallback(() => setTranslationRequest(null), []);
+
+  const startReply = useCallback((message) => {
+    setReplyingTo(message);
+    inputRef.current?.focus();
+  }, []);
+
+  // One stable object so memoized MessageItems do not re-render on every keystroke in the composer.
+  const messageActions = useMemo(() => ({
+    edit: editMessage,
+    delete: deleteMessage,
+    regenerate: regenerateReply,
+    selectAlternative,
+    translate: translateMessage,
+    rate: rateMessage,
+    react: toggleReaction,
+    reply: startReply,
+    jumpTo: focusMessage,
+    translationHandled: clearTranslationRequest,
+  }), [editMessage, deleteMessage, regenerateReply, selectAlternative, translateMessage, rateMessage, toggleReaction, startReply, focusMessage, clearTranslationRequest]);
+
+  useEffect(() => {
+    setReplyingTo(null);
+    setTranslationRequest(null);
+    setUnread(null);
+    scrollToBottom();
+  }, [conversationId, scrollToBottom]);
+
+  const messagesById = useMemo(() => new Map(messages.map(m => [m.id, m])), [messages]);
+  const isCommand = inputMessage.startsWith('/');
+  const suggestions = useMemo(() => (isSuggestionListDismissed ? [] : slashCommandSuggestions(inputMessage)), [inputMessage, isSuggestionListDismissed]);
+
+  // The composer grows with its text up to its maximum height, then scrolls.
+  useEffect(() => {
+    const composer = inputRef.current;
+    if (!composer) return;
+    composer.style.height = 'auto';
+    composer.style.height = `${composer.scrollHeight}px`;
+  }, [inputMessage]);
+
+  useEffect(() => {
+    let active = true;
+    loadTokenizer().then(loaded => {
+      if (active && loaded) setTokenizerReady(true);
+    });
+    return () => { active = false; };
+  }, []);
+
+  // Stored counts are shown per message; these are recounted once the tokenizer has loaded.
+  const tokenUsage = useMemo(() => {
+    const shown = messages.filter(m => !m.deleted);
+    return {
+      total: shown.reduce((sum, m) => sum + countTokens(m.text), 0),
+      context: buildPromptHistory(shown.filter(isInPromptHistory)),
+      isEstimate: !isTokenizerReady,
+    };
+  }, [messages, isTokenizerReady]);
+
+  // Messages appended after the previous last one are unread while the reader is scrolled up. Older pages,
+  // and optimistic messages being confirmed, change the list without adding to the end; pages of newer
+  // history add to it, but were not sent just now.
+  useEffect(() => {
+    const previousLastId = lastMessageIdRef.current;
+    const wasPagingNewer = hadNewerRef.current;
+    lastMessageIdRef.current = messageIds[messageIds.length - 1] ?? null;
+    hadNewerRef.current = hasNewer;
+    if (isAtBottom || wasPagingNewer || !previousLastId) return;
+    const previousIndex = messageIds.indexOf(previousLastId);
+    if (previousIndex === -1 || previousIndex === messageIds.length - 1) return;
+    setUnread(current => (current && !current.isRead ? current : { fromId: messageIds[previousIndex + 1], isRead: false }));
+  }, [messageIds, isAtBottom, hasNewer]);
+
+  useEffect(() => {
+    if (isAtBottom) setUnread(current => (current && !current.isRead ? { ...current, isRead: true } : current));
+  }, [isAtBottom]);
+
+  // A streamed reply keeps its nonce once it is saved under its real id.
+  const unreadIndex = unread ? messages.findIndex(m => m.id === unread.fromId || m.nonce === unread.fromId) : -1;
+  const unreadCount = unreadIndex > -1 && !unread.isRead ? messages.length - unreadIndex : 0;
+
+  const isAITypingShown = isTyping && !isLoading && !messages.some(m => m.isStreaming);
+  useEffect(() => {
+    followBottom();
+  }, [isAITypingShown, followBottom]);
+
+  useEffect(() => {
+    if (!focusRequest || isLoading) return;
+    let cancelled = false;
+    jumpToMessage(focusRequest.messageId).then(found => {
+      if (!cancelled && found) setHighlightedId(focusRequest.messageId);
+    });
+    return () => { cancelled = true; };
+  }, [focusRequest, isLoading, jumpToMessage]);
+
+  useEffect(() => {
+    if (!highlightedId) return;
+    scrollToKey(highlightedId);
+    const timer = setTimeout(() => setHighlightedId(null), 3000);
+    return () => clearTimeout(timer);
+  }, [highlightedId, scrollToKey]);
+
+  // With an input scheme on, each word is converted once it is finished (a space is typed at the end), so
+  // multi-letter spellings like "kh" are never split; the word still being typed shows in the preview.
+  // Commands are left as typed.
+  const handleInputChange = (e) => {
+    const { value, selectionStart } = e.target;
+    const isWordFinished = /\s$/.test(value) && selectionStart === value.length;
+    setInputMessage(inputScheme !== 'off' && isWordFinished && !value.startsWith('/') ? transliterate(value, inputScheme, 'devanagari') : value);
+    setActiveSuggestion(0);
+    setSuggestionListDismissed(false);
+    // Commands are not for the others in the conversation to wait on.
+    if (value.trim() && !value.startsWith('/')) onTyping?.();
+    else onStopTyping?.();
+  };
+
+  const runSlashCommand = async ({ name, argument }) => {
+    const command = slashCommands.get(name);
+    if (!command) {
+      toast.error(t('unknownCommand', { command: `/${name}` }));
+      return;
+    }
+    const context = {
+      messages,
+      replyingTo,
+      persona,
+      showTranslation: (messageId, language) => setTranslationRequest({ messageId, language }),
+      analyzeConversation: bulkAnalysis.start,
+      exportConversation: (format) => onExport?.(conversationId, format),
+      newConversation: () => onNewConversation?.(),
+      summarizeConversation,
+      setPersona: (next) => onSetPersona?.(conversationId, next),
+    };
+    try {
+      await command.run(argument, context);
+    } catch (error) {
+      if (!(error instanceof CommandError)) console.error(`The /${name} command failed:`, error);
+      toast.error(error instanceof CommandError ? error.message : t('commandFailed', { command: `/${name}` }));
+      return;
+    }
+    setInputMessage('');
+    setReplyingTo(null);
+  };
 
-  }, [user, language]);
+  const handleSendMessage = (e) => {
+    e?.preventDefault();
+    const command = parseSlashCommand(inputMessage.trim());
+    if (command) {
+      runSlashCommand(command);
+      return;
+    }
+    // While the AI is answering, or while the countdown on the send button runs, the draft is kept.
+    if (!inputMessage.trim() || isCoolingDown || isTyping) return;
+    sendMessage(inputScheme === 'off' ? inputMessage : transliterate(inputMessage, inputScheme, 'devanagari'), { replyTo: replyingTo && quoteMessage(replyingTo) });
+    setInputMessage('');
+    setReplyingTo(null);
+    onStopTyping?.();
+    setUnread(null);
+    scrollToBottom();
+  };
 
-  return { ...state, loadMore, sendMessage };
-}
+  const pickSuggestion = (suggestion) => {
+    setInputMessage(suggestion.insert);
+    setActiveSuggestion(0);
+    inputRef.current?.focus();
+  };
 
-// --- UI Components ---
+  // Enter sends and Shift+Enter starts a new line. While the command list is open, the arrow keys move
+  // through it and Tab or Enter picks an entry; Enter runs the command once it is complete.
+  const handleComposerKeyDown = (e) => {
+    if (e.nativeEvent.isComposing) return;
+    const highlighted = suggestions[Math.min(activeSuggestion, suggestions.length - 1)];
+    if (highlighted && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveSuggestion(index => (index + step + suggestions.length) % suggestions.length);
+    } else if (highlighted && (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && highlighted.insert.trim() !== inputMessage.trim()))) {
+      e.preventDefault();
+      pickSuggestion(highlighted);
+    } else if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSendMessage();
+    } else if (e.key === 'Escape') {
+      if (highlighted) setSuggestionListDismissed(true);
+      else setReplyingTo(null);
+    }
+  };
 
-function AITypingIndicator() {
   return (
-    <div className="flex my-2 gap-4 justify-start">
-      {/* This visually hidden element makes the typing indicator accessible to screen readers. */}
-      <div role="status" className="sr-only">
-        AI is typing...
-      </div>
-      <div className="p-4 rounded-2xl shadow-md bg-gray-100 dark:bg-gray-600">
-        <div className="flex items-center gap-2 text-gray-500 dark:text-gray-400">
-          <span className="h-2 w-2 bg-gray-400 dark:bg-gray-500 rounded-full animate-bounce [animation-delay:-0.3s]"></span>
-          <span className="h-2 w-2 bg-gray-400 dark:bg-gray-500 rounded-full animate-bounce [animation-delay:-0.15s]"></span>
-          <span className="h-2 w-2 bg-gray-400 dark:bg-gray-500 rounded-full animate-bounce"></span>
+    <div className="mt-6">
+      <BulkAnalysisBar
+        job={bulkAnalysis.job}
+        onStart={bulkAnalysis.start}
+        onPause={bulkAnalysis.pause}
+        onResume={bulkAnalysis.resume}
+        onCancel={bulkAnalysis.cancel}
+        disabled={!user || !conversationId || isLoading}
+      />
+      <div className="relative">
+        <div ref={scrollRef} onScroll={handleScroll} style={{ overflowAnchor: 'none' }} className="h-[60vh] overflow-y-auto p-4 border rounded-lg bg-gray-50 dark:bg-gray-900/50 dark:border-gray-700 space-y-4">
+          {isLoading ? (
+            <div className="space-y-4">
+              <MessageSkeleton />
+              <MessageSkeleton sender="user" />
+              <MessageSkeleton />
+            </div>
+          ) : (
+            <>
+              {hasMore && (
+                <div className="text-center">
+                  <button onClick={loadMore} disabled={isLoadingMore} className="text-blue-500 hover:underline disabled:text-gray-400 dark:text-blue-400 dark:disabled:text-gray-500">
+                    {isLoadingMore ? t('loadingMore') : t('loadMore')}
+                  </button>
+                </div>
+              )}
+              <div ref={listRef} style={{ paddingTop, paddingBottom }}>
+                {messages.slice(startIndex, endIndex).map((message, offset) => {
+                  const index = startIndex + offset;
+                  // A reply right below the message it answers needs no quote.
+                  const quoted = message.replyTo && messages[index - 1]?.id !== message.replyTo.id
+                    ? messagesById.get(message.replyTo.id) || quoteMessage(message.replyTo)
+                    : null;
+                  // Rows are measured as a whole, so their spacing is padding inside them rather than margin between them.
+                  return (
+                    <div key={message.id} ref={measureRef(message.id)} className={index > 0 ? 'flow-root pt-4' : 'flow-root'}>
+                      {index === unreadIndex && (
+                        <div className="flex items-center gap-3 mb-2 text-xs font-semibold text-red-600 dark:text-red-400" role="separator">
+                          <span className="flex-grow border-t border-red-300 dark:border-red-700" />
+                          {t('newMessages')}
+                          <span className="flex-grow border-t border-red-300 dark:border-red-700" />
+                        </div>
+                      )}
+                      <MessageItem message={message} quoted={quoted} userId={user?.uid} performMessageAnalysis={performMessageAnalysis} analyzingIds={analyzingIds} onRetry={retryMessage} onDiscard={discardMessage} actions={messageActions} isRegenerating={regeneratingIds.has(message.id)} isHighlighted={message.id === highlightedId} renderMarkdown={renderMarkdown} romanizationScheme={romanizationScheme} translationRequest={translationRequest?.messageId === message.id ? translationRequest : null} />
+                    </div>
+                  );
+                })}
+              </div>
+              {hasNewer && (
+                <div className="text-center">
+                  <button onClick={loadNewer} disabled={isLoadingMore} className="text-blue-500 hover:underline disabled:text-gray-400 dark:text-blue-400 dark:disabled:text-gray-500">
+                    {isLoadingMore ? t('loadingMore') : t('loadNewer')}
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+          {isAITypingShown && <AITypingIndicator />}
         </div>
+        <ReplyAnnouncer key={conversationId} messages={messages} />
+        {!isAtBottom && unreadCount > 0 && (
+          <div className="absolute inset-x-0 bottom-4 z-20 flex justify-center pointer-events-none">
+            <button
+              onClick={scrollToBottom}
+              className="pointer-events-auto px-4 py-2 bg-blue-500 text-white rounded-full shadow-lg flex items-center gap-2 text-sm animate-bounce"
+              title={t('scrollToNewMessages')}
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3" /></svg>
+              {t('newMessagesCount', { count: unreadCount })}
+            </button>
+          </div>
+        )}
       </div>
-    </div>
-  );
-}
+      <PeopleTypingIndicator people={peopleTyping} />
 
-function MessageSkeleton({ sender = 'ai' }) {
-  const isUser = sender === 'user';
-  return (
-    <div className={`flex items-start gap-3 animate-pulse ${isUser ? 'flex-row-reverse ml-auto' : 'mr-auto'}`}>
-      <div className="h-8 w-8 rounded-full bg-gray-200 dark:bg-gray-600 flex-shrink-0"></div>
-      <div className="p-4 rounded-2xl bg-gray-200 dark:bg-gray-600 w-48">
-        <div className="h-4 bg-gray-300 dark:bg-gray-500 rounded w-5/6 mb-2"></div>
-        <div className="h-4 bg-gray-300 dark:bg-gray-500 rounded w-1/2"></div>
+      {replyingTo && (
+        <div className="mt-4 flex items-center gap-2 px-3 py-2 border-s-4 border-blue-400 rounded-md bg-blue-50 dark:bg-blue-900/30 text-sm text-gray-700 dark:text-gray-200">
+          <div className="flex-grow min-w-0">
+            <div className="text-xs font-semibold">{t('replyingTo', { sender: t(replyingTo.sender === 'user' ? 'senderUser' : 'senderAI') })}</div>
+            <div className="truncate" dir="auto">{replyExcerpt(replyingTo.text)}</div>
+          </div>
+          <button type="button" onClick={() => setReplyingTo(null)} title={t('cancelReply')} aria-label={t('cancelReply')} className="px-2 text-gray-500 hover:text-gray-800 dark:hover:text-white">✕</button>
+        </div>
+      )}
+      {blockedNotice && (
+        <div className="mt-4 px-3 py-2 rounded-md bg-red-50 dark:bg-red-900/30 text-sm text-red-700 dark:text-red-300" role="status">
+          {t(blockedNotice)}
+        </div>
+      )}
+      <form onSubmit={handleSendMessage} className={`${replyingTo || blockedNotice ? 'mt-2' : 'mt-4'} relative flex`}>
+        {suggestions.length > 0 && (
+          <SlashCommandSuggestions id="slash-command-suggestions" suggestions={suggestions} activeIndex={Math.min(activeSuggestion, suggestions.length - 1)} onPick={pickSuggestion} />
+        )}
+        <textarea
+          ref={inputRef}
+          rows={1}
+          value={inputMessage}
+          onChange={handleInputChange}
+          onKeyDown={handleComposerKeyDown}
+          className="flex-grow p-2 border rounded-s-md resize-none max-h-48 overflow-y-auto bg-white dark:bg-gray-800 dark:border-gray-600 text-gray-800 dark:text-gray-100 placeholder-gray-400"
+          aria-label={t('yourMessage')}
+          aria-autocomplete="list"
+          aria-controls={suggestions.length > 0 ? 'slash-command-suggestions' : undefined}
+          aria-activedescendant={suggestions.length > 0 ? `slash-command-suggestions-${Math.min(activeSuggestion, suggestions.length - 1)}` : undefined}
+          dir="auto"
+          placeholder={t('messagePlaceholder')}
+          disabled={!canWrite || !user || !conversationId}
+        />
+        {isTyping && AI_STREAMING_ENABLED && !isCommand ? (
+          <button type="button" onClick={stopGenerating} className="px-4 py-2 bg-red-500 text-white rounded-e-md hover:bg-red-600 transition-colors">
+            {t('stopGenerating')}
+          </button>
+        ) : (
+          <button
+            type="submit"
+            className="px-4 py-2 bg-blue-500 text-white rounded-e-md disabled:bg-blue-300 dark:disabled:bg-blue-900 tabular-nums"
+            disabled={!canWrite || !user || !conversationId || (!isCommand && (isTyping || isCoolingDown))}
+            aria-label={isCoolingDown && !isCommand ? t('sendAvailableIn', { time: formatCountdown(messageQuota.retryAfterMs) }) : undefined}
+          >
+            {isCoolingDown && !isCommand ? formatCountdown(messageQuota.retryAfterMs) : t('send')}
+          </button>
+        )}
+      </form>
+      {inputScheme !== 'off' && !isCommand && /[^\s\u0900-\u097F]/.test(inputMessage) && (
+        <p className="mt-1 px-2 text-gray-700 dark:text-gray-200" aria-label={t('devanagariPreview')} aria-live="polite">
+          {transliterate(inputMessage, inputScheme, 'devanagari')}
+        </p>
+      )}
+      <div className="mt-2 flex flex-wrap items-center gap-4 text-xs text-gray-600 dark:text-gray-300">
+        <span>{t('composerHint')}</span>
+        {persona && <span className="truncate max-w-xs" title={persona} dir="auto">{t('personaLabel', { persona })}</span>}
+        {messageQuota && aiReplyQuota && (
+          <>
+            <span className={isCoolingDown ? 'text-red-600 dark:text-red-400' : undefined}>
+              {isCoolingDown
+                ? t('sendAvailableIn', { time: formatCountdown(messageQuota.retryAfterMs) })
+                : t('messageQuotaRemaining', { remaining: messageQuota.remaining, limit: messageQuota.limit })}
+            </span>
+            <span className={aiReplyQuota.retryAfterMs > 0 ? 'text-red-600 dark:text-red-400' : undefined}>
+              {aiReplyQuota.retryAfterMs > 0
+                ? t('aiRepliesResumeIn', { time: formatCountdown(aiReplyQuota.retryAfterMs) })
+                : t('aiReplyQuotaRemaining', { remaining: aiReplyQuota.remaining, limit: aiReplyQuota.limit })}
+            </span>
+          </>
+        )}
+        <span>{tokenUsage.isEstimate && '~'}{t(hasMore || hasNewer ? 'loadedTokens' : 'conversationTokens', { count: tokenUsage.total })}</span>
+        <span title={tokenUsage.context.omitted > 0 ? t('contextOmitted', { count: tokenUsage.context.omitted }) : undefined}>
+          {tokenUsage.isEstimate && '~'}{t('contextTokens', { tokens: tokenUsage.context.tokens, budget: AI_CONTEXT_TOKEN_BUDGET })}
+          {tokenUsage.context.omitted > 0 && ' *'}
+        </span>
+        <label className="flex items-center gap-1">
+          {t('inputScheme')}
+          <select value={inputScheme} onChange={(e) => setInputScheme(e.target.value)} className="p-1 border rounded-md bg-white dark:bg-gray-800 dark:border-gray-600">
+            <option value="off">{t('schemeOff')}</option>
+            {Object.entries(ROMAN_SCHEMES).map(([code, scheme]) => <option key={code} value={code}>{scheme.name}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-1">
+          {t('romanizeAs')}
+          <select value={romanizationScheme} onChange={(e) => setRomanizationScheme(e.target.value)} className="p-1 border rounded-md bg-white dark:bg-gray-800 dark:border-gray-600">
+            <option value="off">{t('schemeOff')}</option>
+            {Object.entries(ROMAN_SCHEMES).map(([code, scheme]) => <option key={code} value={code}>{scheme.name}</option>)}
+          </select>
+        </label>
       </div>
     </div>
   );
 }
 
-function AnalyticsSkeleton() {
-  return (
-    <div className="p-8 mt-8 bg-gray-50 dark:bg-gray-700/50 rounded-xl shadow-sm animate-pulse">
-      <div className="h-8 bg-gray-200 dark:bg-gray-600 rounded w-3/4 mb-6"></div>
-      <div className="h-6 bg-gray-200 dark:bg-gray-600 rounded w-1/2 mb-4"></div>
-      <div className="h-6 bg-gray-200 dark:bg-gray-600 rounded w-1/3"></div>
-    </div>
-  );
-}
+const loadModerationQueue = () => messageStore.listModerationEvents({ status: 'pending', pageSize: MODERATION_QUEUE_SIZE });
+const loadAuditLog = () => messageStore.listAuditEntries({ pageSize: AUDIT_LOG_SIZE });
 
-const CopyIcon = () => (
-  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" /></svg>
-);
-const AnalyzeIcon = () => (
-  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707m12.728 0l-.707-.707M12 21v-1m0-10a5 5 0 00-5 5h10a5 5 0 00-5-5z" /></svg>
-);
+const AUDIT_ACTION_LABELS = {
+  approveMessage: 'auditApproveMessage',
+  removeMessage: 'auditRemoveMessage',
+  suspendUser: 'auditSuspendUser',
+  reinstateUser: 'auditReinstateUser',
+  changeRole: 'auditChangeRole',
+  changeLimits: 'auditChangeLimits',
+};
 
-const ThemeToggleButton = () => {
-  const { theme, toggleTheme } = useContext(ThemeContext);
-  return (
-    <button onClick={toggleTheme} className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-600 dark:text-gray-300" title="Toggle theme">
-      {theme === 'light' ? (
-        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z" /></svg>
-      ) : (
-        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 3v1m0 18v-1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M12 12a5 5 0 100-10 5 5 0 000 10z" /></svg>
-      )}
-    </button>
-  );
+const USAGE_LIMIT_LABELS = {
+  messagesPerMinute: 'limitMessagesPerMinute',
+  aiRepliesPerDay: 'limitAIRepliesPerDay',
+  analysesPerDay: 'limitAnalysesPerDay',
 };
 
-const LanguageSelector = () => {
-  const { language, setLanguage } = useContext(LanguageContext);
+// Empty fields mean the deployment default, shown as the placeholder.
+const UsageLimitsForm = ({ overrides, disabled, onSave, onCancel }) => {
+  const t = useTranslation();
+  const [values, setValues] = useState(() => Object.fromEntries(
+    USAGE_LIMIT_NAMES.map(name => [name, isValidLimit(overrides?.[name]) ? String(overrides[name]) : ''])
+  ));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(Object.fromEntries(USAGE_LIMIT_NAMES.map(name => [name, values[name] === '' ? null : Number(values[name])])));
+  };
 
   return (
-    <div className="relative">
-      <select
-        value={language}
-        onChange={(e) => setLanguage(e.target.value)}
-        className="p-2 rounded-full appearance-none bg-transparent text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 cursor-pointer focus:outline-none"
-        aria-label="Select language"
-      >
-        <option value="en">🇺🇸 English</option>
-        <option value="hi">🇮🇳 हिन्दी</option>
-      </select>
-    </div>
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-3 text-xs">
+      {USAGE_LIMIT_NAMES.map(name => (
+        <label key={name} className="flex flex-col gap-1">
+          {t(USAGE_LIMIT_LABELS[name])}
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={values[name]}
+            placeholder={String(DEFAULT_USAGE_LIMITS[name])}
+            onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+            className="w-28 p-1 border rounded-md bg-white dark:bg-gray-800 dark:border-gray-600"
+          />
+        </label>
+      ))}
+      <button type="button" onClick={onCancel} className="underline hover:no-underline">{t('cancelEdit')}</button>
+      <button type="submit" disabled={disabled} className="font-semibold underline hover:no-underline disabled:opacity-50">{t('saveEdit')}</button>
+    </form>
   );
 };
 
-const Avatar = ({ sender, userEmail }) => {
-  const isUser = sender === 'user';
-  // Robustly get the first letter of the email, or 'U' as a fallback.
-  const nameInitial = (userEmail || 'U').charAt(0).toUpperCase();
-  const avatarSrc = isUser
-    ? `https://ui-avatars.com/api/?name=${nameInitial}&background=ffc107&color=fff&bold=true`
-    : `https://ui-avatars.com/api/?name=AI&background=4f46e5&color=fff&bold=true`;
+const adminEmptyClass = "text-sm text-gray-500 dark:text-gray-400";
 
-  // Eager loading for small, critical images like avatars provides a better user experience.
-  return <img src={avatarSrc} alt={`${sender} avatar`} className="h-8 w-8 rounded-full shadow-md flex-shrink-0" />;
+const ModerationQueue = ({ actor }) => {
+  const t = useTranslation();
+  const [events, setEvents] = useAdminList(loadModerationQueue);
+  const [busyId, setBusyId] = useState(null);
+
+  const handleDecision = async (event, decision) => {
+    setBusyId(event.id);
+    try {
+      await reviewModerationEvent(actor, event, decision);
+      setEvents(current => current.filter(e => e.id !== event.id));
+      toast.success(t(decision === 'approve' ? 'messageApproved' : 'messageRemoved'));
+    } catch (error) {
+      console.error("Failed to settle moderation event:", error);
+      toast.error(t('moderationActionFailed'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!events) return <p className={adminEmptyClass}>{t('loadingAdminData')}</p>;
+  if (events.length === 0) return <p className={adminEmptyClass}>{t('moderationQueueEmpty')}</p>;
+  return (
+    <ul className="divide-y dark:divide-gray-600">
+      {events.map(event => (
+        <li key={event.id} className="py-3">
+          <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+            <span className={`px-2 py-0.5 rounded-full font-semibold ${event.severity === 'block'
+              ? 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300'
+              : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300'}`}>
+              {t(event.severity === 'block' ? 'severityBlocked' : 'severityFlagged')}
+            </span>
+            <span className="font-semibold">{event.user}</span>
+            <span>{t(event.source === 'ai' ? 'sourceAIReply' : 'sourceUserMessage')}</span>
+            {event.createdAt instanceof Date && <span>{event.createdAt.toLocaleString()}</span>}
+          </div>
+          <p dir="auto" className="mt-1 text-sm text-gray-800 dark:text-gray-100 whitespace-pre-wrap break-words">{event.text}</p>
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{(event.reasons || []).map(r => r.reason).join(', ')}</p>
+          <div className="mt-2 flex gap-3 text-sm">
+            <button onClick={() => handleDecision(event, 'approve')} disabled={busyId === event.id} className="text-green-600 hover:underline disabled:text-gray-400 dark:text-green-400">
+              {t('approveMessage')}
+            </button>
+            <button onClick={() => handleDecision(event, 'remove')} disabled={busyId === event.id} className="text-red-500 hover:underline disabled:text-gray-400">
+              {t('removeMessage')}
+            </button>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
 };
 
-const MessageItem = memo(function MessageItem({ message, performMessageAnalysis, analyzingIds }) {
+const UserManagement = ({ actor, actorAccount }) => {
   const t = useTranslation();
-  const isUser = message.sender === 'user';
-  // Check if the message has already been successfully analyzed.
-  const isAnalyzed = !!(message.sentiment && message.entities && message.entities.length > 0);
-  const isAnalyzing = analyzingIds.has(message.id);
+  const cursorRef = useRef(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const loadPage = useCallback(async (cursor) => {
+    const page = await messageStore.listUserProfiles({ pageSize: USER_PAGE_SIZE, cursor });
+    cursorRef.current = page.cursor;
+    setHasMore(page.hasMore);
+    return page.profiles;
+  }, []);
+  const loadFirstPage = useCallback(() => loadPage(null), [loadPage]);
+  const [profiles, setProfiles] = useAdminList(loadFirstPage);
+  const [busyUid, setBusyUid] = useState(null);
+  const [editingLimitsUid, setEditingLimitsUid] = useState(null);
+  const canAssignRoles = hasPermission(actorAccount, 'assignRoles');
+  const canSetLimits = hasPermission(actorAccount, 'setLimits');
+  const nameOf = (profile) => profile.email || profile.displayName || profile.uid;
 
-  const handleCopy = () => {
-    if (!navigator.clipboard) {
-      toast.error('Clipboard access is not available in this browser.');
-      return;
+  const applyChange = async (profile, action, changes, noticeKey) => {
+    setBusyUid(profile.uid);
+    try {
+      await action();
+      setProfiles(current => current.map(p => (p.uid === profile.uid ? { ...p, ...changes } : p)));
+      toast.success(t(noticeKey, { user: nameOf(profile), role: changes.role && t(ROLE_LABELS[changes.role]) }));
+      return true;
+    } catch (error) {
+      console.error("Failed to update user:", error);
+      toast.error(t('userActionFailed'));
+      return false;
+    } finally {
+      setBusyUid(null);
     }
-    navigator.clipboard.writeText(message.text)
-      .then(() => toast.success('Copied to clipboard!'))
-      .catch(() => toast.error('Failed to copy.'));
   };
 
-  const handleAnalyze = () => {
-    if (isUser && !isAnalyzed && !isAnalyzing) {
-      performMessageAnalysis(message.id, message.text);
-    }
+  const handleToggleSuspension = (profile) => {
+    const suspended = !profile.suspended;
+    if (suspended && !window.confirm(t('confirmSuspendUser', { user: nameOf(profile) }))) return;
+    applyChange(profile, () => setUserSuspended(actor, profile, suspended), { suspended }, suspended ? 'userSuspendedNotice' : 'userReinstatedNotice');
   };
 
-  return (
-    <div
-      className={`relative flex items-start my-2 gap-3 group max-w-[85%] ${isUser ? 'flex-row-reverse ml-auto' : 'mr-auto'}`}
-      role="listitem"
-    >
-      <Avatar sender={message.sender} userEmail={message.user} />
+  const handleRoleChange = (profile, role) => {
+    applyChange(profile, () => setUserRole(actor, profile, role), { role }, 'roleChangedNotice');
+  };
 
-      <div className={`flex items-center gap-1 p-1 rounded-full bg-white dark:bg-gray-700 border dark:border-gray-600 shadow-md opacity-0 group-hover:opacity-100 transition-opacity z-10 ${isUser ? 'mr-1' : 'ml-1'}`}>
-        <button onClick={handleCopy} title="Copy text" aria-label="Copy message text" className="p-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300">
-          <CopyIcon />
-        </button>
-        {isUser && (
-          <button
-            onClick={handleAnalyze}
-            title={isAnalyzed ? "Analysis complete" : (isAnalyzing ? "Analyzing..." : "Re-run analysis")}
-            aria-label={isAnalyzed ? "Analysis complete" : (isAnalyzing ? "Analyzing message" : "Re-run analysis on message")}
-            className="p-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300 disabled:text-gray-300 dark:disabled:text-gray-500 disabled:cursor-not-allowed"
-            disabled={isAnalyzed || isAnalyzing}
-          >
-            <AnalyzeIcon />
-          </button>
-        )}
-      </div>
+  const handleSaveLimits = async (profile, usageLimits) => {
+    const saved = await applyChange(profile, () => setUserUsageLimits(actor, profile, usageLimits), { usageLimits }, 'limitsSavedNotice');
+    if (saved) setEditingLimitsUid(null);
+  };
 
-      <div
-        className={`p-4 rounded-2xl shadow-md text-gray-800 dark:text-gray-100 ${
-          isUser
-            ? 'bg-gradient-to-r from-yellow-400 to-pink-400 text-white'
-            : 'bg-gray-100 dark:bg-gray-600'
-        }`}
-      >
-        <p className="text-base leading-relaxed whitespace-pre-wrap font-medium">{message.text}</p>
-        {message.tokens && (
-          <div className={`text-xs mt-2 opacity-70 ${message.sender === 'user' ? 'text-white/80' : 'text-gray-500'}`}>
-            {message.tokens} tokens • {message.timestamp instanceof Date && !isNaN(message.timestamp) && new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-          </div>
-        )}
-        {message.sentiment && (
-          <div className="mt-2 text-xs">
-            <span className="border border-yellow-300 dark:border-yellow-700 rounded-md px-2 py-0.5 bg-yellow-50 dark:bg-yellow-900/50 text-yellow-800 dark:text-yellow-300">Sentiment: {message.sentiment.score.toFixed(2)}</span>
-          </div>
-        )}
-        {message.entities && message.entities.length > 0 && (
-          <div className="mt-2 flex gap-2 flex-wrap text-xs">
-            {message.entities.map((entity, idx) => (
-              <span key={idx} className="border border-green-200 dark:border-green-700 rounded-md px-2 py-0.5 bg-green-50 dark:bg-green-900/50 text-green-800 dark:text-green-300">{entity.name} ({entity.type})</span>
+  const handleLoadMore = async () => {
+    setIsLoadingMore(true);
+    try {
+      const more = await loadPage(cursorRef.current);
+      setProfiles(current => [...current, ...more]);
+    } catch (error) {
+      console.error("Failed to load more users:", error);
+      toast.error(t('loadAdminDataFailed'));
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  if (!profiles) return <p className={adminEmptyClass}>{t('loadingAdminData')}</p>;
+  if (profiles.length === 0) return <p className={adminEmptyClass}>{t('noUsers')}</p>;
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-start text-sm text-gray-700 dark:text-gray-300">
+        <caption className="sr-only">{t('userManagement')}</caption>
+        <thead>
+          <tr>
+            {[t('userColumn'), t('roleColumn'), t('messagesColumn'), t('lastSeenColumn'), t('statusColumn'), t('limitsColumn'), ''].map((column, index) => (
+              <th key={index} scope="col" className="py-1 pe-4 font-semibold">{column}</th>
             ))}
-          </div>
-        )}
-        {message.translation && (
-          <div className="mt-2 text-xs">
-            <span className="border border-indigo-300 dark:border-indigo-700 rounded-md px-2 py-0.5 bg-indigo-50 dark:bg-indigo-900/50 text-indigo-800 dark:text-indigo-300">{t('translationLabel')} {message.translation}</span>
-          </div>
-        )}
-      </div>
+          </tr>
+        </thead>
+        <tbody>
+          {profiles.map(profile => {
+            const isSelf = profile.uid === actor.uid;
+            // Moderators manage members only; nobody can demote or suspend themselves.
+            const canManage = !isSelf && (canAssignRoles || profile.role === 'member');
+            const hasCustomLimits = Object.keys(validUsageLimits(profile.usageLimits)).length > 0;
+            return (
+              <React.Fragment key={profile.uid}>
+                <tr className="border-t dark:border-gray-600">
+                  <td className="py-2 pe-4">
+                    {nameOf(profile)}{isSelf && ` ${t('youLabel')}`}
+                  </td>
+                  <td className="py-2 pe-4">
+                    {canAssignRoles && !isSelf ? (
+                      <select
+                        value={profile.role}
+                        onChange={(e) => handleRoleChange(profile, e.target.value)}
+                        disabled={busyUid === profile.uid}
+                        aria-label={t('roleColumn')}
+                        className="p-1 border rounded-md bg-white dark:bg-gray-800 dark:border-gray-600"
+                      >
+                        {USER_ROLES.map(role => <option key={role} value={role}>{t(ROLE_LABELS[role])}</option>)}
+                      </select>
+                    ) : t(ROLE_LABELS[profile.role] || 'roleMember')}
+                  </td>
+                  <td className="py-2 pe-4">{profile.messageCount || 0}</td>
+                  <td className="py-2 pe-4">{profile.lastSeenAt instanceof Date ? profile.lastSeenAt.toLocaleString() : '—'}</td>
+                  <td className={`py-2 pe-4 ${profile.suspended ? 'text-red-600 dark:text-red-400 font-semibold' : ''}`}>
+                    {t(profile.suspended ? 'userSuspended' : 'userActive')}
+                  </td>
+                  <td className="py-2 pe-4">
+                    {t(hasCustomLimits ? 'customLimits' : 'defaultLimits')}
+                    {canSetLimits && editingLimitsUid !== profile.uid && (
+                      <button onClick={() => setEditingLimitsUid(profile.uid)} className="ms-2 text-blue-500 hover:underline dark:text-blue-400">
+                        {t('editLimits')}
+                      </button>
+                    )}
+                  </td>
+                  <td className="py-2">
+                    {canManage && (
+                      <button
+                        onClick={() => handleToggleSuspension(profile)}
+                        disabled={busyUid === profile.uid}
+                        className={`hover:underline disabled:text-gray-400 ${profile.suspended ? 'text-blue-500 dark:text-blue-400' : 'text-red-500'}`}
+                      >
+                        {t(profile.suspended ? 'reinstateUser' : 'suspendUser')}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {editingLimitsUid === profile.uid && (
+                  <tr>
+                    <td colSpan={7} className="pb-3">
+                      <UsageLimitsForm
+                        overrides={profile.usageLimits}
+                        disabled={busyUid === profile.uid}
+                        onSave={(usageLimits) => handleSaveLimits(profile, usageLimits)}
+                        onCancel={() => setEditingLimitsUid(null)}
+                      />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+      {hasMore && (
+        <div className="mt-2 text-center text-sm">
+          <button onClick={handleLoadMore} disabled={isLoadingMore} className="text-blue-500 hover:underline disabled:text-gray-400 dark:text-blue-400">
+            {isLoadingMore ? t('loadingMore') : t('loadMore')}
+          </button>
+        </div>
+      )}
     </div>
   );
-});
+};
 
-function AnalyticsDashboard() {
-  const [messageCount, setMessageCount] = useState(0);
-  const [userCount, setUserCount] = useState(0);
-  const [loading, setLoading] = useState(true);
+const AuditLog = () => {
   const t = useTranslation();
+  const [entries] = useAdminList(loadAuditLog);
 
-  useEffect(() => {
-    const getStats = async () => {
-      try {
-        const snapshot = await getDocs(collection(db, "messages"));
-        setMessageCount(snapshot.size);
-        const users = new Set(snapshot.docs.map(doc => doc.data().user));
-        setUserCount(users.size);
-      } catch (error) {
-        console.error("Failed to get analytics data:", error);
-      } finally {
-        setLoading(false);
-      }
-    };
-    getStats();
-  }, []);
-
-  if (loading) {
-    return <AnalyticsSkeleton />;
-  }
-
+  if (!entries) return <p className={adminEmptyClass}>{t('loadingAdminData')}</p>;
+  if (entries.length === 0) return <p className={adminEmptyClass}>{t('auditLogEmpty')}</p>;
   return (
-    <div className="p-8 mt-8 bg-gray-50 dark:bg-gray-700/50 rounded-xl shadow-sm">
-      <h2 className="font-bold text-2xl text-gray-800 dark:text-gray-100">{t('analyticsDashboard')}</h2>
-      <div className="mt-4 text-lg text-gray-700 dark:text-gray-300">{t('totalMessages')} {messageCount}</div>
-      <div className="mt-2 text-lg text-gray-700 dark:text-gray-300">{t('uniqueUsers')} {userCount}</div>
-    </div>
+    <ul className="divide-y dark:divide-gray-600 text-sm text-gray-700 dark:text-gray-300">
+      {entries.map(entry => (
+        <li key={entry.id} className="py-2 flex flex-wrap gap-x-3">
+          {entry.createdAt instanceof Date && <span className="text-xs text-gray-500 dark:text-gray-400">{entry.createdAt.toLocaleString()}</span>}
+          <span>
+            {t(AUDIT_ACTION_LABELS[entry.action] || entry.action, {
+              actor: entry.actor,
+              target: entry.target || entry.targetUid,
+              role: entry.role && t(ROLE_LABELS[entry.role]),
+              previousRole: entry.previousRole && t(ROLE_LABELS[entry.previousRole]),
+            })}
+          </span>
+        </li>
+      ))}
+    </ul>
   );
-}
+};
 
-function ChatComponent({ user }) {
-  const { messages, isTyping, isLoading, hasMore, isLoadingMore, loadMore, sendMessage } = useMessages(user);
-  const { performMessageAnalysis, analyzingIds } = useMessageAnalysis();
-  const t = useTranslation();
-  const [inputMessage, setInputMessage] = useState('');
-  const messagesEndRef = useRef(null);
+const ADMIN_TABS = [
+  { id: 'queue', label: 'moderationQueue' },
+  { id: 'users', label: 'userManagement' },
+  { id: 'audit', label: 'auditLog' },
+];
 
-  useEffect(() => {
-    if (!isLoadingMore) {
-      messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-    }
-  }, [messages, isTyping, isLoadingMore]);
+/**
+ * The moderation queue, user list and audit log. Renders nothing for accounts without the 'moderate'
+ * permission, whatever the caller passes.
+ */
+function AdminConsole({ user, account, onClose }) {
+  const t = useTranslation();
+  const [tab, setTab] = useState('queue');
+  // Remounting the active panel reloads its list.
+  const [refreshKey, setRefreshKey] = useState(0);
 
-  const handleSendMessage = (e) => {
-    e.preventDefault();
-    if (!inputMessage.trim()) return;
-    sendMessage(inputMessage);
-    setInputMessage('');
-  };
+  if (!hasPermission(account, 'moderate')) return null;
 
   return (
-    <div className="mt-6">
-      <div className="h-[60vh] overflow-y-auto p-4 border rounded-lg bg-gray-50 dark:bg-gray-900/50 dark:border-gray-700 space-y-4" role="log" aria-live="polite">
-        {isLoading ? (
-          <div className="space-y-4">
-            <MessageSkeleton />
-            <MessageSkeleton sender="user" />
-            <MessageSkeleton />
-          </div>
-        ) : (
-          <>
-            {hasMore && (
-              <div className="text-center">
-                <button onClick={handleLoadMore} disabled={isLoadingMore} className="text-blue-500 hover:underline disabled:text-gray-400 dark:text-blue-400 dark:disabled:text-gray-500">
-                  {isLoadingMore ? t('loadingMore') : t('loadMore')}
-                </button>
-              </div>
-            )}
-            {messages.map(message => <MessageItem key={message.id} message={message} performMessageAnalysis={performMessageAnalysis} analyzingIds={analyzingIds} />)}
-          </>
-        )}
-        {isTyping && !isLoading && <AITypingIndicator />}
-        <div ref={messagesEndRef} />
+    <section className="mb-4 p-4 rounded-lg bg-gray-50 dark:bg-gray-700/50 border dark:border-gray-700" aria-label={t('adminConsole')}>
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="font-bold text-xl text-gray-800 dark:text-gray-100">{t('adminConsole')}</h2>
+        <div className="flex items-center gap-3">
+          <button onClick={() => setRefreshKey(key => key + 1)} className="text-sm text-blue-500 hover:underline dark:text-blue-400">{t('refreshAdminData')}</button>
+          <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800 dark:hover:text-gray-100" title={t('closeAdminConsole')} aria-label={t('closeAdminConsole')}>✕</button>
+        </div>
       </div>
-      {showScrollToBottom && (
-        <button
-          onClick={scrollToBottom}
-          className="absolute bottom-20 left-1/2 -translate-x-1/2 z-20 px-4 py-2 bg-blue-500 text-white rounded-full shadow-lg flex items-center gap-2 text-sm animate-bounce"
-          aria-label="Scroll to new messages"
-        >
-          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3" /></svg>
-          New Messages
-        </button>
-      )}
-
-      <form onSubmit={handleSendMessage} className="mt-4 flex">
-        <input type="text" value={inputMessage} onChange={(e) => setInputMessage(e.target.value)} className="flex-grow p-2 border rounded-l-md bg-white dark:bg-gray-800 dark:border-gray-600 text-gray-800 dark:text-gray-100 placeholder-gray-400" aria-label="Your message" placeholder={t('messagePlaceholder')} disabled={isTyping || !user} />
-        <button type="submit" className="px-4 py-2 bg-blue-500 text-white rounded-r-md" disabled={isTyping || !user}>
-          {t('send')}
-        </button>
-      </form>
-    </div>
+      <div role="tablist" className="mt-3 flex gap-4 border-b dark:border-gray-600 text-sm">
+        {ADMIN_TABS.map(({ id, label }) => (
+          <button
+            key={id}
+            role="tab"
+            aria-selected={tab === id}
+            onClick={() => setTab(id)}
+            className={`pb-2 -mb-px border-b-2 ${tab === id ? 'border-blue-500 text-blue-600 dark:text-blue-400' : 'border-transparent text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100'}`}
+          >
+            {t(label)}
+          </button>
+        ))}
+      </div>
+      <div role="tabpanel" className="mt-3 max-h-[32rem] overflow-y-auto">
+        {tab === 'queue' && <ModerationQueue key={refreshKey} actor={user} />}
+        {tab === 'users' && <UserManagement key={refreshKey} actor={user} actorAccount={account} />}
+        {tab === 'audit' && <AuditLog key={refreshKey} />}
+      </div>
+    </section>
   );
 }
 
@@ -880,7 +8433,7 @@ class ErrorBoundary extends React.Component {
 
   render() {
     if (this.state.hasError) {
-      return <div className="p-8 text-center text-red-500 dark:text-red-400"><h2 className="text-2xl font-bold">Something went wrong.</h2><p className="mt-2">Please try refreshing the page.</p></div>;
+      return <div className="p-8 text-center text-red-500 dark:text-red-400"><h2 className="text-2xl font-bold">{translate('errorTitle')}</h2><p className="mt-2">{translate('errorHint')}</p></div>;
     }
 
     return this.props.children;
@@ -899,7 +8452,60 @@ function App() {
 }
 
 function AppContent() {
-  const { user, loading } = useAuth();
+  const { user, providers, loading } = useAuth();
+  const {
+    conversations,
+    isLoading: isLoadingConversations,
+    activeConversationId,
+    selectConversation,
+    createConversation: onCreateConversation,
+    renameConversation: onRenameConversation,
+    deleteConversation: onDeleteConversation,
+    setConversationPersona: onSetConversationPersona,
+    shareConversation: onShareConversation,
+    stopSharing: onStopSharing,
+    leaveConversation: onLeaveConversation,
+    exportConversation: onExportConversation,
+    importConversation: onImportConversation,
+  } = useConversations(user);
+  const account = useAccount(user);
+  // Only once it is listed is it known whose the conversation is, and so where its messages are; until then
+  // the chat is not given it.
+  const activeConversation = conversations.find(c => c.id === activeConversationId);
+  const { participants, reportTyping, stopTyping } = usePresence(user, activeConversation);
+  const peopleTyping = useMemo(() => participants.filter(person => person.isTyping), [participants]);
+  const canModerate = hasPermission(account, 'moderate');
+  const overridesKey = JSON.stringify(account?.usageLimits || null);
+  // Accounts are re-read on every change (e.g. a suspension), so the limits are kept stable by value.
+  const usageLimits = useMemo(() => resolveUsageLimits({ usageLimits: JSON.parse(overridesKey) }), [overridesKey]);
+  const [renderMarkdown, setRenderMarkdown] = useUserPreference(user, 'renderMarkdown', true);
+  // Bumped after an import so the chat reloads even when the imported conversation is already open.
+  const [chatReloadKey, setChatReloadKey] = useState(0);
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const [isAdminOpen, setIsAdminOpen] = useState(false);
+  // A new object per click, so opening the same result twice still scrolls to it.
+  const [focusRequest, setFocusRequest] = useState(null);
+
+  const handleOpenResult = (conversationId, messageId) => {
+    selectConversation(conversationId);
+    setFocusRequest({ conversationId, messageId });
+  };
+
+  const handleSelectConversation = (conversationId) => {
+    setFocusRequest(null);
+    selectConversation(conversationId);
+  };
+
+  const handleImport = async (file) => {
+    const result = await onImportConversation(file);
+    if (result) setChatReloadKey(key => key + 1);
+  };
+
+  // A guest cannot sign back in, so signing out abandons their history.
+  const handleSignOut = () => {
+    if (user.isAnonymous && !window.confirm(t('confirmGuestSignOut'))) return;
+    signOutUser();
+  };
   const t = useTranslation();
 
   if (loading) {
@@ -913,7 +8519,12 @@ function AppContent() {
   return (
     <div className="min-h-screen bg-gray-100 dark:bg-gray-900 flex flex-col items-center p-4 font-sans">
       <Toaster position="top-center" />
-      <div className="w-full max-w-3xl bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6">
+      {IS_BACKEND_FALLBACK && (
+        <div className="w-full max-w-5xl mb-4 px-4 py-3 rounded-md bg-yellow-50 dark:bg-yellow-900/50 text-yellow-800 dark:text-yellow-300 text-sm" role="alert">
+          {t('backendFallbackWarning')}
+        </div>
+      )}
+      <div className="w-full max-w-5xl bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6">
         <ErrorBoundary>
           <h1 className="text-3xl font-bold mb-4 text-center text-gray-800 dark:text-gray-100">
             {t('appName')}
@@ -921,19 +8532,84 @@ function AppContent() {
           {user ? (
             <div>
               <div className="flex items-center justify-between mb-4 border-b pb-4 dark:border-gray-700">
-                <div className="text-sm text-gray-600 dark:text-gray-300">
-                  {t('loggedInAs')} <span className="font-semibold">{user.email}</span>
-                </div>
+                <ProfileMenu user={user} providers={providers} />
                 <div className="flex items-center gap-2">
+                  {canModerate && (
+                    <button
+                      onClick={() => setIsAdminOpen(open => !open)}
+                      aria-pressed={isAdminOpen}
+                      className="px-3 py-2 text-sm rounded-md border dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+                    >
+                      {t('adminConsole')}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setIsSearchOpen(open => !open)}
+                    aria-pressed={isSearchOpen}
+                    className="px-3 py-2 text-sm rounded-md border dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  >
+                    {t('search')}
+                  </button>
                   <LanguageSelector />
+                  <MarkdownToggleButton renderMarkdown={renderMarkdown} onToggle={() => setRenderMarkdown(value => !value)} />
                   <ThemeToggleButton />
-                  <button onClick={signOutUser} className="px-4 py-2 text-sm bg-red-500 text-white rounded-md shadow-md hover:bg-red-600 transition-colors">
+                  <button onClick={handleSignOut} className="px-4 py-2 text-sm bg-red-500 text-white rounded-md shadow-md hover:bg-red-600 transition-colors">
                     {t('signOut')}
                   </button>
                 </div>
               </div>
-              <ChatComponent user={user} />
-              <AnalyticsDashboard />
+              {isAdminOpen && <AdminConsole user={user} account={account} onClose={() => setIsAdminOpen(false)} />}
+              {isSearchOpen && (
+                <SearchPanel
+                  user={user}
+                  conversations={conversations}
+                  activeConversationId={activeConversationId}
+                  onOpenResult={handleOpenResult}
+                  onClose={() => setIsSearchOpen(false)}
+                />
+              )}
+              <div className="flex flex-col md:flex-row gap-4">
+                <ConversationSidebar
+                  conversations={conversations}
+                  userId={user.uid}
+                  activeConversationId={activeConversationId}
+                  isLoading={isLoadingConversations}
+                  onSelect={handleSelectConversation}
+                  onCreate={onCreateConversation}
+                  onRename={onRenameConversation}
+                  onDelete={onDeleteConversation}
+                  onLeave={onLeaveConversation}
+                  onImport={handleImport}
+                />
+                <div className="flex-grow min-w-0">
+                  <ConversationToolbar
+                    conversation={activeConversation}
+                    userId={user.uid}
+                    participants={participants}
+                    onExport={onExportConversation}
+                    onShare={onShareConversation}
+                    onStopSharing={onStopSharing}
+                  />
+                  <ChatComponent
+                    key={`${activeConversationId}:${chatReloadKey}`}
+                    user={user}
+                    conversationId={activeConversation ? activeConversationId : null}
+                    ownerUid={activeConversation?.ownerUid}
+                    renderMarkdown={renderMarkdown}
+                    focusRequest={focusRequest?.conversationId === activeConversationId ? focusRequest : null}
+                    account={account}
+                    usageLimits={usageLimits}
+                    persona={activeConversation?.persona || null}
+                    peopleTyping={peopleTyping}
+                    onTyping={reportTyping}
+                    onStopTyping={stopTyping}
+                    onExport={onExportConversation}
+                    onNewConversation={onCreateConversation}
+                    onSetPersona={onSetConversationPersona}
+                  />
+                </div>
+              </div>
+              <AnalyticsDashboard user={user} conversationId={activeConversationId} ownerUid={activeConversation?.ownerUid} />
             </div>
           ) : (
             <div className="flex flex-col items-center text-center py-16">
@@ -943,9 +8619,7 @@ function AppContent() {
               <p className="mb-6 text-gray-500 dark:text-gray-400">
                 {t('welcomeSubtitle')}
               </p>
-              <button onClick={signInWithGoogle} className="px-6 py-3 text-lg bg-blue-500 text-white rounded-md shadow-md hover:bg-blue-600 transition-colors flex items-center gap-2">
-                {t('signInWithGoogle')}
-              </button>
+              <SignInOptions />
             </div>
           )}
         </ErrorBoundary>